@@ -15,7 +15,7 @@ app.use(helmet({
 app.use(compression());
 app.use(cors({
     origin: '*',
-    methods: ['GET', 'POST'],
+    methods: ['GET', 'POST', 'PATCH', 'DELETE'],
     credentials: true,
 }));
 app.use(express.json({ limit: '10mb' }));
@@ -32,10 +32,30 @@ app.get('/', (req, res) => {
             health: 'GET /api/health',
             organizations: 'GET /api/organizations',
             trails: 'GET /api/:orgName/trails',
-            trailPhotos: 'GET /api/:orgName/:trailName',
-            thumbnail: 'GET /api/:orgName/:trailName/thumbnail/:fileId',
-            uploadPhoto: 'POST /api/:orgName/:trailName/upload',
+            observationTags: 'GET /api/:orgName/observation-tags',
+            trailPhotos: 'GET /api/:orgName/:trailName[/:stationId]?tag=',
+            thumbnail: 'GET /api/:orgName/:trailName[/:stationId]/thumbnail/:fileId',
+            timelapse: 'GET /api/:orgName/:trailName[/:stationId]/timelapse?format=gif|mp4|webm|webp',
+            trailJobs: 'GET /api/:orgName/:trailName[/:stationId]/jobs',
+            alignment: 'GET /api/:orgName/:trailName[/:stationId]/alignment',
+            normalizationPreview: 'GET /api/:orgName/:trailName[/:stationId]/normalization/preview',
+            job: 'GET /api/jobs/:jobId',
+            jobResult: 'GET /api/jobs/:jobId/result',
+            uploadPhoto: 'POST /api/:orgName/:trailName[/:stationId]/upload',
             generateTimelapse: 'POST /api/:orgName/generate-timelapse',
+            reviewQueue: 'GET /api/:orgName/review',
+            reviewPhoto: 'POST /api/:orgName/:trailName[/:stationId]/photos/:fileId/review',
+            deletePhoto: 'DELETE /api/:orgName/:trailName[/:stationId]/photos/:fileId',
+            trash: 'GET /api/:orgName/:trailName[/:stationId]/photos/trash',
+            restorePhoto: 'POST /api/:orgName/:trailName[/:stationId]/photos/:fileId/restore',
+            adminOrganizations: 'GET|POST /api/admin/organizations',
+            adminOrganization: 'GET|PATCH|DELETE /api/admin/organizations/:orgSlug',
+            adminTrails: 'GET|POST /api/admin/organizations/:orgSlug/trails',
+            adminTrail: 'GET|PATCH|DELETE /api/admin/organizations/:orgSlug/trails/:trailSlug',
+            adminStations: 'GET|POST /api/admin/organizations/:orgSlug/trails/:trailSlug/stations',
+            adminStation: 'GET|PATCH|DELETE /api/admin/organizations/:orgSlug/trails/:trailSlug/stations/:stationId',
+            adminKeys: 'GET|POST /api/admin/organizations/:orgSlug/keys',
+            adminKey: 'DELETE /api/admin/organizations/:orgSlug/keys/:keyId',
         },
         docs: 'https://github.com/ACherniske/StewardView',
     });
@@ -43,10 +63,11 @@ app.get('/', (req, res) => {
 
 // Lazy load services
 let initialized = false;
-let driveService = null;
+let storageService = null;
 
 // Load routes at startup (but services initialize lazily)
 const apiRoutes = require('../routes/api');
+const adminRoutes = require('../routes/admin');
 
 async function initializeServices() {
     if (initialized) return;
@@ -65,9 +86,14 @@ async function initializeServices() {
             }
         });
 
-        // Load and initialize Drive service
-        driveService = require('../services/driveService');
-        await driveService.initialize();
+        // Load and initialize storage providers
+        storageService = require('../services/storageService');
+        await storageService.initialize();
+
+        // Queued regeneration jobs run while this instance stays warm; generate-timelapse
+        // does not queue here (config.serverless)
+        require('../services/jobQueue').start();
+        require('../services/trashService').schedulePurge();
         
         initialized = true;
         console.log('StewardView API services initialized');
@@ -77,11 +103,11 @@ async function initializeServices() {
     }
 }
 
-// Middleware to ensure Drive services are initialized before API routes that need them
+// Middleware to ensure storage services are initialized before API routes that need them
 app.use('/api', async (req, res, next) => {
-    // Skip initialization for endpoints that don't need Drive
+    // Skip initialization for endpoints that don't need storage
     const noInitPaths = ['/health', '/organizations'];
-    if (noInitPaths.includes(req.path)) {
+    if (noInitPaths.includes(req.path) || req.path.startsWith('/admin/')) {
         return next();
     }
     
@@ -97,7 +123,8 @@ app.use('/api', async (req, res, next) => {
     }
 });
 
-// Mount all API routes at /api
+// Mount all API routes at /api (admin first so /api/admin/* is not matched as /api/:orgName/*)
+app.use('/api/admin', adminRoutes);
 app.use('/api', apiRoutes);
 
 // Error handler
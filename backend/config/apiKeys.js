@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+const JsonStore = require('../services/jsonStore');
+const { httpError, validationError } = require('../services/errors');
+
+/**
+ * API keys registery
+ * Keys identify stewards and admins. Requests without a key are public viewers.
+ * Only a SHA-256 hash of each key is stored; the plain key is returned once on creation.
+ *
+ * Keys are persisted in DATA_DIR/apiKeys.json and managed through the
+ * admin API (/api/admin/organizations/:orgSlug/keys). The super admin key
+ * comes from ADMIN_API_KEY and is never stored.
+ *
+ * Key format: sv_<keyId>_<secret>
+ *
+ * Structure:
+ * {
+ *   "keyId": {
+ *      name: "Who or what uses the key",
+ *      role: "contributor" | "steward" | "org_admin",
+ *      orgSlug: "organization the key is limited to",
+ *      hash: "sha256 of the full key",
+ *      revoked: true/false
+ *      createdAt, revokedAt, lastUsedAt: ISO timestamps (set by the registry)
+ *   }
+ * }
+ */
+
+// Roles from least to most privileged
+const ROLES = ['viewer', 'contributor', 'steward', 'org_admin', 'super_admin'];
+
+// Roles that can be given to stored (org-scoped) keys
+const KEY_ROLES = ['contributor', 'steward', 'org_admin'];
+
+const KEY_PATTERN = /^sv_([a-f0-9]{16})_([A-Za-z0-9_-]{43})$/;
+
+// lastUsedAt is only written once per interval to avoid a file write on every request
+const LAST_USED_INTERVAL_MS = 60 * 60 * 1000;
+
+const store = new JsonStore('apiKeys.json', () => ({}));
+
+/**
+ * Compare role privilege
+ * @returns true if role is at least minRole
+ */
+function hasRole(role, minRole) {
+    return ROLES.indexOf(role) >= ROLES.indexOf(minRole);
+}
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Remove the hash from a stored key record
+ */
+function toPublicKey(keyId, record) {
+    const { hash, ...rest } = record;
+    return { id: keyId, ...rest };
+}
+
+/**
+ * Find the active key record matching a plain key
+ * @returns key object or null if unknown or revoked
+ */
+
+function verifyApiKey(key) {
+    const match = KEY_PATTERN.exec(key || '');
+    if (!match) {
+        return null;
+    }
+
+    const keyId = match[1];
+    const record = store.read()[keyId];
+    if (!record || record.revoked) {
+        return null;
+    }
+
+    const providedHash = Buffer.from(hashKey(key), 'hex');
+    const storedHash = Buffer.from(record.hash, 'hex');
+    if (providedHash.length !== storedHash.length || !crypto.timingSafeEqual(providedHash, storedHash)) {
+        return null;
+    }
+
+    if (!record.lastUsedAt || Date.now() - Date.parse(record.lastUsedAt) > LAST_USED_INTERVAL_MS) {
+        store.update(keys => {
+            keys[keyId].lastUsedAt = new Date().toISOString();
+        });
+    }
+
+    return toPublicKey(keyId, record);
+}
+
+/**
+ * List keys of an organization (hashes are never returned)
+ * @return array of key objects
+ */
+
+function listApiKeys(orgSlug) {
+    const org = orgSlug.toLowerCase();
+    return Object.entries(store.read())
+        .filter(([_, record]) => record.orgSlug === org)
+        .map(([keyId, record]) => toPublicKey(keyId, record));
+}
+
+/**
+ * Create a key for an organization
+ * @returns { apiKey, key } where key is the plain key (only shown once)
+ * @throws ValidationError (400)
+ */
+
+function createApiKey(orgSlug, { name, role } = {}) {
+    if (typeof name !== 'string' || name.trim() === '') {
+        throw validationError('name is required');
+    }
+
+    if (!KEY_ROLES.includes(role)) {
+        throw validationError(`role must be one of: ${KEY_ROLES.join(', ')}`);
+    }
+
+    const keyId = crypto.randomBytes(8).toString('hex');
+    const key = `sv_${keyId}_${crypto.randomBytes(32).toString('base64url')}`;
+    const record = {
+        name: name.trim(),
+        role,
+        orgSlug: orgSlug.toLowerCase(),
+        hash: hashKey(key),
+        revoked: false,
+        createdAt: new Date().toISOString(),
+    };
+
+    store.update(keys => {
+        keys[keyId] = record;
+    });
+
+    console.log(`API key created: ${keyId} (${role}) for ${record.orgSlug}`);
+    return { apiKey: toPublicKey(keyId, record), key };
+}
+
+/**
+ * Revoke a key of an organization
+ * @returns revoked key object or null if not found
+ */
+
+function revokeApiKey(orgSlug, keyId) {
+    const record = store.read()[keyId];
+    if (!record || record.orgSlug !== orgSlug.toLowerCase()) {
+        return null;
+    }
+
+    if (record.revoked) {
+        throw httpError(409, 'Conflict', `API key '${keyId}' is already revoked`);
+    }
+
+    store.update(keys => {
+        keys[keyId] = { ...keys[keyId], revoked: true, revokedAt: new Date().toISOString() };
+    });
+
+    console.log(`API key revoked: ${keyId}`);
+    return toPublicKey(keyId, store.read()[keyId]);
+}
+
+module.exports = {
+    ROLES,
+    KEY_ROLES,
+    hasRole,
+    verifyApiKey,
+    listApiKeys,
+    createApiKey,
+    revokeApiKey,
+};
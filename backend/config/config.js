@@ -13,6 +13,44 @@ const config = {
     googleCredentials: process.env.GOOGLE_APPLICATION_CREDENTIALS || './credentials.json',
     driveScopes : ['https://www.googleapis.com/auth/drive.file'],
 
+    //storage
+    defaultStorageProvider: process.env.STORAGE_PROVIDER || 'drive', //drive or local
+    localStorageDir: isServerless ? '/tmp/storage' : process.env.LOCAL_STORAGE_DIR || 'storage',
+
+    //s3-compatible storage (AWS, MinIO, Backblaze B2, Wasabi)
+    s3Endpoint: process.env.S3_ENDPOINT || null, //null uses AWS
+    s3Region: process.env.S3_REGION || 'us-east-1',
+    s3Bucket: process.env.S3_BUCKET || null,
+    s3AccessKeyId: process.env.S3_ACCESS_KEY_ID || null,
+    s3SecretAccessKey: process.env.S3_SECRET_ACCESS_KEY || null,
+    s3ForcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true', //required by MinIO
+
+    //persistent registries (organizations, ...)
+    dataDir: isServerless ? '/tmp/data' : process.env.DATA_DIR || 'data',
+    storeCacheTtlMs: parseInt(process.env.STORE_CACHE_TTL_MS) || 30 * 1000, //30 seconds
+
+    //authentication (ADMIN_API_KEY is the super admin key)
+    adminApiKey: process.env.ADMIN_API_KEY || null,
+    publicUploads: process.env.PUBLIC_UPLOADS !== 'false',
+
+    //photos without a moderation status count as approved only if stored before this date
+    //(defaults to the first start with moderation, recorded in DATA_DIR/moderation.json)
+    moderationSince: process.env.MODERATION_SINCE || null, //ISO date
+
+    //deleted photos stay restorable in the trail's trash for this many days
+    trashRetentionDays: parseInt(process.env.TRASH_RETENTION_DAYS) || 30,
+
+    //background jobs (timelapse regeneration), persisted in DATA_DIR/jobs.json
+    //they need a long-lived server: a serverless function stops once it has responded,
+    //so there generate-timelapse runs in the request and returns the file itself
+    serverless: Boolean(isServerless),
+    jobDebounceMs: parseInt(process.env.JOB_DEBOUNCE_MS) || 5 * 1000, //wait for more uploads before regenerating
+    jobMaxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS) || 3,
+    jobRetryDelayMs: parseInt(process.env.JOB_RETRY_DELAY_MS) || 30 * 1000, //doubles after each failed attempt
+    jobPollIntervalMs: parseInt(process.env.JOB_POLL_INTERVAL_MS) || 2 * 1000,
+    jobRetentionHours: parseInt(process.env.JOB_RETENTION_HOURS) || 24, //finished jobs are kept this long
+    jobResultsDir: isServerless ? '/tmp/results' : process.env.JOB_RESULTS_DIR || 'results', //generated multi-trail timelapses
+
     //CORS
     allowedOrigins: process.env.ALLOWED_ORIGINS
         ? process.env.ALLOWED_ORIGINS.split(',')
@@ -27,14 +65,49 @@ const config = {
     maxFileSizeBytes: (parseInt(process.env.MAX_FILE_SIZE_MB) || 10) * 1024 * 1024,
     allowedFileTypes: process.env.ALLOWED_FILE_TYPES
         ? process.env.ALLOWED_FILE_TYPES.split(',')
-        : ['image/jpeg', 'image/png', 'image/webp'],
+        : ['image/jpeg', 'image/png', 'image/webp', 'image/heic', 'image/heif', 'image/avif'], //HEIC, HEIF and AVIF are converted on upload
     uploadDir: isServerless ? '/tmp/uploads' : process.env.UPLOAD_DIR || 'uploads',
     tempDir: isServerless ? '/tmp/temp' : process.env.TEMP_DIR || 'temp',
 
     //timelapse
     timelapseMaxWidth: parseInt(process.env.TIMELAPSE_MAX_WIDTH) || 800, //800px
     timelapseFrameDelayMs: parseInt(process.env.TIMELAPSE_FRAME_DELAY_MS) || 500, //500ms
-    timelapseGifQuality: parseInt(process.env.TIMELAPSE_GIF_QUALITY) || 10 //10 (1-20, lower is better)
+    timelapseGifQuality: parseInt(process.env.TIMELAPSE_GIF_QUALITY) || 10, //10 (1-20, lower is better)
+    timelapseFormats: process.env.TIMELAPSE_FORMATS
+        ? process.env.TIMELAPSE_FORMATS.split(',').map(format => format.trim())
+        : ['gif'], //formats regenerated after each upload: gif, mp4, webm, webp
+    ffmpegPath: process.env.FFMPEG_PATH || null, //null uses ffmpeg from PATH (needed for mp4, webm, webp)
+    timelapseTimeZone: process.env.TIMELAPSE_TIME_ZONE || 'UTC', //time zone of frame selections, captions and EXIF times without an offset
+
+    //frame alignment (for trails with alignFrames enabled)
+    alignmentMinConfidence: parseFloat(process.env.ALIGNMENT_MIN_CONFIDENCE) || 0.05, //0-1, frames below are dropped
+    alignmentMaxShiftPercent: parseFloat(process.env.ALIGNMENT_MAX_SHIFT_PERCENT) || 10, //% of frame size, larger shifts are dropped
+
+    //frame normalization (for trails with normalizeFrames set)
+    normalizationWindow: parseInt(process.env.NORMALIZATION_WINDOW) || 7, //frames averaged by the 'rolling' method
+
+    //upload quality screening
+    qualityMinScore: process.env.QUALITY_MIN_SCORE !== undefined
+        ? parseInt(process.env.QUALITY_MIN_SCORE)
+        : 50, //0-100, photos scoring lower are left out of timelapses (0 keeps every photo)
+    qualityBlurThreshold: parseFloat(process.env.QUALITY_BLUR_THRESHOLD) || 100, //laplacian variance below which a photo counts as blurry
+
+    //privacy blurring of faces and people on upload (needs onnxruntime-node)
+    faceModelPath: process.env.FACE_MODEL_PATH || null, //UltraFace ONNX model (version-RFB-320.onnx)
+    personModelPath: process.env.PERSON_MODEL_PATH || null, //YOLOv8 ONNX model (yolov8n.onnx), for orgs that blur whole people
+    detectionMinConfidence: parseFloat(process.env.DETECTION_MIN_CONFIDENCE) || 0.6, //0-1, weaker detections are not blurred
+
+    //upload normalization (needs sharp): photos are stored upright, resized and re-encoded
+    ingestMaxEdge: parseInt(process.env.INGEST_MAX_EDGE) || 2560, //px, longest side of stored photos
+    ingestFormat: process.env.INGEST_FORMAT || 'jpeg', //jpeg or webp
+    ingestQuality: parseInt(process.env.INGEST_QUALITY) || 85, //1-100
+    keepOriginals: process.env.KEEP_ORIGINALS === 'true', //keep uploaded files in the trail path's _originals folder
+
+    //photo renditions (needs sharp): square thumbnails cached on local disk
+    renditionSizes: process.env.RENDITION_SIZES
+        ? process.env.RENDITION_SIZES.split(',').map(Number).filter(size => size > 0)
+        : [300, 800, 1600], //px, made on upload; requested sizes are rounded to these
+    renditionCacheDir: isServerless ? '/tmp/renditions' : process.env.RENDITION_CACHE_DIR || 'renditions',
 };
 
 module.exports = config;
\ No newline at end of file
@@ -1,34 +1,142 @@
+const config = require('./config');
+const JsonStore = require('../services/jsonStore');
+const { httpError, validationError } = require('../services/errors');
+const { parseCaptionSettings } = require('../services/captionRenderer');
+const { parseObservationTags } = require('../services/observationService');
+const { validateGeofencePolicy } = require('../services/geofenceService');
+const { parsePrivacySettings } = require('../services/privacyBlur');
+const { validateExifPolicy } = require('../services/exifPolicy');
+
 /**
- * Organizations registery 
- * Each organization has its own google Drive folder for storing images
- * 
+ * Organizations registery
+ * Each organization has its own storage location for images
+ * (a Google Drive folder, a directory on local disk or an S3-compatible bucket)
+ *
+ * Organizations are persisted in DATA_DIR/organizations.json and managed
+ * through the admin API (/api/admin/organizations). The file is seeded with
+ * defaultOrganizations on first start.
+ *
  * Structure:
  * {
  *   "orgSlug": {
  *      name: "Organization Name",
- *      driveFolderId: "Google Drive Folder ID"
+ *      storage: "drive" | "local" | "s3" (optional, defaults to STORAGE_PROVIDER)
+ *      driveFolderId: "Google Drive Folder ID" (drive storage)
+ *      localPath: "/path/to/photos" (optional, local storage, defaults to LOCAL_STORAGE_DIR/orgSlug)
+ *      s3: { bucket, prefix, endpoint, region, forcePathStyle } (optional, s3 storage, defaults to S3_* env vars)
+ *      captions: { fields, position, fontFamily, fontSize, color, background, logoUrl, timeZone }
+ *                (optional, caption drawn on timelapse frames, see services/captionRenderer.js)
+ *      observationTags: ["erosion", "wildlife", ...] (optional, tags contributors can add to photos,
+ *                       defaults to DEFAULT_OBSERVATION_TAGS in services/observationService.js)
+ *      geofencePolicy: "flag" | "reject" (optional, what happens to uploads taken outside a trail's
+ *                      geofence, defaults to "flag", see services/geofenceService.js)
+ *      privacy: { blurFaces, blurPeople, keepOriginals } (optional, faces and people blurred
+ *               before photos are stored, off by default, see services/privacyBlur.js)
+ *      exifPolicy: "strip" | "essential" | "keep" (optional, metadata left in stored photos,
+ *                  defaults to "essential", see services/exifPolicy.js)
  *      active: true/false
+ *      createdAt, updatedAt: ISO timestamps (set by the registry)
  *    }
  * }
  */
 
-const organizations = {
+const defaultOrganizations = {
     //example organization
     "test-organization": {
         name: "Test Organization",
+        storage: "drive",
         driveFolderId: "1fBOxspMIqUWu-TqMsvCzzSp0BehZq09d",
         active: true
     },
 
     "kent-land-trust": {
         name: "Kent Land Trust",
+        storage: "drive",
         driveFolderId: "1oybMDc9Ei3zkmvlwj767_ANcY95z8Zwb",
         active: true
     },
 
-    //add more organizations as needed
+    //self-hosted example (photos stored on local disk / NAS)
+    // "example-land-trust": {
+    //     name: "Example Land Trust",
+    //     storage: "local",
+    //     localPath: "/mnt/nas/stewardview/example-land-trust",
+    //     active: true
+    // },
+
+    //s3-compatible bucket example (MinIO, Backblaze B2, Wasabi)
+    // "bucket-land-trust": {
+    //     name: "Bucket Land Trust",
+    //     storage: "s3",
+    //     s3: { bucket: "bucket-land-trust-photos", prefix: "stewardview" },
+    //     active: true
+    // },
 };
 
+const store = new JsonStore('organizations.json', () => structuredClone(defaultOrganizations));
+
+const EDITABLE_FIELDS = ['name', 'storage', 'driveFolderId', 'localPath', 's3', 'captions', 'observationTags', 'geofencePolicy', 'privacy', 'exifPolicy', 'active'];
+const STORAGE_PROVIDERS = ['drive', 'local', 's3'];
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// First path segments of the fixed /api routes (routes/api.js, routes/admin.js),
+// an organization with one of these slugs could not be reached
+const RESERVED_SLUGS = ['admin', 'health', 'jobs', 'organizations'];
+
+/**
+ * Validate organization fields
+ * @throws ValidationError (status 400)
+ */
+function validateOrganizationFields(fields) {
+    if (fields.name !== undefined && (typeof fields.name !== 'string' || fields.name.trim() === '')) {
+        throw validationError('name must be a non-empty string');
+    }
+
+    if (fields.storage !== undefined && !STORAGE_PROVIDERS.includes(fields.storage)) {
+        throw validationError(`storage must be one of: ${STORAGE_PROVIDERS.join(', ')}`);
+    }
+
+    for (const key of ['driveFolderId', 'localPath']) {
+        if (fields[key] !== undefined && fields[key] !== null && typeof fields[key] !== 'string') {
+            throw validationError(`${key} must be a string`);
+        }
+    }
+
+    if (fields.s3 !== undefined && fields.s3 !== null && (typeof fields.s3 !== 'object' || Array.isArray(fields.s3))) {
+        throw validationError('s3 must be an object');
+    }
+
+    // Stored with its defaults filled in
+    if (fields.captions !== undefined) {
+        fields.captions = parseCaptionSettings(fields.captions);
+    }
+
+    if (fields.observationTags !== undefined) {
+        fields.observationTags = parseObservationTags(fields.observationTags);
+    }
+
+    validateGeofencePolicy(fields.geofencePolicy);
+
+    if (fields.privacy !== undefined) {
+        fields.privacy = parsePrivacySettings(fields.privacy);
+    }
+
+    validateExifPolicy(fields.exifPolicy);
+
+    if (fields.active !== undefined && typeof fields.active !== 'boolean') {
+        throw validationError('active must be a boolean');
+    }
+}
+
+/**
+ * Pick editable fields from a request body
+ */
+function pickEditableFields(fields) {
+    return Object.fromEntries(
+        Object.entries(fields || {}).filter(([key]) => EDITABLE_FIELDS.includes(key))
+    );
+}
+
 /**
  * Get organization config by slug
  * @returns org object or null if not found
@@ -36,7 +144,7 @@ const organizations = {
  */
 
 function getOrganization(orgSlug) {
-    const org = organizations[orgSlug.toLowerCase()];
+    const org = store.read()[orgSlug.toLowerCase()];
 
     if (!org) {
         return null;
@@ -58,8 +166,8 @@ function getOrganization(orgSlug) {
  */
 
 function isValidOrganization(orgSlug) {
-    const org = organizations[orgSlug.toLowerCase()];
-    return org && org.active === true;
+    const org = store.read()[orgSlug.toLowerCase()];
+    return Boolean(org && org.active === true);
 }
 
 /**
@@ -68,7 +176,7 @@ function isValidOrganization(orgSlug) {
  */
 
 function listActiveOrganizations() {
-    return Object.entries(organizations)
+    return Object.entries(store.read())
         .filter(([_, org]) => org.active)
         .map(([slug, org]) => ({
             slug,
@@ -76,8 +184,109 @@ function listActiveOrganizations() {
         }));
 }
 
+/**
+ * List all organizations including inactive ones (admin)
+ * @return array of full org objects
+ */
+
+function listOrganizations() {
+    return Object.entries(store.read()).map(([slug, org]) => ({ slug, ...org }));
+}
+
+/**
+ * Get full organization record regardless of active flag (admin)
+ * @returns org object or null if not found
+ */
+
+function findOrganization(orgSlug) {
+    const org = store.read()[orgSlug.toLowerCase()];
+    return org ? { slug: orgSlug.toLowerCase(), ...org } : null;
+}
+
+/**
+ * Create a new organization
+ * @returns created org object
+ * @throws ValidationError (400) or conflict (409)
+ */
+function createOrganization(orgSlug, fields) {
+    const slug = typeof orgSlug === 'string' ? orgSlug.trim().toLowerCase() : '';
+
+    if (!SLUG_PATTERN.test(slug)) {
+        throw validationError('slug must contain only lowercase letters, numbers and single hyphens');
+    }
+
+    if (RESERVED_SLUGS.includes(slug)) {
+        throw validationError(`slug '${slug}' is reserved for an API route`);
+    }
+
+    const org = {
+        active: true,
+        ...pickEditableFields(fields),
+    };
+
+    validateOrganizationFields(org);
+
+    if (!org.name) {
+        throw validationError('name is required');
+    }
+
+    if ((org.storage || config.defaultStorageProvider) === 'drive' && !org.driveFolderId) {
+        throw validationError('driveFolderId is required for drive storage');
+    }
+
+    if (store.read()[slug]) {
+        throw httpError(409, 'Conflict', `Organization '${slug}' already exists`);
+    }
+
+    const now = new Date().toISOString();
+    store.update(orgs => {
+        orgs[slug] = { ...org, createdAt: now, updatedAt: now };
+    });
+
+    console.log(`Organization created: ${slug}`);
+    return findOrganization(slug);
+}
+
+/**
+ * Update an organization
+ * @returns updated org object or null if not found
+ * @throws ValidationError (400)
+ */
+
+function updateOrganization(orgSlug, fields) {
+    const slug = orgSlug.toLowerCase();
+    const changes = pickEditableFields(fields);
+
+    validateOrganizationFields(changes);
+
+    if (!store.read()[slug]) {
+        return null;
+    }
+
+    store.update(orgs => {
+        orgs[slug] = { ...orgs[slug], ...changes, updatedAt: new Date().toISOString() };
+    });
+
+    console.log(`Organization updated: ${slug}`);
+    return findOrganization(slug);
+}
+
+/**
+ * Deactivate an organization (records are never hard-deleted)
+ * @returns updated org object or null if not found
+ */
+
+function deactivateOrganization(orgSlug) {
+    return updateOrganization(orgSlug, { active: false });
+}
+
 module.exports = {
     getOrganization,
     isValidOrganization,
     listActiveOrganizations,
-};
\ No newline at end of file
+    listOrganizations,
+    findOrganization,
+    createOrganization,
+    updateOrganization,
+    deactivateOrganization,
+};
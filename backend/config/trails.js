@@ -0,0 +1,445 @@
+const JsonStore = require('../services/jsonStore');
+const { httpError, validationError } = require('../services/errors');
+const { NORMALIZATION_METHODS } = require('../services/frameNormalizer');
+const { parseSelection } = require('../services/frameSelector');
+
+/**
+ * Trails registery
+ * Each trail belongs to an organization and has a main photo station
+ * plus optional extra stations. Only
+ * registered trails can be viewed or receive uploads; the trail slug is
+ * also the name of the trail's folder in the org's storage.
+ *
+ * Trails are persisted in DATA_DIR/trails.json and managed through the
+ * admin API (/api/admin/organizations/:orgSlug/trails).
+ *
+ * Structure:
+ * {
+ *   "orgSlug": {
+ *     "trailSlug": {
+ *        name: "Display Name",
+ *        description: "Short description" (optional)
+ *        location: { latitude, longitude } (optional, GPS position of the photo station)
+ *        bearing: 0-360 (optional, compass direction the camera faces)
+ *        geofenceRadius: meters (optional, uploads taken farther than this from location are
+ *                        flagged, see services/geofenceService.js)
+ *        installDate: "YYYY-MM-DD" (optional)
+ *        alignFrames: boolean (stabilize timelapse frames against the first photo, default false)
+ *        normalizeFrames: "off" | "histogram" | "rolling" (even out exposure and color, default "off")
+ *        frameSelection: { from, to, timeOfDay, perPeriod, ... } (photos used for the stored
+ *                        timelapse, see services/frameSelector.js; null uses every unflagged, good quality photo)
+ *        status: "active" | "retired"
+ *        stations: { (optional, extra photo stations / tripod mounts on the trail)
+ *          "stationId": { name, description, location, bearing, geofenceRadius, alignFrames, normalizeFrames,
+ *                         frameSelection, status, createdAt, updatedAt }
+ *        }                 (a station's location / geofenceRadius / alignFrames / normalizeFrames / frameSelection
+ *                         of null uses the trail's setting)
+ *        createdAt, updatedAt: ISO timestamps (set by the registry)
+ *     }
+ *   }
+ * }
+ *
+ * Photos of a station live in a sub-folder of the trail folder, so a
+ * "trail path" (trailSlug or trailSlug/stationId) identifies a photo set.
+ */
+
+const store = new JsonStore('trails.json', () => ({}));
+
+const EDITABLE_FIELDS = [
+    'name', 'description', 'location', 'bearing', 'geofenceRadius', 'installDate',
+    'alignFrames', 'normalizeFrames', 'frameSelection', 'status',
+];
+const STATION_FIELDS = ['name', 'description', 'location', 'bearing', 'geofenceRadius', 'alignFrames', 'normalizeFrames', 'frameSelection', 'status'];
+const TRAIL_STATUSES = ['active', 'retired'];
+const NORMALIZATION_MODES = ['off', ...NORMALIZATION_METHODS];
+const SLUG_PATTERN = /^[a-z0-9]+(?:[-_][a-z0-9]+)*$/;
+
+// Slugs that collide with organization-level API routes
+const RESERVED_SLUGS = ['trails', 'generate-timelapse', 'review', 'observation-tags'];
+
+// Station IDs that collide with trail-level API routes
+const RESERVED_STATION_IDS = ['upload', 'thumbnail', 'stations', 'timelapse', 'photos', 'jobs', 'alignment', 'normalization'];
+
+/**
+ * Validate trail fields
+ * @throws ValidationError (status 400)
+ */
+function validateTrailFields(fields) {
+    if (fields.name !== undefined && (typeof fields.name !== 'string' || fields.name.trim() === '')) {
+        throw validationError('name must be a non-empty string');
+    }
+
+    if (fields.description !== undefined && fields.description !== null && typeof fields.description !== 'string') {
+        throw validationError('description must be a string');
+    }
+
+    if (fields.location !== undefined && fields.location !== null) {
+        const { latitude, longitude } = fields.location;
+        if (typeof latitude !== 'number' || latitude < -90 || latitude > 90 ||
+            typeof longitude !== 'number' || longitude < -180 || longitude > 180) {
+            throw validationError('location must be { latitude: -90..90, longitude: -180..180 }');
+        }
+    }
+
+    if (fields.bearing !== undefined && fields.bearing !== null &&
+        (typeof fields.bearing !== 'number' || fields.bearing < 0 || fields.bearing >= 360)) {
+        throw validationError('bearing must be a number of degrees from 0 to 359');
+    }
+
+    if (fields.geofenceRadius !== undefined && fields.geofenceRadius !== null &&
+        (typeof fields.geofenceRadius !== 'number' || fields.geofenceRadius <= 0 || fields.geofenceRadius > 100000)) {
+        throw validationError('geofenceRadius must be a number of meters from 1 to 100000');
+    }
+
+    if (fields.installDate !== undefined && fields.installDate !== null &&
+        (typeof fields.installDate !== 'string' || isNaN(Date.parse(fields.installDate)))) {
+        throw validationError('installDate must be a date string (YYYY-MM-DD)');
+    }
+
+    if (fields.alignFrames !== undefined && fields.alignFrames !== null && typeof fields.alignFrames !== 'boolean') {
+        throw validationError('alignFrames must be a boolean');
+    }
+
+    if (fields.normalizeFrames !== undefined && fields.normalizeFrames !== null &&
+        !NORMALIZATION_MODES.includes(fields.normalizeFrames)) {
+        throw validationError(`normalizeFrames must be one of: ${NORMALIZATION_MODES.join(', ')}`);
+    }
+
+    // Stored in its normalized form
+    if (fields.frameSelection !== undefined) {
+        fields.frameSelection = parseSelection(fields.frameSelection);
+    }
+
+    if (fields.status !== undefined && !TRAIL_STATUSES.includes(fields.status)) {
+        throw validationError(`status must be one of: ${TRAIL_STATUSES.join(', ')}`);
+    }
+}
+
+/**
+ * Pick editable fields from a request body
+ */
+function pickEditableFields(fields, editableFields = EDITABLE_FIELDS) {
+    return Object.fromEntries(
+        Object.entries(fields || {}).filter(([key]) => editableFields.includes(key))
+    );
+}
+
+/**
+ * Get trail by slug
+ * @returns trail object or null if not found
+ */
+
+function getTrail(orgSlug, trailSlug) {
+    const slug = trailSlug.toLowerCase();
+    const trail = store.read()[orgSlug.toLowerCase()]?.[slug];
+    return trail ? { slug, ...trail } : null;
+}
+
+/**
+ * List trails for an organization
+ * @param {Object} options - { status: 'active' | 'retired' } to filter
+ * @return array of trail objects sorted by name
+ */
+
+function listTrails(orgSlug, { status } = {}) {
+    return Object.entries(store.read()[orgSlug.toLowerCase()] || {})
+        .filter(([_, trail]) => !status || trail.status === status)
+        .map(([slug, trail]) => ({ slug, ...trail }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Create a trail
+ * @returns created trail object
+ * @throws ValidationError (400) or conflict (409)
+ */
+
+function createTrail(orgSlug, trailSlug, fields) {
+    const org = orgSlug.toLowerCase();
+    const slug = typeof trailSlug === 'string' ? trailSlug.trim().toLowerCase() : '';
+
+    if (!SLUG_PATTERN.test(slug)) {
+        throw validationError('slug must contain only lowercase letters, numbers, hyphens and underscores');
+    }
+
+    if (RESERVED_SLUGS.includes(slug)) {
+        throw validationError(`'${slug}' is a reserved name`);
+    }
+
+    const trail = {
+        description: null,
+        location: null,
+        bearing: null,
+        geofenceRadius: null,
+        installDate: null,
+        alignFrames: false,
+        normalizeFrames: 'off',
+        frameSelection: null,
+        status: 'active',
+        ...pickEditableFields(fields),
+    };
+
+    validateTrailFields(trail);
+
+    if (!trail.name) {
+        throw validationError('name is required');
+    }
+
+    if (store.read()[org]?.[slug]) {
+        throw httpError(409, 'Conflict', `Trail '${slug}' already exists in organization '${org}'`);
+    }
+
+    const now = new Date().toISOString();
+    store.update(trails => {
+        trails[org] = { ...trails[org], [slug]: { ...trail, createdAt: now, updatedAt: now } };
+    });
+
+    console.log(`Trail created: ${org}/${slug}`);
+    return getTrail(org, slug);
+}
+
+/**
+ * Update a trail
+ * @returns updated trail object or null if not found
+ * @throws ValidationError (400)
+ */
+
+function updateTrail(orgSlug, trailSlug, fields) {
+    const org = orgSlug.toLowerCase();
+    const slug = trailSlug.toLowerCase();
+    const changes = pickEditableFields(fields);
+
+    validateTrailFields(changes);
+
+    if (!store.read()[org]?.[slug]) {
+        return null;
+    }
+
+    store.update(trails => {
+        trails[org][slug] = { ...trails[org][slug], ...changes, updatedAt: new Date().toISOString() };
+    });
+
+    console.log(`Trail updated: ${org}/${slug}`);
+    return getTrail(org, slug);
+}
+
+/**
+ * Retire a trail (photos stay viewable, uploads are rejected)
+ * @returns updated trail object or null if not found
+ */
+
+function retireTrail(orgSlug, trailSlug) {
+    return updateTrail(orgSlug, trailSlug, { status: 'retired' });
+}
+
+/**
+ * Get station of a trail
+ * @returns station object or null if trail or station not found
+ */
+
+function getStation(orgSlug, trailSlug, stationId) {
+    const id = stationId.toLowerCase();
+    const station = getTrail(orgSlug, trailSlug)?.stations?.[id];
+    return station ? { id, ...station } : null;
+}
+
+/**
+ * List stations of a trail
+ * @return array of station objects sorted by name
+ */
+
+function listStations(orgSlug, trailSlug) {
+    return Object.entries(getTrail(orgSlug, trailSlug)?.stations || {})
+        .map(([id, station]) => ({ id, ...station }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Create a station on a trail
+ * @returns created station object or null if trail not found
+ * @throws ValidationError (400) or conflict (409)
+ */
+
+function createStation(orgSlug, trailSlug, stationId, fields) {
+    const org = orgSlug.toLowerCase();
+    const slug = trailSlug.toLowerCase();
+    const id = typeof stationId === 'string' ? stationId.trim().toLowerCase() : '';
+
+    if (!SLUG_PATTERN.test(id)) {
+        throw validationError('id must contain only lowercase letters, numbers, hyphens and underscores');
+    }
+
+    if (RESERVED_STATION_IDS.includes(id)) {
+        throw validationError(`'${id}' is a reserved name`);
+    }
+
+    const station = {
+        description: null,
+        location: null,
+        bearing: null,
+        geofenceRadius: null,
+        alignFrames: null,
+        normalizeFrames: null,
+        frameSelection: null,
+        status: 'active',
+        ...pickEditableFields(fields, STATION_FIELDS),
+    };
+
+    validateTrailFields(station);
+
+    if (!station.name) {
+        throw validationError('name is required');
+    }
+
+    const trail = store.read()[org]?.[slug];
+    if (!trail) {
+        return null;
+    }
+
+    if (trail.stations?.[id]) {
+        throw httpError(409, 'Conflict', `Station '${id}' already exists on trail '${slug}'`);
+    }
+
+    const now = new Date().toISOString();
+    store.update(trails => {
+        const stations = { ...trails[org][slug].stations, [id]: { ...station, createdAt: now, updatedAt: now } };
+        trails[org][slug] = { ...trails[org][slug], stations, updatedAt: now };
+    });
+
+    console.log(`Station created: ${org}/${slug}/${id}`);
+    return getStation(org, slug, id);
+}
+
+/**
+ * Update a station
+ * @returns updated station object or null if not found
+ * @throws ValidationError (400)
+ */
+
+function updateStation(orgSlug, trailSlug, stationId, fields) {
+    const org = orgSlug.toLowerCase();
+    const slug = trailSlug.toLowerCase();
+    const id = stationId.toLowerCase();
+    const changes = pickEditableFields(fields, STATION_FIELDS);
+
+    validateTrailFields(changes);
+
+    if (!store.read()[org]?.[slug]?.stations?.[id]) {
+        return null;
+    }
+
+    store.update(trails => {
+        const stations = trails[org][slug].stations;
+        stations[id] = { ...stations[id], ...changes, updatedAt: new Date().toISOString() };
+    });
+
+    console.log(`Station updated: ${org}/${slug}/${id}`);
+    return getStation(org, slug, id);
+}
+
+/**
+ * Retire a station (photos stay viewable, uploads are rejected)
+ * @returns updated station object or null if not found
+ */
+
+function retireStation(orgSlug, trailSlug, stationId) {
+    return updateStation(orgSlug, trailSlug, stationId, { status: 'retired' });
+}
+
+/**
+ * Resolve a trail path ("trailSlug" or "trailSlug/stationId")
+ * @returns { trail, station, path } or null if trail or station is not registered
+ */
+
+function resolveTrailPath(orgSlug, trailPath) {
+    const [trailSlug, stationId, ...rest] = String(trailPath).split('/');
+
+    if (!trailSlug || rest.length > 0) {
+        return null;
+    }
+
+    const trail = getTrail(orgSlug, trailSlug);
+    if (!trail) {
+        return null;
+    }
+
+    if (stationId === undefined) {
+        return { trail, station: null, path: trail.slug };
+    }
+
+    const station = getStation(orgSlug, trailSlug, stationId);
+    if (!station) {
+        return null;
+    }
+
+    return { trail, station, path: `${trail.slug}/${station.id}` };
+}
+
+/**
+ * Check if timelapse frames of a trail path should be aligned
+ * A station uses its own setting, or the trail's when it has none
+ * @returns boolean
+ */
+
+function isAlignmentEnabled(orgSlug, trailPath) {
+    const resolved = resolveTrailPath(orgSlug, trailPath);
+    return Boolean(resolved?.station?.alignFrames ?? resolved?.trail.alignFrames);
+}
+
+/**
+ * Get the normalization method for timelapse frames of a trail path
+ * A station uses its own setting, or the trail's when it has none
+ * @returns 'histogram' | 'rolling', or null when normalization is off
+ */
+
+function getNormalizationMethod(orgSlug, trailPath) {
+    const resolved = resolveTrailPath(orgSlug, trailPath);
+    const mode = resolved?.station?.normalizeFrames ?? resolved?.trail.normalizeFrames ?? 'off';
+    return mode === 'off' ? null : mode;
+}
+
+/**
+ * Get the frame selection for the stored timelapse of a trail path
+ * A station uses its own selection, or the trail's when it has none
+ * @returns selection object, or null to use every unflagged, good quality photo
+ */
+
+function getFrameSelection(orgSlug, trailPath) {
+    const resolved = resolveTrailPath(orgSlug, trailPath);
+    return resolved?.station?.frameSelection ?? resolved?.trail.frameSelection ?? null;
+}
+
+/**
+ * Get the geofence uploads to a trail path are checked against
+ * A station uses its own location and radius, or the trail's when it has none
+ * @returns { latitude, longitude, radius }, or null when there is no geofence
+ */
+
+function getGeofence(orgSlug, trailPath) {
+    const resolved = resolveTrailPath(orgSlug, trailPath);
+    const location = resolved?.station?.location ?? resolved?.trail.location;
+    const radius = resolved?.station?.geofenceRadius ?? resolved?.trail.geofenceRadius;
+
+    if (!location || !radius) {
+        return null;
+    }
+    return { latitude: location.latitude, longitude: location.longitude, radius };
+}
+
+module.exports = {
+    getTrail,
+    listTrails,
+    createTrail,
+    updateTrail,
+    retireTrail,
+    getStation,
+    listStations,
+    createStation,
+    updateStation,
+    retireStation,
+    resolveTrailPath,
+    isAlignmentEnabled,
+    getNormalizationMethod,
+    getFrameSelection,
+    getGeofence,
+};
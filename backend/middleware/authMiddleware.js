@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+const { hasRole, verifyApiKey } = require('../config/apiKeys');
+
+/**
+ * Read the API key from X-API-Key or an Authorization: Bearer header
+ * @returns key string or null
+ */
+
+const getProvidedKey = (req) => {
+    const headerKey = req.get('X-API-Key');
+    if (headerKey) {
+        return headerKey;
+    }
+
+    const authorization = req.get('Authorization') || '';
+    const [scheme, token] = authorization.split(' ');
+    return scheme === 'Bearer' && token ? token : null;
+};
+
+/**
+ * Check the super admin key (ADMIN_API_KEY)
+ * @returns boolean
+ */
+
+const isSuperAdminKey = (key) => {
+    if (!config.adminApiKey) {
+        return false;
+    }
+
+    const providedKey = Buffer.from(key);
+    const expectedKey = Buffer.from(config.adminApiKey);
+    return providedKey.length === expectedKey.length && crypto.timingSafeEqual(providedKey, expectedKey);
+};
+
+/**
+ * Authentication middleware
+ * Attaches req.auth = { role, orgSlug, keyId, name }
+ * Requests without a key are public viewers; an unknown or revoked key is rejected
+ * @returns {Function} Express middleware function
+ */
+
+const authenticate = (req, res, next) => {
+    const key = getProvidedKey(req);
+
+    if (!key) {
+        req.auth = { role: 'viewer', orgSlug: null, keyId: null, name: null };
+        return next();
+    }
+
+    if (isSuperAdminKey(key)) {
+        req.auth = { role: 'super_admin', orgSlug: null, keyId: null, name: 'super admin' };
+        return next();
+    }
+
+    const apiKey = verifyApiKey(key);
+
+    if (!apiKey) {
+        return res.status(401).json({
+            status: 401,
+            error: 'Unauthorized',
+            message: 'Invalid or revoked API key'
+        });
+    }
+
+    req.auth = { role: apiKey.role, orgSlug: apiKey.orgSlug, keyId: apiKey.id, name: apiKey.name };
+    next();
+};
+
+/**
+ * Check if the caller has at least minRole in an organization
+ * @returns boolean
+ */
+
+const hasOrgRole = (auth, minRole, orgSlug) => {
+    if (!auth || !hasRole(auth.role, minRole)) {
+        return false;
+    }
+    return auth.role === 'super_admin' || (Boolean(orgSlug) && auth.orgSlug === orgSlug.toLowerCase());
+};
+
+/**
+ * Require a minimum role
+ * Org-scoped keys only pass for their own organization
+ * (taken from req.organization or the :orgSlug / :orgName route param)
+ * Must run after authenticate
+ * @param {string} minRole - 'contributor' | 'steward' | 'org_admin' | 'super_admin'
+ * @returns {Function} Express middleware function
+ */
+
+const requireRole = (minRole) => (req, res, next) => {
+    const auth = req.auth || { role: 'viewer' };
+
+    if (!hasRole(auth.role, minRole)) {
+        const status = auth.role === 'viewer' ? 401 : 403;
+        return res.status(status).json({
+            status,
+            error: status === 401 ? 'Unauthorized' : 'Forbidden',
+            message: status === 401
+                ? 'An API key is required for this action'
+                : `This action requires the '${minRole}' role`
+        });
+    }
+
+    if (auth.role !== 'super_admin') {
+        const orgSlug = (req.organization?.slug || req.params.orgSlug || req.params.orgName || '').toLowerCase();
+
+        if (!orgSlug || auth.orgSlug !== orgSlug) {
+            return res.status(403).json({
+                status: 403,
+                error: 'Forbidden',
+                message: 'API key is not valid for this organization'
+            });
+        }
+    }
+
+    next();
+};
+
+/**
+ * Upload access middleware
+ * Anyone can upload (QR-code flow) unless PUBLIC_UPLOADS=false,
+ * in which case a contributor key is required
+ * @returns {Function} Express middleware function
+ */
+
+const requireUploadAccess = (req, res, next) => {
+    if (config.publicUploads) {
+        return next();
+    }
+    return requireRole('contributor')(req, res, next);
+};
+
+module.exports = {
+    authenticate,
+    hasOrgRole,
+    requireRole,
+    requireUploadAccess,
+};
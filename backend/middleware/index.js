@@ -3,6 +3,9 @@
 
 const rateLimit = require('express-rate-limit');
 const config = require('../config/config');
+const { TIMELAPSE_FORMATS } = require('../services/storageProvider');
+const { findOrganization } = require('../config/organizations');
+const { parseObservationMetadata, getObservationTags } = require('../services/observationService');
 
 /**
  * Request logging middleware
@@ -37,6 +40,8 @@ const rateLimiter = rateLimit({
 /**
  * Validation middleware for photo upload
  * Validates presence of file and required metadata
+ * The optional metadata field is parsed into req.observation (tags are checked
+ * against the organization's observation tags)
  * @returns {Function} Express middleware function
  */
 
@@ -78,6 +83,18 @@ const validateUpload = (req, res, next) => {
         });
     }
 
+    //check observation metadata (GPS, device, note, tags)
+    try {
+        const allowedTags = getObservationTags(findOrganization(req.organization.slug));
+        req.observation = parseObservationMetadata(req.body.metadata, allowedTags);
+    } catch (error) {
+        return res.status(400).json({
+            status: 400,
+            error: 'Validation failed',
+            message: error.message
+        });
+    }
+
     next();
 };
 
@@ -90,13 +107,14 @@ const validateTimelapseRequest = (req, res, next) => {
     /**
      * Expected body:
      * {
-     *  trailName: [string]
+     *  trailName: [string],
+     *  format: 'gif' | 'mp4' | 'webm' | 'webp' (optional, default 'gif')
      * }
      * 
      * Generate for all trails in trailName array
      * If no trailName provided, generate for all trails in organization
      */
-    const { trailNames } = req.body;
+    const { trailNames, format } = req.body;
 
     if (!trailNames) {
         return res.status(400).json({
@@ -123,6 +141,14 @@ const validateTimelapseRequest = (req, res, next) => {
             });
         }
     }
+
+    if (format !== undefined && !Object.hasOwn(TIMELAPSE_FORMATS, format)) {
+        return res.status(400).json({
+            status: 400,
+            error: 'Validation failed',
+            message: `format must be one of: ${Object.keys(TIMELAPSE_FORMATS).join(', ')}`
+        });
+    }
     next();
 };
 
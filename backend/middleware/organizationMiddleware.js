@@ -1,4 +1,5 @@
 const { getOrganization, isValidOrganization } = require('../config/organizations');
+const { getTrail, getStation } = require('../config/trails');
 
 /**
  * Middleware to validate organization from route params
@@ -51,6 +52,7 @@ const validateOrganization = (req, res, next) => {
 
 /**
  * Validate trail name middleware
+ * Trail must be registered for the organization (see config/trails.js)
  * @returns {Function} Express middleware function
  */
 
@@ -76,11 +78,81 @@ const validateTrailName = (req, res, next) => {
         });
     }
 
-    req.trailName = sanitized;
+    const trail = getTrail(req.organization.slug, sanitized);
+
+    if (!trail) {
+        return res.status(404).json({
+            status: 404,
+            error: 'Not Found',
+            message: `Trail '${sanitized}' does not exist in organization '${req.organization.slug}'`
+        });
+    }
+
+    req.trail = trail;
+    req.trailName = trail.slug;
+    req.trailPath = trail.slug;
     next();
 
 };
 
+/**
+ * Validate optional station id middleware
+ * When the route has a :stationId, the station must be registered on the trail
+ * and req.trailPath points at the station's photo folder (trailSlug/stationId)
+ * Must run after validateTrailName
+ * @returns {Function} Express middleware function
+ */
+
+const validateStation = (req, res, next) => {
+    const stationId = req.params.stationId || req.body?.stationId;
+
+    req.station = null;
+
+    if (!stationId) {
+        return next();
+    }
+
+    const station = typeof stationId === 'string' ? getStation(req.organization.slug, req.trail.slug, stationId.trim()) : null;
+
+    if (!station) {
+        return res.status(404).json({
+            status: 404,
+            error: 'Not Found',
+            message: `Station '${stationId}' does not exist on trail '${req.trail.slug}'`
+        });
+    }
+
+    req.station = station;
+    req.trailPath = `${req.trail.slug}/${station.id}`;
+    next();
+};
+
+/**
+ * Require the trail (and station, if any) to be active
+ * Retired trails and stations accept no new photos
+ * Must run after validateTrailName and validateStation
+ * @returns {Function} Express middleware function
+ */
+
+const requireActiveTrail = (req, res, next) => {
+    if (req.trail.status !== 'active') {
+        return res.status(403).json({
+            status: 403,
+            error: 'Forbidden',
+            message: `Trail '${req.trail.slug}' is ${req.trail.status} and no longer accepts uploads`
+        });
+    }
+
+    if (req.station && req.station.status !== 'active') {
+        return res.status(403).json({
+            status: 403,
+            error: 'Forbidden',
+            message: `Station '${req.station.id}' is ${req.station.status} and no longer accepts uploads`
+        });
+    }
+    next();
+};
+
 /**
  * Log organization access
  * @returns {Function} Express middleware function
@@ -97,5 +169,7 @@ const logOrganizationAccess = (req, res, next) => {
 module.exports = {
     validateOrganization,
     validateTrailName,
+    validateStation,
+    requireActiveTrail,
     logOrganizationAccess
 };
\ No newline at end of file
@@ -0,0 +1,394 @@
+const express = require('express');
+const config = require('../config/config');
+const {
+    listOrganizations,
+    findOrganization,
+    createOrganization,
+    updateOrganization,
+    deactivateOrganization,
+} = require('../config/organizations');
+const {
+    listTrails,
+    getTrail,
+    createTrail,
+    updateTrail,
+    retireTrail,
+    listStations,
+    getStation,
+    createStation,
+    updateStation,
+    retireStation,
+} = require('../config/trails');
+const { listApiKeys, createApiKey, revokeApiKey } = require('../config/apiKeys');
+const storageService = require('../services/storageService');
+const { authenticate, requireRole } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// Organizations are managed by the super admin (ADMIN_API_KEY);
+// trails, stations and keys of an organization by its org admins
+router.use(authenticate);
+
+const superAdmin = requireRole('super_admin');
+const orgAdmin = requireRole('org_admin');
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+const sendNotFound = (res, orgSlug) => {
+    res.status(404).json({
+        status: 404,
+        error: 'Not Found',
+        message: `Organization '${orgSlug}' does not exist`
+    });
+};
+
+const sendTrailNotFound = (res, orgSlug, trailSlug) => {
+    res.status(404).json({
+        status: 404,
+        error: 'Not Found',
+        message: `Trail '${trailSlug}' does not exist in organization '${orgSlug}'`
+    });
+};
+
+const sendStationNotFound = (res, trailSlug, stationId) => {
+    res.status(404).json({
+        status: 404,
+        error: 'Not Found',
+        message: `Station '${stationId}' does not exist on trail '${trailSlug}'`
+    });
+};
+
+// Trail routes require the organization to exist (active or not)
+const requireOrganization = (req, res, next) => {
+    if (!findOrganization(req.params.orgSlug)) {
+        return sendNotFound(res, req.params.orgSlug);
+    }
+    next();
+};
+
+// Station routes require the trail to exist (active or not)
+const requireTrail = (req, res, next) => {
+    const { orgSlug, trailSlug } = req.params;
+    if (!getTrail(orgSlug, trailSlug)) {
+        return sendTrailNotFound(res, orgSlug, trailSlug);
+    }
+    next();
+};
+
+const orgMiddleware = [orgAdmin, requireOrganization];
+const stationMiddleware = [...orgMiddleware, requireTrail];
+
+// Make sure the org's storage backend is ready before it receives requests
+const initializeOrgStorage = (org) =>
+    storageService.initializeProvider(org.storage || config.defaultStorageProvider);
+
+// ============================================================================
+// ORGANIZATION ROUTES
+// ============================================================================
+
+/**
+ * List all organizations (including inactive)
+ * GET /api/admin/organizations
+ */
+router.get('/organizations', superAdmin, (req, res, next) => {
+    try {
+        res.json({ organizations: listOrganizations() });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Get a single organization
+ * GET /api/admin/organizations/:orgSlug
+ */
+router.get('/organizations/:orgSlug', orgAdmin, (req, res, next) => {
+    try {
+        const organization = findOrganization(req.params.orgSlug);
+        if (!organization) {
+            return sendNotFound(res, req.params.orgSlug);
+        }
+        res.json({ organization });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Create an organization
+ * POST /api/admin/organizations
+ * Body: { slug, name, storage, driveFolderId, localPath, s3, captions, observationTags, geofencePolicy, privacy, exifPolicy, active }
+ */
+router.post('/organizations', superAdmin, async (req, res, next) => {
+    try {
+        const { slug, ...fields } = req.body || {};
+        const organization = createOrganization(slug, fields);
+        await initializeOrgStorage(organization);
+        res.status(201).json({ organization });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Update an organization
+ * PATCH /api/admin/organizations/:orgSlug
+ * Body: any of { name, storage, driveFolderId, localPath, s3, captions, observationTags, geofencePolicy, privacy, exifPolicy, active }
+ */
+router.patch('/organizations/:orgSlug', superAdmin, async (req, res, next) => {
+    try {
+        const organization = updateOrganization(req.params.orgSlug, req.body);
+        if (!organization) {
+            return sendNotFound(res, req.params.orgSlug);
+        }
+        if (organization.active) {
+            await initializeOrgStorage(organization);
+        }
+        res.json({ organization });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Deactivate an organization
+ * DELETE /api/admin/organizations/:orgSlug
+ * The record is kept so it can be re-activated with PATCH { active: true }
+ */
+router.delete('/organizations/:orgSlug', superAdmin, (req, res, next) => {
+    try {
+        const organization = deactivateOrganization(req.params.orgSlug);
+        if (!organization) {
+            return sendNotFound(res, req.params.orgSlug);
+        }
+        res.json({ organization });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ============================================================================
+// TRAIL ROUTES
+// ============================================================================
+
+/**
+ * List trails of an organization (including retired)
+ * GET /api/admin/organizations/:orgSlug/trails
+ */
+router.get('/organizations/:orgSlug/trails', orgMiddleware, (req, res, next) => {
+    try {
+        res.json({ trails: listTrails(req.params.orgSlug) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Get a single trail
+ * GET /api/admin/organizations/:orgSlug/trails/:trailSlug
+ */
+router.get('/organizations/:orgSlug/trails/:trailSlug', orgMiddleware, (req, res, next) => {
+    try {
+        const { orgSlug, trailSlug } = req.params;
+        const trail = getTrail(orgSlug, trailSlug);
+        if (!trail) {
+            return sendTrailNotFound(res, orgSlug, trailSlug);
+        }
+        res.json({ trail });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Create a trail
+ * POST /api/admin/organizations/:orgSlug/trails
+ * Body: { slug, name, description, location: { latitude, longitude }, bearing, geofenceRadius, installDate, alignFrames, normalizeFrames, frameSelection, status }
+ */
+router.post('/organizations/:orgSlug/trails', orgMiddleware, (req, res, next) => {
+    try {
+        const { slug, ...fields } = req.body || {};
+        const trail = createTrail(req.params.orgSlug, slug, fields);
+        res.status(201).json({ trail });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Update a trail
+ * PATCH /api/admin/organizations/:orgSlug/trails/:trailSlug
+ * Body: any of { name, description, location, bearing, geofenceRadius, installDate, alignFrames, normalizeFrames, frameSelection, status }
+ */
+router.patch('/organizations/:orgSlug/trails/:trailSlug', orgMiddleware, (req, res, next) => {
+    try {
+        const { orgSlug, trailSlug } = req.params;
+        const trail = updateTrail(orgSlug, trailSlug, req.body);
+        if (!trail) {
+            return sendTrailNotFound(res, orgSlug, trailSlug);
+        }
+        res.json({ trail });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Retire a trail
+ * DELETE /api/admin/organizations/:orgSlug/trails/:trailSlug
+ * Photos stay viewable; re-activate with PATCH { status: 'active' }
+ */
+router.delete('/organizations/:orgSlug/trails/:trailSlug', orgMiddleware, (req, res, next) => {
+    try {
+        const { orgSlug, trailSlug } = req.params;
+        const trail = retireTrail(orgSlug, trailSlug);
+        if (!trail) {
+            return sendTrailNotFound(res, orgSlug, trailSlug);
+        }
+        res.json({ trail });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ============================================================================
+// STATION ROUTES
+// ============================================================================
+
+/**
+ * List stations of a trail (including retired)
+ * GET /api/admin/organizations/:orgSlug/trails/:trailSlug/stations
+ */
+router.get('/organizations/:orgSlug/trails/:trailSlug/stations', stationMiddleware, (req, res, next) => {
+    try {
+        const { orgSlug, trailSlug } = req.params;
+        res.json({ stations: listStations(orgSlug, trailSlug) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Get a single station
+ * GET /api/admin/organizations/:orgSlug/trails/:trailSlug/stations/:stationId
+ */
+router.get('/organizations/:orgSlug/trails/:trailSlug/stations/:stationId', stationMiddleware, (req, res, next) => {
+    try {
+        const { orgSlug, trailSlug, stationId } = req.params;
+        const station = getStation(orgSlug, trailSlug, stationId);
+        if (!station) {
+            return sendStationNotFound(res, trailSlug, stationId);
+        }
+        res.json({ station });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Create a station
+ * POST /api/admin/organizations/:orgSlug/trails/:trailSlug/stations
+ * Body: { id, name, description, location: { latitude, longitude }, bearing, geofenceRadius, alignFrames, normalizeFrames, frameSelection, status }
+ */
+router.post('/organizations/:orgSlug/trails/:trailSlug/stations', stationMiddleware, (req, res, next) => {
+    try {
+        const { orgSlug, trailSlug } = req.params;
+        const { id, ...fields } = req.body || {};
+        const station = createStation(orgSlug, trailSlug, id, fields);
+        res.status(201).json({ station });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Update a station
+ * PATCH /api/admin/organizations/:orgSlug/trails/:trailSlug/stations/:stationId
+ * Body: any of { name, description, location, bearing, geofenceRadius, alignFrames, normalizeFrames, frameSelection, status }
+ */
+router.patch('/organizations/:orgSlug/trails/:trailSlug/stations/:stationId', stationMiddleware, (req, res, next) => {
+    try {
+        const { orgSlug, trailSlug, stationId } = req.params;
+        const station = updateStation(orgSlug, trailSlug, stationId, req.body);
+        if (!station) {
+            return sendStationNotFound(res, trailSlug, stationId);
+        }
+        res.json({ station });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Retire a station
+ * DELETE /api/admin/organizations/:orgSlug/trails/:trailSlug/stations/:stationId
+ * Photos stay viewable; re-activate with PATCH { status: 'active' }
+ */
+router.delete('/organizations/:orgSlug/trails/:trailSlug/stations/:stationId', stationMiddleware, (req, res, next) => {
+    try {
+        const { orgSlug, trailSlug, stationId } = req.params;
+        const station = retireStation(orgSlug, trailSlug, stationId);
+        if (!station) {
+            return sendStationNotFound(res, trailSlug, stationId);
+        }
+        res.json({ station });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ============================================================================
+// API KEY ROUTES
+// ============================================================================
+
+/**
+ * List API keys of an organization (hashes are never returned)
+ * GET /api/admin/organizations/:orgSlug/keys
+ */
+router.get('/organizations/:orgSlug/keys', orgMiddleware, (req, res, next) => {
+    try {
+        res.json({ keys: listApiKeys(req.params.orgSlug) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Create an API key
+ * POST /api/admin/organizations/:orgSlug/keys
+ * Body: { name, role: 'contributor' | 'steward' | 'org_admin' }
+ * The plain key is only returned in this response
+ */
+router.post('/organizations/:orgSlug/keys', orgMiddleware, (req, res, next) => {
+    try {
+        const { apiKey, key } = createApiKey(req.params.orgSlug, req.body);
+        res.status(201).json({ apiKey, key });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Revoke an API key
+ * DELETE /api/admin/organizations/:orgSlug/keys/:keyId
+ */
+router.delete('/organizations/:orgSlug/keys/:keyId', orgMiddleware, (req, res, next) => {
+    try {
+        const { orgSlug, keyId } = req.params;
+        const apiKey = revokeApiKey(orgSlug, keyId);
+        if (!apiKey) {
+            return res.status(404).json({
+                status: 404,
+                error: 'Not Found',
+                message: `API key '${keyId}' does not exist in organization '${orgSlug}'`
+            });
+        }
+        res.json({ apiKey });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
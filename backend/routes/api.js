@@ -5,17 +5,89 @@ const fs = require('fs').promises;
 const fsSync = require('fs');
 const path = require('path');
 
-// Sharp is optional - used for thumbnails
-let sharp;
-try {
-    sharp = require('sharp');
-} catch (err) {
-    console.warn('Sharp not available - thumbnails will be limited');
-}
-
-const { listActiveOrganizations } = require('../config/organizations');
-const driveService = require('../services/driveService');
+const { listActiveOrganizations, findOrganization } = require('../config/organizations');
+const {
+    listTrails,
+    listStations,
+    resolveTrailPath,
+    isAlignmentEnabled,
+    getNormalizationMethod,
+    getGeofence,
+} = require('../config/trails');
+const { getStorageProvider } = require('../services/storageService');
 const timelapseService = require('../services/timelapseService');
+const jobQueue = require('../services/jobQueue');
+const {
+    MODERATION_STATUSES,
+    isApproved,
+    getModerationStatus,
+    getUploadProperties,
+    getReviewProperties,
+    withModeration,
+} = require('../services/moderationService');
+const {
+    getTrashPath,
+    withTrashInfo,
+    trashPhoto,
+    listTrash,
+    restorePhoto,
+} = require('../services/trashService');
+const { TIMELAPSE_FORMATS, getTimelapseFormat } = require('../services/storageProvider');
+const { NORMALIZATION_METHODS, isNormalizationAvailable } = require('../services/frameNormalizer');
+const { parseSelection } = require('../services/frameSelector');
+const { getCaptureProperties, compareCaptureTime, withCaptureTime } = require('../services/captureTimeService');
+const {
+    getObservationTags,
+    getObservationProperties,
+    getObservation,
+    hasObservationTag,
+    withObservation,
+} = require('../services/observationService');
+const {
+    getGeofencePolicy,
+    checkGeofence,
+    getGeofenceProperties,
+    isFlagged,
+    getGeofenceCheck,
+    withGeofence,
+} = require('../services/geofenceService');
+const {
+    screenPhoto,
+    getQualityProperties,
+    getQuality,
+    isLowQuality,
+    withQuality,
+} = require('../services/qualityScreener');
+const {
+    getPrivacySettings,
+    redactPhoto,
+    getPrivacyProperties,
+    getPrivacy,
+    withPrivacy,
+} = require('../services/privacyBlur');
+const {
+    getExifPolicy,
+    applyExifPolicy,
+    applyExifPolicyToFile,
+    getRetainedObservation,
+} = require('../services/exifPolicy');
+const {
+    mustConvert,
+    getUploadExtension,
+    getOriginalsPath,
+    normalizePhoto,
+    getIngestProperties,
+    getOriginalMimeType,
+} = require('../services/imageIngest');
+const {
+    RENDITION_FORMATS,
+    isRenditionAvailable,
+    getRenditionSize,
+    getCachedRendition,
+    createRendition,
+    createRenditions,
+    removeRenditions,
+} = require('../services/renditionCache');
 const {
     validateUpload,
     validateTimelapseRequest,
@@ -23,11 +95,22 @@ const {
 const {
     validateOrganization,
     validateTrailName,
+    validateStation,
+    requireActiveTrail,
     logOrganizationAccess,
 } = require('../middleware/organizationMiddleware');
+const {
+    authenticate,
+    hasOrgRole,
+    requireRole,
+    requireUploadAccess,
+} = require('../middleware/authMiddleware');
 
 const router = express.Router();
 
+// Identify the caller; requests without an API key are public viewers
+router.use(authenticate);
+
 // ============================================================================
 // MULTER CONFIGURATION
 // ============================================================================
@@ -65,11 +148,11 @@ const upload = multer({
 // HELPER FUNCTIONS
 // ============================================================================
 
-const generateFilename = (trailName, timestamp, extension) => {
+const generateFilename = (storage, trailName, timestamp, extension) => {
     const date = new Date(timestamp);
     const dateStr = date.toISOString().split('T')[0];
     const timeStr = date.toTimeString().split(' ')[0].replace(/:/g, '-');
-    const safeTrailName = driveService.sanitizeName(trailName);
+    const safeTrailName = storage.sanitizeName(trailName);
     return `${safeTrailName}_${dateStr}_${timeStr}${extension}`;
 };
 
@@ -91,6 +174,8 @@ const cleanupTempFile = (req) => {
 
 const getOrgSlug = (req) => req.organization.slug;
 
+const getStorage = (req) => getStorageProvider(getOrgSlug(req));
+
 const sendError = (res, statusCode, error, message = null) => {
     console.error(`Error (${statusCode}):`, message || error);
     res.status(statusCode).json({
@@ -99,10 +184,44 @@ const sendError = (res, statusCode, error, message = null) => {
     });
 };
 
-const cleanupTimelapseResult = (result) => {
-    if (result) {
-        timelapseService.cleanup(result.tempFiles, result.path);
+const isPhoto = (file) =>
+    file.mimeType?.startsWith('image/') && !getTimelapseFormat(file.name);
+
+// Send a media buffer, honouring a single byte range so browsers can seek in videos
+const sendMedia = (req, res, buffer, mimeType) => {
+    const range = req.range(buffer.length);
+
+    res.set('Accept-Ranges', 'bytes');
+
+    if (range === -1) {
+        res.set('Content-Range', `bytes */${buffer.length}`);
+        return res.status(416).end();
+    }
+
+    res.set('Content-Type', mimeType);
+
+    if (Array.isArray(range) && range.type === 'bytes' && range.length === 1) {
+        const { start, end } = range[0];
+        res.set('Content-Range', `bytes ${start}-${end}/${buffer.length}`);
+        return res.status(206).send(buffer.subarray(start, end + 1));
     }
+
+    res.send(buffer);
+};
+
+// Send a cached rendition; sendFile adds ETag and Last-Modified and answers revalidations with 304
+const sendRendition = (res, renditionPath, isPublic) => {
+    res.set('Cache-Control', isPublic ? 'public, max-age=86400' : 'private, no-cache');
+    res.sendFile(renditionPath, { cacheControl: false, dotfiles: 'allow' });
+};
+
+// Stewards and admins of the organization may see photos awaiting review
+const canModerate = (req) => hasOrgRole(req.auth, 'steward', getOrgSlug(req));
+
+// Queue a regeneration of the stored timelapse; uploads in quick succession share one job
+const regenerateInBackground = (orgSlug, trailPath) => {
+    const job = timelapseService.enqueueRegeneration(orgSlug, trailPath);
+    return { id: job.id, status: job.status };
 };
 
 // ============================================================================
@@ -110,7 +229,7 @@ const cleanupTimelapseResult = (result) => {
 // ============================================================================
 
 const orgMiddleware = [validateOrganization, logOrganizationAccess];
-const trailMiddleware = [...orgMiddleware, validateTrailName];
+const trailMiddleware = [...orgMiddleware, validateTrailName, validateStation];
 
 // ============================================================================
 // ROUTE HANDLERS
@@ -144,13 +263,82 @@ router.get('/organizations', async (req, res, next) => {
     }
 });
 
+// Load the job of a /jobs/:jobId route
+// Jobs with a requiredRole (generation requests) are only for that role in the job's organization;
+// jobs stored before roles were recorded count as steward jobs
+const jobMiddleware = (req, res, next) => {
+    const job = jobQueue.getJob(req.params.jobId);
+
+    if (!job) {
+        return sendError(res, 404, 'Job not found');
+    }
+
+    req.job = job;
+    const requiredRole = job.requiredRole === undefined ? 'steward' : job.requiredRole;
+    if (!requiredRole) {
+        return next();
+    }
+
+    // requireRole checks the key against req.organization
+    req.organization = { slug: job.orgSlug };
+    requireRole(requiredRole)(req, res, next);
+};
+
+/**
+ * Get a background job (timelapse regeneration or generation)
+ * GET /api/jobs/:jobId
+ * Generation jobs need a steward key of the job's organization
+ * progress: { phase: 'downloading' | 'aligning' | 'normalizing' | 'encoding', format,
+ *             framesTotal, framesDownloaded, framesAligned, framesNormalized, framesEncoded }
+ */
+router.get('/jobs/:jobId', jobMiddleware, (req, res) => {
+    res.json({ job: req.job });
+});
+
+/**
+ * Stream the timelapse produced by a generation job
+ * GET /api/jobs/:jobId/result
+ * Needs a steward key of the job's organization
+ */
+router.get('/jobs/:jobId/result', jobMiddleware, async (req, res, next) => {
+    const { job } = req;
+
+    if (job.status !== 'completed') {
+        return res.status(409).json({
+            status: 409,
+            error: 'Conflict',
+            message: `Job is ${job.status}`,
+            job,
+        });
+    }
+
+    if (!job.result?.trailPaths) {
+        return sendError(res, 404, 'Job has no timelapse result');
+    }
+
+    try {
+        const format = job.result.format || 'gif';
+        const buffer = await timelapseService.readGenerationResult(job.orgSlug, job.result);
+
+        if (!buffer) {
+            return sendError(res, 410, 'Timelapse is no longer available');
+        }
+
+        res.set('Content-Disposition', `inline; filename="timelapse-${job.id}.${format}"`);
+        sendMedia(req, res, buffer, TIMELAPSE_FORMATS[format].mimeType);
+    } catch (error) {
+        next(error);
+    }
+});
+
 /**
  * List trails for an organization
  * GET /api/:orgName/trails
+ * Query: status (optional, 'active' or 'retired')
  */
 router.get('/:orgName/trails', orgMiddleware, async (req, res, next) => {
     try {
-        const trails = await driveService.listTrailsInOrganization(getOrgSlug(req));
+        const trails = listTrails(getOrgSlug(req), { status: req.query.status });
         res.json({
             organization: req.organization,
             trails,
@@ -161,24 +349,197 @@ router.get('/:orgName/trails', orgMiddleware, async (req, res, next) => {
 });
 
 /**
- * Get all photos for a trail
- * GET /api/:orgName/:trailName
+ * List the observation tags contributors can add to photos
+ * GET /api/:orgName/observation-tags
+ */
+router.get('/:orgName/observation-tags', orgMiddleware, (req, res) => {
+    res.json({
+        organization: req.organization,
+        tags: getObservationTags(findOrganization(getOrgSlug(req))),
+    });
+});
+
+/**
+ * List photos awaiting review across all trails and stations (steward or admin)
+ * GET /api/:orgName/review
+ * Query: status (default 'pending'), trail (optional trail path to limit the search)
  */
-router.get('/:orgName/:trailName', trailMiddleware, async (req, res, next) => {
+router.get('/:orgName/review', orgMiddleware, requireRole('steward'), async (req, res, next) => {
     try {
-        // First check if trail exists
-        const trails = await driveService.listTrailsInOrganization(getOrgSlug(req));
-        const trailExists = trails.includes(req.trailName);
-        
-        if (!trailExists) {
-            return sendError(res, 404, 'Trail not found', `Trail '${req.trailName}' does not exist in organization`);
+        const orgSlug = getOrgSlug(req);
+        const status = req.query.status || 'pending';
+
+        if (!MODERATION_STATUSES.includes(status)) {
+            return sendError(res, 400, 'Validation failed', `status must be one of: ${MODERATION_STATUSES.join(', ')}`);
+        }
+
+        const trailPaths = [];
+        for (const trail of listTrails(orgSlug)) {
+            trailPaths.push(trail.slug, ...listStations(orgSlug, trail.slug).map(station => `${trail.slug}/${station.id}`));
         }
 
-        const files = await driveService.listFilesInTrail(
+        if (req.query.trail && !trailPaths.includes(req.query.trail)) {
+            return sendError(res, 404, 'Trail not found', `Unknown trail '${req.query.trail}'`);
+        }
+
+        const storage = getStorage(req);
+        const photos = [];
+
+        // One trail at a time to stay within storage API rate limits
+        for (const trailPath of req.query.trail ? [req.query.trail] : trailPaths) {
+            const files = await storage.listFilesInTrail(orgSlug, trailPath);
+            photos.push(...files
+                .filter(file => isPhoto(file) && getModerationStatus(file) === status)
+                .sort(compareCaptureTime)
+                .map(file => ({
+                    ...withPrivacy(withQuality(withGeofence(withObservation(withCaptureTime(withModeration(file)))))),
+                    trailPath,
+                })));
+        }
+
+        res.json({ organization: req.organization, status, photos });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Serve the stored timelapse of a trail or one of its stations
+ * GET /api/:orgName/:trailName[/:stationId]/timelapse
+ * Query: format ('gif' (default), 'mp4', 'webm' or 'webp')
+ * Public; stored formats are regenerated in the background after each upload
+ */
+router.get('/:orgName/:trailName{/:stationId}/timelapse', trailMiddleware, async (req, res, next) => {
+    try {
+        const format = req.query.format || 'gif';
+
+        if (!Object.hasOwn(TIMELAPSE_FORMATS, format)) {
+            return sendError(res, 400, 'Validation failed', `format must be one of: ${Object.keys(TIMELAPSE_FORMATS).join(', ')}`);
+        }
+
+        const storage = getStorage(req);
+        const stored = await storage.getTimelapseFile(getOrgSlug(req), req.trailPath, format);
+
+        if (!stored) {
+            return res.status(404).json({
+                status: 404,
+                error: 'Not Found',
+                message: `No ${format} timelapse has been generated for '${req.trailPath}' yet`
+            });
+        }
+
+        const buffer = await storage.getFileBuffer(stored.id);
+        res.set('Cache-Control', 'public, max-age=300');
+        sendMedia(req, res, buffer, TIMELAPSE_FORMATS[format].mimeType);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Get timelapse regeneration status of a trail or one of its stations
+ * GET /api/:orgName/:trailName[/:stationId]/jobs
+ * updating is true while a regeneration is queued or running
+ */
+router.get('/:orgName/:trailName{/:stationId}/jobs', trailMiddleware, (req, res) => {
+    const { updating, jobs } = timelapseService.getRegenerationStatus(getOrgSlug(req), req.trailPath);
+
+    res.json({
+        trail: req.trailName,
+        station: req.station?.id || null,
+        updating,
+        jobs,
+    });
+});
+
+/**
+ * Get the frame alignment report of a trail or one of its stations (steward or admin)
+ * GET /api/:orgName/:trailName[/:stationId]/alignment
+ * Lists the shift and confidence of every photo in the last regenerated timelapse,
+ * including photos dropped as misaligned
+ */
+router.get('/:orgName/:trailName{/:stationId}/alignment', trailMiddleware, requireRole('steward'), (req, res) => {
+    const orgSlug = getOrgSlug(req);
+    const report = timelapseService.getAlignmentReport(orgSlug, req.trailPath);
+
+    if (!report) {
+        return sendError(res, 404, 'Not Found', `No alignment report for '${req.trailPath}'; enable alignFrames and upload a photo to create one`);
+    }
+
+    res.json({
+        trail: req.trailName,
+        station: req.station?.id || null,
+        alignFrames: isAlignmentEnabled(orgSlug, req.trailPath),
+        alignment: report,
+    });
+});
+
+/**
+ * Preview exposure and color normalization on one photo (steward or admin)
+ * GET /api/:orgName/:trailName[/:stationId]/normalization/preview
+ * Query: method ('histogram' or 'rolling', default the trail's normalizeFrames or 'histogram'),
+ *        fileId (default the newest approved photo), size (width of each half, default 400)
+ * Returns a JPEG with the original photo on the left and the normalized one on the right
+ */
+router.get(
+    '/:orgName/:trailName{/:stationId}/normalization/preview',
+    trailMiddleware,
+    requireRole('steward'),
+    async (req, res, next) => {
+        const orgSlug = getOrgSlug(req);
+        const method = req.query.method || getNormalizationMethod(orgSlug, req.trailPath) || 'histogram';
+        const size = Math.min(parseInt(req.query.size, 10) || 400, config.timelapseMaxWidth);
+
+        if (!NORMALIZATION_METHODS.includes(method)) {
+            return sendError(res, 400, 'Validation failed', `method must be one of: ${NORMALIZATION_METHODS.join(', ')}`);
+        }
+
+        if (!isNormalizationAvailable()) {
+            return sendError(res, 501, 'Not Implemented', 'Normalization previews require sharp on the server');
+        }
+
+        try {
+            const preview = await timelapseService.previewNormalization(
+                orgSlug, req.trailPath, method, req.query.fileId || null, size
+            );
+
+            res.set('Content-Type', 'image/jpeg');
+            res.set('Cache-Control', 'no-store');
+            res.set('X-Normalization-Method', method);
+            res.send(preview);
+        } catch (error) {
+            next(error);
+        }
+    }
+);
+
+/**
+ * Get all photos for a trail or one of its stations
+ * GET /api/:orgName/:trailName[/:stationId]
+ * Photos are ordered oldest first by capturedAt (when the photo was taken) and
+ * include the metadata recorded with the upload (GPS, device, note, tags)
+ * Photos taken outside the trail's geofence have flagged: true, photos scoring below
+ * QUALITY_MIN_SCORE have lowQuality: true (see services/qualityScreener.js)
+ * Query: tag (optional, only photos with this observation tag)
+ * timelapseFormats lists the stored timelapse formats
+ */
+router.get('/:orgName/:trailName{/:stationId}', trailMiddleware, async (req, res, next) => {
+    try {
+        const files = await getStorage(req).listFilesInTrail(
             getOrgSlug(req),
-            req.trailName
+            req.trailPath
         );
-        res.json({ files });
+        res.json({
+            trail: req.trail,
+            station: req.station,
+            stations: listStations(getOrgSlug(req), req.trail.slug),
+            files: files
+                .filter(file => isApproved(file) && !getTimelapseFormat(file.name))
+                .filter(file => !req.query.tag || hasObservationTag(file, String(req.query.tag)))
+                .sort(compareCaptureTime)
+                .map(file => withPrivacy(withQuality(withGeofence(withObservation(withCaptureTime(file)))))),
+            timelapseFormats: files.map(file => getTimelapseFormat(file.name)).filter(Boolean),
+        });
     } catch (error) {
         next(error);
     }
@@ -186,56 +547,72 @@ router.get('/:orgName/:trailName', trailMiddleware, async (req, res, next) => {
 
 /**
  * Serve a thumbnail for a trail image
- * GET /api/:orgName/:trailName/thumbnail/:fileId
- * Query: size (default 256)
+ * GET /api/:orgName/:trailName[/:stationId]/thumbnail/:fileId
+ * Query: size (default 256, rounded to one of RENDITION_SIZES), format (jpeg or webp, default jpeg)
+ * Thumbnails are cached on disk (see services/renditionCache.js) and sent with ETag and Last-Modified
  */
 router.get(
-    '/:orgName/:trailName/thumbnail/:fileId',
+    '/:orgName/:trailName{/:stationId}/thumbnail/:fileId',
     trailMiddleware,
     async (req, res, next) => {
         const { fileId } = req.params;
-        const size = parseInt(req.query.size, 10) || 256;
+        const orgSlug = getOrgSlug(req);
+        const size = getRenditionSize(parseInt(req.query.size, 10) || 256);
+        const format = req.query.format || 'jpeg';
+
+        if (!Object.hasOwn(RENDITION_FORMATS, format)) {
+            return sendError(res, 400, 'Validation failed', `format must be one of: ${Object.keys(RENDITION_FORMATS).join(', ')}`);
+        }
 
         try {
-            const files = await driveService.listFilesInTrail(
-                getOrgSlug(req),
-                req.trailName
-            );
+            const cached = await getCachedRendition(orgSlug, fileId, size, format);
+            if (cached && cached.info.trailPath === req.trailPath && (cached.info.public || canModerate(req))) {
+                return sendRendition(res, cached.path, cached.info.public);
+            }
+
+            const storage = getStorage(req);
+            const files = await storage.listFilesInTrail(orgSlug, req.trailPath);
             
             const file = files.find(f => f.id === fileId);
-            if (!file) {
+            if (!file || (!isApproved(file) && !canModerate(req))) {
                 return sendError(res, 404, 'File not found');
             }
 
+            if (!isRenditionAvailable()) {
+                // Without sharp the stored photo is the thumbnail, validated by its modified time
+                const modified = new Date(file.modifiedTime || file.createdTime);
+                res.set('ETag', `"${file.id}-${modified.getTime()}-${getExifPolicy(findOrganization(orgSlug))}"`);
+                res.set('Last-Modified', modified.toUTCString());
+                res.set('Cache-Control', isApproved(file) ? 'public, max-age=86400' : 'private, no-cache');
+                if (req.fresh) {
+                    return res.status(304).end();
+                }
+            }
+
             console.log(`[THUMBNAIL] Generating thumbnail for: ${file.name} (${fileId})`);
 
-            // Get image buffer directly from Google Drive
-            const imageBuffer = await driveService.getFileBuffer(fileId);
+            // Get image buffer directly from storage
+            const imageBuffer = await storage.getFileBuffer(fileId);
             
             if (!imageBuffer || imageBuffer.length === 0) {
                 console.error('[THUMBNAIL] Empty or null buffer received');
-                return sendError(res, 500, 'Failed to download image from Drive');
+                return sendError(res, 500, 'Failed to download image from storage');
             }
 
             // If sharp is available, use it for thumbnails
-            if (sharp) {
-                console.log(`[THUMBNAIL] Creating thumbnail with Sharp (size: ${size}px)`);
-                const thumbnail = await sharp(imageBuffer)
-                    .resize(size, size, { fit: 'cover' })
-                    .jpeg({ quality: 85 })
-                    .toBuffer();
-
-                console.log(`[THUMBNAIL] Thumbnail generated: ${thumbnail.length} bytes`);
-
-                res.set('Content-Type', 'image/jpeg');
-                res.set('Cache-Control', 'public, max-age=86400');
-                res.send(thumbnail);
+            if (isRenditionAvailable()) {
+                console.log(`[THUMBNAIL] Creating ${format} thumbnail with Sharp (size: ${size}px)`);
+                const renditionPath = await createRendition(
+                    orgSlug, req.trailPath, file, imageBuffer, size, format, isApproved(file)
+                );
+                sendRendition(res, renditionPath, isApproved(file));
             } else {
-                // Fallback: return original image if sharp not available
+                // Fallback: return original image if sharp not available, without the metadata
+                // the organization's EXIF policy leaves out (photos stored before the policy still carry it)
                 console.log(`[THUMBNAIL] Sharp not available, returning original image`);
+                const { buffer } = applyExifPolicy(imageBuffer, getExifPolicy(findOrganization(orgSlug)));
                 res.set('Content-Type', file.mimeType || 'image/jpeg');
-                res.set('Cache-Control', 'public, max-age=86400');
-                res.send(imageBuffer);
+                res.send(buffer);
             }
         } catch (error) {
             console.error('[THUMBNAIL] Error:', error.message);
@@ -245,184 +622,426 @@ router.get(
 );
 
 /**
- * Upload photo to a trail
- * POST /api/:orgName/:trailName/upload
+ * Upload photo to a trail or one of its stations
+ * POST /api/:orgName/:trailName[/:stationId]/upload
+ * Body: photo (file), timestamp (when the photo was taken, used if the photo has no EXIF date),
+ *   metadata (optional JSON: latitude, longitude, accuracy, gpsLatitude, gpsLongitude,
+ *   cameraMake, cameraModel, orientation, note, tags; see services/observationService.js)
+ * The position in metadata is checked against the trail's geofence; photos outside it are
+ * flagged, or refused with 422 when the organization's geofencePolicy is "reject" (which flags
+ * photos whose position is missing or too inaccurate to check)
+ * The photo is screened for exposure, blur, duplicates and framing and its quality score stored
+ * Metadata is removed from the photo (and EXIF fields from metadata) per the organization's exifPolicy
+ * The photo is turned upright, resized and re-encoded (INGEST_* settings); KEEP_ORIGINALS keeps the upload
+ * HEIC, HEIF and AVIF photos are converted to INGEST_FORMAT, or refused with 415 if they cannot be
+ * Faces (and people, if the organization asks for it) are blurred before the photo is stored;
+ * the organization's privacy.keepOriginals keeps the unredacted photo in the _originals folder;
+ * photos that could not be checked (detection unavailable or failed) are held for review
+ * Thumbnails in RENDITION_SIZES are made before responding
  */
 router.post(
-    '/:orgName/:trailName/upload',
+    '/:orgName/:trailName{/:stationId}/upload',
     trailMiddleware,
+    requireActiveTrail,
+    requireUploadAccess,
     upload.single('photo'),
     validateUpload,
     async (req, res, next) => {
-        const { organization, trailName, file, body } = req;
+        const { organization, trailPath, file, body, observation } = req;
         const { timestamp } = body;
         const orgSlug = getOrgSlug(req);
 
-        console.log(`Photo upload request for ${orgSlug} / ${trailName}`);
+        console.log(`Photo upload request for ${orgSlug} / ${trailPath}`);
 
+        // Derived temp files (normalized, blurred) removed with the upload
+        const derivedPaths = [];
+        // Files already stored (the kept original, the photo) are deleted again if a later step fails,
+        // so an unredacted original never stays behind without its photo
+        const storedFileIds = [];
         try {
+            const settings = findOrganization(orgSlug);
+            const geofence = getGeofence(orgSlug, trailPath);
+            const geofencePolicy = getGeofencePolicy(settings);
+            const geofenceCheck = geofence ? checkGeofence(geofence, observation, geofencePolicy) : null;
+
+            if (geofenceCheck?.status === 'outside') {
+                console.log(`Upload to ${trailPath} taken ${geofenceCheck.distance} m from the station (radius ${geofence.radius} m)`);
+
+                if (geofencePolicy === 'reject') {
+                    cleanupTempFile(req);
+                    return sendError(
+                        res,
+                        422,
+                        'Outside geofence',
+                        `Photo was taken ${geofenceCheck.distance} m from the photo station; uploads must be within ${geofence.radius} m`
+                    );
+                }
+            }
+
+            const storage = getStorage(req);
+            const captureProperties = await getCaptureProperties(file.path, timestamp);
+            const { capturedAt } = captureProperties;
+
+            // The capture time and orientation are read before the policy removes them from the file
+            const exifPolicy = getExifPolicy(settings);
+            const { orientation } = await applyExifPolicyToFile(file.path, exifPolicy);
+            const storedObservation = getRetainedObservation(observation, exifPolicy, orientation);
+
+            const normalized = await normalizePhoto(file.path);
+            if (normalized) {
+                derivedPaths.push(normalized.path);
+
+                // HEIC and AVIF metadata is only filtered once converted
+                await applyExifPolicyToFile(normalized.path, exifPolicy);
+            } else if (mustConvert(file.mimetype)) {
+                cleanupTempFile(req);
+                return sendError(
+                    res,
+                    415,
+                    'Unsupported file type',
+                    `${file.mimetype} photos cannot be converted on this server; upload a JPEG, PNG or WebP photo`
+                );
+            }
+            const photoPath = normalized?.path || file.path;
+            const mimeType = normalized?.mimeType || file.mimetype;
+
             const filename = generateFilename(
-                trailName,
-                timestamp,
-                path.extname(file.originalname)
+                storage,
+                trailPath,
+                capturedAt,
+                normalized?.extension || getUploadExtension(file)
+            );
+
+            console.log(`Uploading file: ${filename} (captured ${capturedAt}, from ${captureProperties.captureTimeSource})`);
+
+            const trailFiles = await storage.listFilesInTrail(orgSlug, trailPath);
+            const quality = await screenPhoto(
+                photoPath,
+                capturedAt,
+                trailFiles.filter(isPhoto),
+                (fileId) => storage.getFileBuffer(fileId)
             );
+            if (quality) {
+                console.log(`Quality score of ${filename}: ${quality.score}${quality.issues.length > 0 ? ` (${quality.issues.join(', ')})` : ''}`);
+            }
 
-            console.log(`Uploading file: ${filename}`);
+            const privacy = getPrivacySettings(settings);
+            const redaction = await redactPhoto(photoPath, privacy);
+            if (redaction.path) {
+                derivedPaths.push(redaction.path);
+            }
 
-            const description = `StewardView observation at ${trailName} on ${timestamp}`;
-            const driveFile = await driveService.uploadFile(
+            const description = `StewardView observation at ${trailPath} on ${capturedAt}`;
+
+            // An unredacted original is only kept when the organization opted in
+            const blurred = redaction.status === 'blurred';
+            if (blurred) {
+                console.log(`Blurred ${redaction.faces} face(s) and ${redaction.people} person(s) in ${filename}`);
+            }
+
+            let originalFileId = null;
+            if (blurred ? privacy.keepOriginals : normalized && config.keepOriginals) {
+                const original = await storage.uploadFile(
+                    orgSlug,
+                    getOriginalsPath(trailPath),
+                    file.path,
+                    `${path.basename(filename, path.extname(filename))}${getUploadExtension(file)}`,
+                    file.mimetype,
+                    `${blurred ? 'Unredacted' : 'Original'} ${description}`
+                );
+                originalFileId = original.id;
+                storedFileIds.push(original.id);
+            }
+
+            const storedFile = await storage.uploadFile(
                 orgSlug,
-                trailName,
-                file.path,
+                trailPath,
+                redaction.path || photoPath,
                 filename,
-                file.mimetype,
-                description
+                mimeType,
+                description,
+                {
+                    // Photos that could not be checked for faces wait for a steward, whoever uploads them
+                    ...getUploadProperties(req.auth, canModerate(req) && redaction.status !== 'unchecked'),
+                    ...captureProperties,
+                    ...getObservationProperties(storedObservation),
+                    ...(geofenceCheck ? getGeofenceProperties(geofenceCheck) : {}),
+                    ...(quality ? getQualityProperties(quality) : {}),
+                    ...getPrivacyProperties(redaction),
+                    ...getIngestProperties(file.mimetype, normalized, originalFileId),
+                    exifPolicy,
+                }
             );
+            storedFileIds.push(storedFile.id);
+            const approved = isApproved(storedFile);
+
+            // Make the standard thumbnail sizes now, from the photo still on disk
+            await createRenditions(orgSlug, trailPath, storedFile, redaction.path || photoPath, approved);
 
             await deleteFileIfExists(file.path);
+            for (const derivedPath of derivedPaths) {
+                await deleteFileIfExists(derivedPath);
+            }
 
             console.log(
-                `Upload successful: ${driveFile.name} (ID: ${driveFile.id})`
+                `Upload successful: ${storedFile.name} (ID: ${storedFile.id})`
             );
 
-            // Trigger timelapse regeneration in the background (don't wait for it)
-            console.log(`Triggering timelapse regeneration for trail '${trailName}'`);
-            timelapseService.regenerateAndStore(orgSlug, trailName)
-                .then(success => {
-                    if (success) {
-                        console.log(`Background timelapse regeneration completed for '${trailName}'`);
-                    } else {
-                        console.log(`Background timelapse regeneration skipped or failed for '${trailName}'`);
-                    }
-                })
-                .catch(err => {
-                    console.error(`Background timelapse regeneration error for '${trailName}':`, err.message);
-                });
+            // Pending photos are not part of the timelapse until approved, flagged and low quality photos not at all
+            const timelapseJob = approved && !isFlagged(storedFile) && !isLowQuality(storedFile)
+                ? regenerateInBackground(orgSlug, trailPath)
+                : null;
 
             res.json({
                 success: true,
-                message: 'Photo uploaded successfully',
+                message: approved
+                    ? 'Photo uploaded successfully'
+                    : 'Photo uploaded successfully and is awaiting review',
+                moderationStatus: getModerationStatus(storedFile),
                 organization: organization.name,
-                trail: trailName,
+                trail: req.trail.slug,
+                station: req.station?.id || null,
+                timelapseJob,
                 file: {
-                    id: driveFile.id,
-                    name: driveFile.name,
-                    link: driveFile.webViewLink,
-                    downloadLink: driveFile.webContentLink,
-                    createdTime: driveFile.createdTime,
-                    size: driveFile.size,
+                    id: storedFile.id,
+                    name: storedFile.name,
+                    link: storedFile.webViewLink,
+                    downloadLink: storedFile.webContentLink,
+                    createdTime: storedFile.createdTime,
+                    mimeType,
+                    originalMimeType: getOriginalMimeType(storedFile),
+                    capturedAt,
+                    size: storedFile.size,
+                    metadata: getObservation(storedFile),
+                    flagged: isFlagged(storedFile),
+                    geofence: getGeofenceCheck(storedFile),
+                    quality: getQuality(storedFile),
+                    lowQuality: isLowQuality(storedFile),
+                    privacy: getPrivacy(storedFile),
                 },
             });
         } catch (error) {
             cleanupTempFile(req);
-            sendError(res, 500, 'Upload failed', error.message);
+            for (const derivedPath of derivedPaths) {
+                await deleteFileIfExists(derivedPath);
+            }
+            for (const fileId of storedFileIds) {
+                try {
+                    await getStorage(req).deleteFile(fileId);
+                    await removeRenditions(orgSlug, fileId);
+                } catch (cleanupError) {
+                    console.error(`Error deleting ${fileId} after a failed upload:`, cleanupError.message);
+                }
+            }
+            // Photos the EXIF policy cannot be applied to are refused as invalid
+            sendError(res, error.name === 'ValidationError' ? 400 : 500, 'Upload failed', error.message);
         }
     }
 );
 
 /**
- * Generate timelapse for an organization
+ * Approve or reject a photo (steward or admin)
+ * POST /api/:orgName/:trailName[/:stationId]/photos/:fileId/review
+ * Body: { status: 'approved' | 'rejected', reason } (reason required when rejecting)
+ */
+router.post(
+    '/:orgName/:trailName{/:stationId}/photos/:fileId/review',
+    trailMiddleware,
+    requireRole('steward'),
+    async (req, res, next) => {
+        const { fileId } = req.params;
+        const orgSlug = getOrgSlug(req);
+
+        try {
+            const changes = getReviewProperties(req.auth, req.body);
+            const storage = getStorage(req);
+            const files = await storage.listFilesInTrail(orgSlug, req.trailPath);
+
+            const file = files.find(f => f.id === fileId && isPhoto(f));
+            if (!file) {
+                return sendError(res, 404, 'File not found');
+            }
+
+            const updated = await storage.updateFileProperties(fileId, changes);
+            // Cached thumbnails record whether the photo is public, make them again
+            await removeRenditions(orgSlug, fileId);
+            console.log(`Photo ${file.name} in '${req.trailPath}' marked ${changes.moderationStatus} by ${changes.moderatedBy}`);
+
+            // Approving adds a frame to the timelapse, rejecting an approved photo removes one
+            if (isApproved(file) !== isApproved(updated)) {
+                regenerateInBackground(orgSlug, req.trailPath);
+            }
+
+            res.json({ photo: withModeration(updated) });
+        } catch (error) {
+            next(error);
+        }
+    }
+);
+
+/**
+ * List deleted photos of a trail that can still be restored (steward or admin)
+ * GET /api/:orgName/:trailName[/:stationId]/photos/trash
+ * Photos past TRASH_RETENTION_DAYS are left out until the daily purge deletes them
+ */
+router.get(
+    '/:orgName/:trailName{/:stationId}/photos/trash',
+    trailMiddleware,
+    requireRole('steward'),
+    async (req, res, next) => {
+        try {
+            const files = await listTrash(getStorage(req), getOrgSlug(req), req.trailPath);
+
+            res.json({
+                trail: req.trailName,
+                station: req.station?.id || null,
+                retentionDays: config.trashRetentionDays,
+                files: files.map(withTrashInfo),
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+);
+
+/**
+ * Delete a photo (steward or admin)
+ * DELETE /api/:orgName/:trailName[/:stationId]/photos/:fileId
+ * Body or query: { reason } (required)
+ * The photo moves to the trail's trash and can be restored for TRASH_RETENTION_DAYS
+ */
+router.delete(
+    '/:orgName/:trailName{/:stationId}/photos/:fileId',
+    trailMiddleware,
+    requireRole('steward'),
+    async (req, res, next) => {
+        const { fileId } = req.params;
+        const orgSlug = getOrgSlug(req);
+
+        try {
+            const storage = getStorage(req);
+            const files = await storage.listFilesInTrail(orgSlug, req.trailPath);
+
+            const file = files.find(f => f.id === fileId && isPhoto(f));
+            if (!file) {
+                return sendError(res, 404, 'File not found');
+            }
+
+            const reason = req.body?.reason ?? req.query.reason;
+            const trashed = await trashPhoto(storage, orgSlug, req.trailPath, file, req.auth, reason);
+
+            // Stop serving a timelapse that still contains the photo, then rebuild it
+            if (isApproved(file)) {
+                await timelapseService.deleteStoredTimelapse(orgSlug, req.trailPath);
+                regenerateInBackground(orgSlug, req.trailPath);
+            }
+
+            res.json({ photo: withTrashInfo(withModeration(trashed)) });
+        } catch (error) {
+            next(error);
+        }
+    }
+);
+
+/**
+ * Restore a deleted photo (steward or admin)
+ * POST /api/:orgName/:trailName[/:stationId]/photos/:fileId/restore
+ * fileId is the ID returned by the trash listing
+ */
+router.post(
+    '/:orgName/:trailName{/:stationId}/photos/:fileId/restore',
+    trailMiddleware,
+    requireRole('steward'),
+    async (req, res, next) => {
+        const { fileId } = req.params;
+        const orgSlug = getOrgSlug(req);
+
+        try {
+            const storage = getStorage(req);
+            const files = await storage.listFilesInTrail(orgSlug, getTrashPath(req.trailPath));
+
+            const file = files.find(f => f.id === fileId);
+            if (!file) {
+                return sendError(res, 404, 'File not found in trash');
+            }
+
+            const restored = await restorePhoto(storage, orgSlug, req.trailPath, file);
+
+            if (isApproved(restored)) {
+                regenerateInBackground(orgSlug, req.trailPath);
+            }
+
+            res.json({ photo: withModeration(restored) });
+        } catch (error) {
+            next(error);
+        }
+    }
+);
+
+/**
+ * Generate timelapse for an organization (steward or admin)
  * POST /api/:orgName/generate-timelapse
- * Body: { trails: [trailName1, trailName2, ...] }
- * If trails is empty or missing, includes all trails in the organization
+ * Body: { trailNames: [trailName1, 'trailName2/stationId', ...], format: 'gif', selection: {...} }
+ * A station is addressed as trailName/stationId
+ * format is 'gif' (default), 'mp4', 'webm' or 'webp'; video formats need ffmpeg
+ * selection picks the photos (date range, time of day, one per day/week/month, same date
+ * each year, max frames, flagged photos; see services/frameSelector.js); without it each trail's
+ * frameSelection default is used
+ * Returns 202 with a job; poll GET /api/jobs/:jobId and fetch the timelapse from
+ * GET /api/jobs/:jobId/result once it has completed. Serverless deployments cannot run
+ * background jobs, so there the timelapse is generated in the request and returned with 200
  */
 router.post(
     '/:orgName/generate-timelapse',
     orgMiddleware,
+    requireRole('steward'),
     validateTimelapseRequest,
     async (req, res, next) => {
         const { body } = req;
-        const { trailNames } = body;
         const orgSlug = getOrgSlug(req);
+        const format = body.format || 'gif';
 
-        console.log(`Timelapse generation request for organization: ${orgSlug}`);
+        if (!timelapseService.isFormatAvailable(format)) {
+            return sendError(res, 501, 'Not Implemented', `${format} timelapses are not available on this server`);
+        }
 
-        const trailsDisplay =
-            trailNames && trailNames.length > 0
-                ? trailNames.join(', ')
-                : 'ALL';
-        console.log(`Generating timelapse for trails: ${trailsDisplay}`);
+        let selection;
+        try {
+            selection = parseSelection(body.selection);
+        } catch (error) {
+            return sendError(res, 400, 'Validation failed', error.message);
+        }
 
-        // For single trail requests, check if cached GIF exists in Drive
-        if (trailNames && trailNames.length === 1) {
-            const trailName = trailNames[0];
-            
+        // Only registered trails can be rendered (avoids creating stray storage folders)
+        const resolved = body.trailNames.map(name => resolveTrailPath(orgSlug, name.trim()));
+        const unknownTrails = body.trailNames.filter((_, i) => !resolved[i]);
+        if (unknownTrails.length > 0) {
+            return sendError(res, 404, 'Trail not found', `Unknown trail(s): ${unknownTrails.join(', ')}`);
+        }
+        const trailNames = resolved.map(trail => trail.path);
+
+        console.log(`Timelapse generation request for organization '${orgSlug}': ${trailNames.join(', ')}`);
+
+        if (config.serverless) {
             try {
-                const existingGif = await driveService.getTimelapseGif(orgSlug, trailName);
-                
-                if (existingGif) {
-                    console.log(`Found cached timelapse GIF for trail '${trailName}', serving from Drive`);
-                    
-                    // Download the GIF and send it
-                    // Use absolute path from config (already handles serverless vs local)
-                    const tempDir = config.tempDir;
-                    if (!fsSync.existsSync(tempDir)) {
-                        fsSync.mkdirSync(tempDir, { recursive: true });
-                    }
-                    
-                    const tempGifPath = path.join(tempDir, `${orgSlug}_${trailName}_cached_${Date.now()}.gif`);
-                    await driveService.downloadFile(existingGif.id, tempGifPath);
-                    
-                    res.sendFile(tempGifPath, (err) => {
-                        if (err) {
-                            console.error('Error sending cached timelapse file:', err.message);
-                        }
-                        // Cleanup temp file
-                        deleteFileIfExists(tempGifPath);
-                    });
-                    
-                    return;
+                const buffer = await timelapseService.generateNow(orgSlug, trailNames, format, selection);
+                if (!buffer) {
+                    return sendError(res, 410, 'Timelapse is no longer available');
                 }
-                
-                console.log(`No cached timelapse found for trail '${trailName}', generating new one`);
+                res.set('Content-Disposition', `inline; filename="timelapse-${Date.now()}.${format}"`);
+                return sendMedia(req, res, buffer, TIMELAPSE_FORMATS[format].mimeType);
             } catch (error) {
-                console.error(`Error checking for cached timelapse:`, error.message);
-                // Continue to generation if check fails
+                return next(error);
             }
         }
 
-        // Generate new timelapse (for multi-trail or if no cached version exists)
-        let result = null;
-
-        try {
-            result = await timelapseService.generateTimeLapse(
-                orgSlug,
-                trailNames
-            );
-
-            console.log(`Timelapse generation successful: ${result.path}`);
-
-            // For single trail, upload the generated GIF to Drive before sending
-            if (trailNames && trailNames.length === 1) {
-                const trailName = trailNames[0];
-                try {
-                    console.log(`Uploading generated timelapse to Drive for trail '${trailName}'`);
-                    
-                    // Delete old GIF if exists
-                    const existingGif = await driveService.getTimelapseGif(orgSlug, trailName);
-                    if (existingGif) {
-                        await driveService.deleteFile(existingGif.id);
-                    }
-                    
-                    // Upload new GIF
-                    await driveService.uploadTimelapseGif(orgSlug, trailName, result.path);
-                    console.log(`Timelapse uploaded to Drive for trail '${trailName}'`);
-                } catch (uploadError) {
-                    console.error(`Failed to upload timelapse to Drive: ${uploadError.message}`);
-                    // Continue to send file even if upload fails
-                }
-            }
+        const job = timelapseService.enqueueGeneration(orgSlug, trailNames, format, selection);
 
-            res.sendFile(result.path, (err) => {
-                if (err) {
-                    console.error('Error sending timelapse file:', err.message);
-                }
-                cleanupTimelapseResult(result);
-            });
-        } catch (error) {
-            cleanupTimelapseResult(result);
-            sendError(res, 500, 'Timelapse generation failed', error.message);
-        }
+        res.status(202).json({
+            job,
+            statusUrl: `${req.baseUrl}/jobs/${job.id}`,
+            resultUrl: `${req.baseUrl}/jobs/${job.id}/result`,
+        });
     }
 );
 
@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+
+/**
+ * Trail Import Script
+ * Registers existing storage folders of an organization as trails,
+ * for organizations that were set up before the trail registry existed
+ *
+ * Usage: node importTrails.js <orgSlug>
+ */
+
+const storageService = require('../services/storageService');
+const { getOrganization } = require('../config/organizations');
+const { getTrail, createTrail } = require('../config/trails');
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:[-_][a-z0-9]+)*$/;
+
+// Turn "blue-ridge_loop" into "Blue Ridge Loop"
+const toDisplayName = (slug) => slug
+    .split(/[-_]/)
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+
+async function main() {
+    const orgSlug = process.argv[2];
+
+    if (!orgSlug) {
+        console.error('Usage: node importTrails.js <orgSlug>');
+        process.exit(1);
+    }
+
+    console.log(`StewardView Trail Import: ${orgSlug}\n`);
+
+    try {
+        const org = getOrganization(orgSlug);
+        if (!org) {
+            throw new Error(`Organization '${orgSlug}' not found`);
+        }
+
+        const storage = storageService.getStorageProvider(orgSlug);
+        await storage.initialize();
+
+        const folders = await storage.listTrailsInOrganization(orgSlug);
+        let imported = 0;
+
+        for (const folder of folders) {
+            if (getTrail(orgSlug, folder)) {
+                console.log(`- ${folder}: already registered`);
+            } else if (!SLUG_PATTERN.test(folder)) {
+                console.warn(`✗ ${folder}: not a valid trail slug, rename the folder and run again`);
+            } else {
+                createTrail(orgSlug, folder, { name: toDisplayName(folder) });
+                console.log(`✓ ${folder}: imported`);
+                imported++;
+            }
+        }
+
+        console.log(`\n✓ Imported ${imported} of ${folders.length} folder(s)\n`);
+        process.exit(0);
+    } catch (error) {
+        console.error('✗ Import failed:', error.message);
+        process.exit(1);
+    }
+}
+
+main();
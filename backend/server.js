@@ -10,7 +10,9 @@ const path = require('path');
 const config = require('./config/config');
 
 // Services
-const driveService = require('./services/driveService');
+const storageService = require('./services/storageService');
+const jobQueue = require('./services/jobQueue');
+const trashService = require('./services/trashService');
 
 // Middleware
 const {
@@ -22,6 +24,7 @@ const {
 
 // Routes
 const apiRoutes = require('./routes/api');
+const adminRoutes = require('./routes/admin');
 
 // Initialize Express app
 const app = express();
@@ -50,7 +53,7 @@ app.use(cors({
             callback(new Error('Not allowed by CORS'));
         }
     },
-    methods: ['GET', 'POST'],
+    methods: ['GET', 'POST', 'PATCH', 'DELETE'],
     credentials: true,
 }));
 
@@ -67,7 +70,8 @@ app.use(requestLogger);
 // Rate limiting
 app.use('/api/', rateLimiter);
 
-// API routes
+// API routes (admin first so /api/admin/* is not matched as /api/:orgName/*)
+app.use('/api/admin', adminRoutes);
 app.use('/api', apiRoutes);
 
 // ============================================================================
@@ -84,10 +88,30 @@ app.get('/', (req, res) => {
             health: 'GET /api/health',
             organizations: 'GET /api/organizations',
             trails: 'GET /api/:orgName/trails',
-            trailPhotos: 'GET /api/:orgName/:trailName',
-            thumbnail: 'GET /api/:orgName/:trailName/thumbnail/:fileId',
-            uploadPhoto: 'POST /api/:orgName/:trailName/upload',
+            observationTags: 'GET /api/:orgName/observation-tags',
+            trailPhotos: 'GET /api/:orgName/:trailName[/:stationId]?tag=',
+            thumbnail: 'GET /api/:orgName/:trailName[/:stationId]/thumbnail/:fileId',
+            timelapse: 'GET /api/:orgName/:trailName[/:stationId]/timelapse?format=gif|mp4|webm|webp',
+            trailJobs: 'GET /api/:orgName/:trailName[/:stationId]/jobs',
+            alignment: 'GET /api/:orgName/:trailName[/:stationId]/alignment',
+            normalizationPreview: 'GET /api/:orgName/:trailName[/:stationId]/normalization/preview',
+            job: 'GET /api/jobs/:jobId',
+            jobResult: 'GET /api/jobs/:jobId/result',
+            uploadPhoto: 'POST /api/:orgName/:trailName[/:stationId]/upload',
             generateTimelapse: 'POST /api/:orgName/generate-timelapse',
+            reviewQueue: 'GET /api/:orgName/review',
+            reviewPhoto: 'POST /api/:orgName/:trailName[/:stationId]/photos/:fileId/review',
+            deletePhoto: 'DELETE /api/:orgName/:trailName[/:stationId]/photos/:fileId',
+            trash: 'GET /api/:orgName/:trailName[/:stationId]/photos/trash',
+            restorePhoto: 'POST /api/:orgName/:trailName[/:stationId]/photos/:fileId/restore',
+            adminOrganizations: 'GET|POST /api/admin/organizations',
+            adminOrganization: 'GET|PATCH|DELETE /api/admin/organizations/:orgSlug',
+            adminTrails: 'GET|POST /api/admin/organizations/:orgSlug/trails',
+            adminTrail: 'GET|PATCH|DELETE /api/admin/organizations/:orgSlug/trails/:trailSlug',
+            adminStations: 'GET|POST /api/admin/organizations/:orgSlug/trails/:trailSlug/stations',
+            adminStation: 'GET|PATCH|DELETE /api/admin/organizations/:orgSlug/trails/:trailSlug/stations/:stationId',
+            adminKeys: 'GET|POST /api/admin/organizations/:orgSlug/keys',
+            adminKey: 'DELETE /api/admin/organizations/:orgSlug/keys/:keyId',
         },
         docs: 'https://github.com/stewardview/stewardview',
     });
@@ -146,10 +170,33 @@ const logServerInfo = () => {
     console.log('  GET  /api/health                              - Service status');
     console.log('  GET  /api/organizations                       - List all organizations');
     console.log('  GET  /api/:orgName/trails                     - List trails');
-    console.log('  GET  /api/:orgName/:trailName                 - Get trail photos');
-    console.log('  GET  /api/:orgName/:trailName/thumbnail/:id   - Get thumbnail');
-    console.log('  POST /api/:orgName/:trailName/upload          - Upload photo');
-    console.log('  POST /api/:orgName/generate-timelapse         - Create timelapse');
+    console.log('  GET  /api/:orgName/:trailName[/:stationId]                 - Get trail/station photos');
+    console.log('  GET  /api/:orgName/:trailName[/:stationId]/thumbnail/:id   - Get thumbnail');
+    console.log('  GET  /api/:orgName/:trailName[/:stationId]/timelapse       - Get stored timelapse (?format=)');
+    console.log('  GET  /api/:orgName/:trailName[/:stationId]/jobs            - Timelapse regeneration status');
+    console.log('  GET  /api/:orgName/:trailName[/:stationId]/alignment       - Frame alignment report (steward)');
+    console.log('  GET  /api/:orgName/:trailName[/:stationId]/normalization/preview - Before/after normalization (steward)');
+    console.log('  GET  /api/jobs/:jobId                         - Background job status');
+    console.log('  GET  /api/jobs/:jobId/result                  - Download generated timelapse');
+    console.log('  POST /api/:orgName/:trailName[/:stationId]/upload          - Upload photo');
+    console.log('  POST /api/:orgName/generate-timelapse         - Queue timelapse generation (steward)');
+    console.log('  GET  /api/:orgName/review                     - Photos awaiting review (steward)');
+    console.log('  POST /api/:orgName/:trailName[/:stationId]/photos/:id/review - Approve/reject photo (steward)');
+    console.log('  DELETE /api/:orgName/:trailName[/:stationId]/photos/:id - Move photo to trash (steward)');
+    console.log('  GET  /api/:orgName/:trailName[/:stationId]/photos/trash - Deleted photos (steward)');
+    console.log('  POST /api/:orgName/:trailName[/:stationId]/photos/:id/restore - Restore photo (steward)');
+    console.log('  GET  /api/admin/organizations                 - List all organizations (admin)');
+    console.log('  POST /api/admin/organizations                 - Create organization (admin)');
+    console.log('  PATCH /api/admin/organizations/:orgSlug       - Update organization (admin)');
+    console.log('  DELETE /api/admin/organizations/:orgSlug      - Deactivate organization (admin)');
+    console.log('  GET  /api/admin/organizations/:orgSlug/trails - List trails (admin)');
+    console.log('  POST /api/admin/organizations/:orgSlug/trails - Create trail (admin)');
+    console.log('  PATCH /api/admin/organizations/:orgSlug/trails/:trailSlug  - Update trail (admin)');
+    console.log('  DELETE /api/admin/organizations/:orgSlug/trails/:trailSlug - Retire trail (admin)');
+    console.log('  GET|POST /api/admin/organizations/:orgSlug/trails/:trailSlug/stations              - List/create stations (admin)');
+    console.log('  PATCH|DELETE /api/admin/organizations/:orgSlug/trails/:trailSlug/stations/:stationId - Update/retire station (admin)');
+    console.log('  GET|POST /api/admin/organizations/:orgSlug/keys         - List/create API keys (org admin)');
+    console.log('  DELETE /api/admin/organizations/:orgSlug/keys/:keyId    - Revoke API key (org admin)');
     console.log('');
     console.log('CORS Origins:', config.allowedOrigins.join(', '));
     console.log('Rate Limit:', `${config.rateLimitMaxRequests} requests per ${config.rateLimitWindowMs / 60000} minutes`);
@@ -165,10 +212,12 @@ const logStartupError = (error) => {
     console.error('Error:', error.message);
     console.error('');
     console.error('Please check:');
-    console.error('  1. credentials.json file exists in the correct location');
-    console.error('  2. Google Drive API is enabled in Google Cloud Console');
-    console.error('  3. Service account has proper permissions');
-    console.error('  4. Environment variables are set correctly');
+    console.error('  1. credentials.json file exists in the correct location (Drive storage)');
+    console.error('  2. Google Drive API is enabled in Google Cloud Console (Drive storage)');
+    console.error('  3. Service account has proper permissions (Drive storage)');
+    console.error('  4. LOCAL_STORAGE_DIR is writable (local storage)');
+    console.error('  5. S3_* credentials and bucket are set (S3 storage)');
+    console.error('  6. Environment variables are set correctly');
     console.error('');
 };
 
@@ -185,8 +234,15 @@ async function startServer() {
 
         createRequiredDirectories();
 
-        // Initialize Google Drive service
-        await driveService.initialize();
+        // Initialize storage providers used by active organizations
+        const providers = await storageService.initialize();
+        console.log(`Storage providers: ${providers.join(', ') || 'none'}`);
+
+        // Run timelapse regeneration jobs, including any left from a previous run
+        jobQueue.start();
+
+        // Purge expired trash now and then once a day
+        trashService.schedulePurge();
 
         // Start server
         app.listen(config.port, () => {
@@ -206,6 +262,7 @@ function gracefulShutdown(signal) {
     console.log('');
     console.log(`${signal} received. Shutting down gracefully...`);
     
+    jobQueue.stop();
     cleanupTempDirectories();
 
     console.log('Cleanup complete');
@@ -0,0 +1,191 @@
+const config = require('../config/config');
+const { validationError } = require('./errors');
+
+/**
+ * Timelapse caption overlays
+ * Draws a caption band on each frame so viewers can tell when a photo was
+ * taken. An organization's captions setting is an object with any of:
+ *
+ *   fields: any of "date", "trail", "organization", "logo", "progress"
+ *           (default ["date", "trail"]; text fields appear in the order given)
+ *   position: "top" | "bottom" (default "bottom")
+ *   fontFamily: CSS font family (default "sans-serif")
+ *   fontSize: pixels (default: a 24th of the frame height)
+ *   color: text color (default "#ffffff")
+ *   background: band color (default "rgba(0, 0, 0, 0.5)")
+ *   logoUrl: http(s) or data: URL of the logo image (required for "logo")
+ *   timeZone: IANA time zone of the capture date (default TIMELAPSE_TIME_ZONE)
+ *
+ * The progress field draws a bar along the outer edge of the band showing
+ * the frame's position in the timeline.
+ */
+
+const CAPTION_FIELDS = ['date', 'trail', 'organization', 'logo', 'progress'];
+const CAPTION_POSITIONS = ['top', 'bottom'];
+
+const SETTING_FIELDS = ['fields', 'position', 'fontFamily', 'fontSize', 'color', 'background', 'logoUrl', 'timeZone'];
+
+const DEFAULT_CAPTIONS = {
+    fields: ['date', 'trail'],
+    position: 'bottom',
+    fontFamily: 'sans-serif',
+    fontSize: null,
+    color: '#ffffff',
+    background: 'rgba(0, 0, 0, 0.5)',
+    logoUrl: null,
+    timeZone: null,
+};
+
+const FONT_FAMILY_PATTERN = /^[\w\s,'"-]{1,100}$/;
+const COLOR_PATTERN = /^(#[0-9a-f]{3,8}|rgba?\([\d\s.,%]+\)|[a-z]+)$/i;
+const LOGO_URL_PATTERN = /^(https?:\/\/|data:image\/)/;
+
+const TEXT_SEPARATOR = '  ·  ';
+
+/**
+ * Validate an organization's captions setting
+ * @returns captions with defaults filled in, or null when captions are off
+ * @throws ValidationError (400)
+ */
+function parseCaptionSettings(captions) {
+    if (captions === undefined || captions === null) {
+        return null;
+    }
+
+    if (typeof captions !== 'object' || Array.isArray(captions)) {
+        throw validationError('captions must be an object or null');
+    }
+
+    const unknownFields = Object.keys(captions).filter(key => !SETTING_FIELDS.includes(key));
+    if (unknownFields.length > 0) {
+        throw validationError(`Unknown captions field(s): ${unknownFields.join(', ')}`);
+    }
+
+    const settings = { ...DEFAULT_CAPTIONS, ...captions };
+
+    if (!Array.isArray(settings.fields) || settings.fields.length === 0 ||
+        settings.fields.some(field => !CAPTION_FIELDS.includes(field))) {
+        throw validationError(`captions.fields must list one or more of: ${CAPTION_FIELDS.join(', ')}`);
+    }
+
+    if (!CAPTION_POSITIONS.includes(settings.position)) {
+        throw validationError(`captions.position must be one of: ${CAPTION_POSITIONS.join(', ')}`);
+    }
+
+    if (typeof settings.fontFamily !== 'string' || !FONT_FAMILY_PATTERN.test(settings.fontFamily)) {
+        throw validationError('captions.fontFamily must be a CSS font family');
+    }
+
+    if (settings.fontSize !== null &&
+        (!Number.isInteger(settings.fontSize) || settings.fontSize < 6 || settings.fontSize > 200)) {
+        throw validationError('captions.fontSize must be a whole number of pixels from 6 to 200');
+    }
+
+    for (const key of ['color', 'background']) {
+        if (typeof settings[key] !== 'string' || !COLOR_PATTERN.test(settings[key])) {
+            throw validationError(`captions.${key} must be a CSS color`);
+        }
+    }
+
+    if (settings.logoUrl !== null && (typeof settings.logoUrl !== 'string' || !LOGO_URL_PATTERN.test(settings.logoUrl))) {
+        throw validationError('captions.logoUrl must be an http(s) or data: URL');
+    }
+
+    if (settings.fields.includes('logo') && !settings.logoUrl) {
+        throw validationError('captions.logoUrl is required to show the logo');
+    }
+
+    if (settings.timeZone !== null) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: settings.timeZone });
+        } catch (err) {
+            throw validationError(`captions.timeZone '${settings.timeZone}' is not a known time zone`);
+        }
+    }
+
+    return settings;
+}
+
+/**
+ * Format a capture time for a caption, e.g. "Jun 5, 2024"
+ */
+function formatCaptionDate(time, timeZone) {
+    return new Date(time).toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric',
+        timeZone: timeZone || config.timelapseTimeZone,
+    });
+}
+
+/**
+ * Build the caption text of a frame
+ * @param {Object} frame - { time, trailName, organizationName }
+ * @returns string
+ */
+function getCaptionText(frame, settings) {
+    const values = {
+        date: () => formatCaptionDate(frame.time, settings.timeZone),
+        trail: () => frame.trailName,
+        organization: () => frame.organizationName,
+    };
+
+    return settings.fields
+        .filter(field => values[field])
+        .map(field => values[field]())
+        .filter(Boolean)
+        .join(TEXT_SEPARATOR);
+}
+
+/**
+ * Draw a caption band on a frame
+ * @param {CanvasRenderingContext2D} ctx - context holding the frame
+ * @param {Object} frame - { time, trailName, organizationName, index, total }
+ * @param {Object} settings - parsed captions setting
+ * @param {Image} logo - loaded logo image, or null
+ */
+function drawCaption(ctx, width, height, frame, settings, logo = null) {
+    const fontSize = settings.fontSize || Math.max(10, Math.round(height / 24));
+    const padding = Math.round(fontSize / 2);
+    const showProgress = settings.fields.includes('progress');
+    const progressHeight = showProgress ? Math.max(3, Math.round(fontSize / 5)) : 0;
+    const bandHeight = fontSize + padding * 2 + progressHeight;
+    const bandTop = settings.position === 'top' ? 0 : height - bandHeight;
+
+    // The progress bar runs along the frame edge, the text sits inside it
+    const contentTop = settings.position === 'top' ? progressHeight : bandTop;
+
+    ctx.save();
+    ctx.fillStyle = settings.background;
+    ctx.fillRect(0, bandTop, width, bandHeight);
+
+    let textLeft = padding;
+    if (logo && settings.fields.includes('logo')) {
+        const logoHeight = fontSize + padding;
+        const logoWidth = Math.round((logo.width / logo.height) * logoHeight);
+        ctx.drawImage(logo, padding, contentTop + padding / 2, logoWidth, logoHeight);
+        textLeft += logoWidth + padding;
+    }
+
+    const text = getCaptionText(frame, settings);
+    if (text) {
+        ctx.font = `${fontSize}px ${settings.fontFamily}`;
+        ctx.fillStyle = settings.color;
+        ctx.textBaseline = 'middle';
+        ctx.fillText(text, textLeft, contentTop + padding + fontSize / 2, width - textLeft - padding);
+    }
+
+    if (showProgress) {
+        const progressTop = settings.position === 'top' ? 0 : height - progressHeight;
+        const position = frame.total > 1 ? frame.index / (frame.total - 1) : 1;
+        ctx.fillStyle = settings.color;
+        ctx.fillRect(0, progressTop, Math.round(width * position), progressHeight);
+    }
+
+    ctx.restore();
+}
+
+module.exports = {
+    parseCaptionSettings,
+    drawCaption,
+};
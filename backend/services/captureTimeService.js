@@ -0,0 +1,214 @@
+const config = require('../config/config');
+
+// Sharp is optional - without it the client timestamp is used
+let sharp;
+try {
+    sharp = require('sharp');
+} catch (err) {
+    sharp = null;
+}
+
+/**
+ * Photo capture time
+ * Storage createdTime is the upload time, which can be days after the photo
+ * was taken when uploads were queued offline. The capture time is worked out
+ * once on upload and kept in the file's appProperties:
+ *
+ * appProperties:
+ *   capturedAt: ISO timestamp
+ *   captureTimeSource: "exif" (camera DateTimeOriginal) | "client" (timestamp sent with the upload)
+ *
+ * EXIF times without an OffsetTimeOriginal tag are read as TIMELAPSE_TIME_ZONE
+ * local time. Photos uploaded before capture times were recorded fall back to
+ * createdTime.
+ */
+
+const TAG_EXIF_IFD = 0x8769;
+const TAG_DATE_TIME_ORIGINAL = 0x9003;
+const TAG_DATE_TIME_DIGITIZED = 0x9004;
+const TAG_OFFSET_TIME_ORIGINAL = 0x9011;
+
+// Bytes per value of each TIFF field type
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+const EXIF_DATE_PATTERN = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/;
+const OFFSET_PATTERN = /^([+-])(\d{2}):(\d{2})$/;
+
+// Camera clocks that were never set report dates like 0000:00:00 or 1970
+const EARLIEST_CAPTURE = Date.UTC(1990, 0, 1);
+
+/**
+ * Read the entries of a TIFF image file directory
+ * @returns Map of tag -> { type, count, valueOffset }
+ */
+function readIfd(tiff, offset, littleEndian) {
+    const readUInt16 = (at) => littleEndian ? tiff.readUInt16LE(at) : tiff.readUInt16BE(at);
+    const readUInt32 = (at) => littleEndian ? tiff.readUInt32LE(at) : tiff.readUInt32BE(at);
+    const entries = new Map();
+
+    for (let i = 0, count = readUInt16(offset); i < count; i++) {
+        const entry = offset + 2 + i * 12;
+        const type = readUInt16(entry + 2);
+        const valueCount = readUInt32(entry + 4);
+
+        // Values of up to 4 bytes are stored in the entry itself
+        const inline = (TYPE_SIZES[type] || 1) * valueCount <= 4;
+        entries.set(readUInt16(entry), {
+            type,
+            count: valueCount,
+            valueOffset: inline ? entry + 8 : readUInt32(entry + 8),
+        });
+    }
+
+    return entries;
+}
+
+/**
+ * Find the capture date tags in a raw EXIF block
+ * @param {Buffer} exif - EXIF block as returned by sharp (with or without the "Exif" header)
+ * @returns { dateTime, offset } strings, or null if the block has no capture date
+ */
+function parseExifDateTags(exif) {
+    const tiff = exif.toString('latin1', 0, 4) === 'Exif' ? exif.subarray(6) : exif;
+    const byteOrder = tiff.toString('latin1', 0, 2);
+    if (byteOrder !== 'II' && byteOrder !== 'MM') {
+        return null;
+    }
+
+    const littleEndian = byteOrder === 'II';
+    const readUInt32 = (at) => littleEndian ? tiff.readUInt32LE(at) : tiff.readUInt32BE(at);
+    const readAscii = (entry) => entry && entry.type === 2
+        ? tiff.toString('latin1', entry.valueOffset, entry.valueOffset + entry.count).replace(/\0.*$/s, '').trim()
+        : null;
+
+    const exifPointer = readIfd(tiff, readUInt32(4), littleEndian).get(TAG_EXIF_IFD);
+    if (!exifPointer) {
+        return null;
+    }
+
+    const exifIfd = readIfd(tiff, readUInt32(exifPointer.valueOffset), littleEndian);
+    const dateTime = readAscii(exifIfd.get(TAG_DATE_TIME_ORIGINAL)) || readAscii(exifIfd.get(TAG_DATE_TIME_DIGITIZED));
+
+    return dateTime ? { dateTime, offset: readAscii(exifIfd.get(TAG_OFFSET_TIME_ORIGINAL)) } : null;
+}
+
+/**
+ * Convert a wall clock time in a time zone to a UTC timestamp
+ * @param {number} wallClock - the local time as if it were UTC (ms)
+ * @returns ms since epoch
+ */
+function zonedTimeToUtc(wallClock, timeZone) {
+    const formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric',
+    });
+
+    // Offset of the zone at a moment, found by reading the moment back as local time
+    const offsetAt = (time) => {
+        const parts = Object.fromEntries(formatter.formatToParts(time).map(part => [part.type, Number(part.value)]));
+        return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - time;
+    };
+
+    return wallClock - offsetAt(wallClock - offsetAt(wallClock));
+}
+
+/**
+ * Turn EXIF date tags into a capture time
+ * @returns Date, or null if the date is missing or implausible
+ */
+function toCaptureTime({ dateTime, offset }) {
+    const match = EXIF_DATE_PATTERN.exec(dateTime);
+    if (!match) {
+        return null;
+    }
+
+    const [year, month, day, hours, minutes, seconds] = match.slice(1).map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+    const offsetMatch = offset && OFFSET_PATTERN.exec(offset);
+
+    const time = offsetMatch
+        ? wallClock - (offsetMatch[1] === '-' ? -1 : 1) * (Number(offsetMatch[2]) * 60 + Number(offsetMatch[3])) * 60000
+        : zonedTimeToUtc(wallClock, config.timelapseTimeZone);
+
+    // Allow a day of clock drift into the future
+    if (Number.isNaN(time) || time < EARLIEST_CAPTURE || time > Date.now() + 24 * 60 * 60 * 1000) {
+        return null;
+    }
+    return new Date(time);
+}
+
+/**
+ * Read the camera capture time of an image file
+ * @returns {Promise<Date|null>} null if the image has no usable EXIF date
+ */
+async function readExifCaptureTime(filePath) {
+    if (!sharp) {
+        return null;
+    }
+
+    try {
+        const { exif } = await sharp(filePath).metadata();
+        const tags = exif && parseExifDateTags(exif);
+        return tags ? toCaptureTime(tags) : null;
+    } catch (err) {
+        console.error(`Error reading EXIF capture time of ${filePath}:`, err.message);
+        return null;
+    }
+}
+
+/**
+ * Properties recording the capture time of a new upload
+ * @param {string} clientTimestamp - timestamp sent with the upload (used without EXIF)
+ * @returns {Promise<Object>} appProperties object
+ */
+async function getCaptureProperties(filePath, clientTimestamp) {
+    const exifTime = await readExifCaptureTime(filePath);
+
+    return {
+        capturedAt: (exifTime || new Date(clientTimestamp)).toISOString(),
+        captureTimeSource: exifTime ? 'exif' : 'client',
+    };
+}
+
+/**
+ * Get the time a photo was taken
+ * @returns Date
+ */
+function getCaptureTime(file) {
+    return new Date(file.appProperties?.capturedAt || file.createdTime);
+}
+
+/**
+ * Order photos oldest first by capture time
+ */
+function compareCaptureTime(a, b) {
+    return getCaptureTime(a) - getCaptureTime(b);
+}
+
+/**
+ * Add capture time fields to a file object for API responses
+ * captureTimeSource is "upload" for photos without a recorded capture time
+ */
+function withCaptureTime(file) {
+    return {
+        ...file,
+        capturedAt: getCaptureTime(file).toISOString(),
+        captureTimeSource: file.appProperties?.captureTimeSource || 'upload',
+    };
+}
+
+module.exports = {
+    readIfd,
+    parseExifDateTags,
+    readExifCaptureTime,
+    getCaptureProperties,
+    getCaptureTime,
+    compareCaptureTime,
+    withCaptureTime,
+};
@@ -2,14 +2,19 @@ const { google } = require('googleapis');
 const fs = require('fs');
 const path = require('path');
 const oauth2Service = require('./oauth2Service');
+const { StorageProvider, TIMELAPSE_FORMATS } = require('./storageProvider');
+
+const FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+const FILE_FIELDS = 'id, name, mimeType, createdTime, modifiedTime, size, webViewLink, webContentLink, appProperties';
 
 const SCOPES = [
     'https://www.googleapis.com/auth/drive',
     'https://www.googleapis.com/auth/drive.file',
 ];
 
-class DriveService {
+class DriveService extends StorageProvider {
     constructor() {
+        super('drive');
         this.drive = null;
         // Cache for organization folders: orgSlug -> folderId
         this.orgFolderCache = new Map();
@@ -34,15 +39,6 @@ class DriveService {
         }
     }
 
-    /**
-     * Sanitize folder/file name
-     * @return string
-     * Replaces invalid characters with underscores
-     */
-    sanitizeName(name) {
-        return name.replace(/[^a-zA-Z0-9-_ ]/g, '_');
-    }
-
     /**
      * Get organization folder
      * Structure: root/orgSlug
@@ -66,13 +62,42 @@ class DriveService {
         return orgConfig.driveFolderId;
     }
 
+    /**
+     * Find a child folder by name, creating it if missing
+     * @returns folder ID
+     */
+    async getOrCreateChildFolder(parentId, name) {
+        const response = await this.drive.files.list({
+            q: `name='${name}' and mimeType='${FOLDER_MIME_TYPE}' and '${parentId}' in parents and trashed=false`,
+            fields: 'files(id, name)',
+            spaces: 'drive',
+        });
+
+        if (response.data.files.length > 0) {
+            //folder exists
+            return { id: response.data.files[0].id, created: false };
+        }
+
+        //create folder
+        const folder = await this.drive.files.create({
+            requestBody: {
+                name,
+                mimeType: FOLDER_MIME_TYPE,
+                parents: [parentId],
+            },
+            fields: 'id',
+        });
+
+        return { id: folder.data.id, created: true };
+    }
+
     /**
      * Get trail folder
-     * Structure: root/orgSlug/trailName
+     * Structure: root/orgSlug/trailName[/stationId]
      */
     async getOrCreateTrailFolder(orgSlug, trailName) {
-        const safeTrailName = this.sanitizeName(trailName);
-        const cacheKey = `${orgSlug}/${safeTrailName}`;
+        const segments = this.splitTrailPath(trailName);
+        const cacheKey = `${orgSlug}/${segments.join('/')}`;
 
         //check cache first
         if (this.trailFolderCache.has(cacheKey)) {
@@ -81,40 +106,24 @@ class DriveService {
 
         try {
             //first get org folder
-            const orgFolderId = await this.getOrgFolder(orgSlug);
+            let folderId = await this.getOrgFolder(orgSlug);
 
-            //search for trail folder
-            const response = await this.drive.files.list({
-                q: `name='${safeTrailName}' and mimeType='application/vnd.google-apps.folder' and '${orgFolderId}' in parents and trashed=false`,
-                fields: 'files(id, name)',
-                spaces: 'drive',
-            });
+            //walk trail folder, then station folder
+            for (let i = 0; i < segments.length; i++) {
+                const segmentKey = `${orgSlug}/${segments.slice(0, i + 1).join('/')}`;
 
-            let folderId;
-
-            if (response.data.files.length > 0) {
-                //folder exists
-                folderId = response.data.files[0].id;
-                console.log(`Found existing folder for trail '${trailName}' in organization '${orgSlug}': ${folderId}`);
-            } else {
-                //create trail folder
-                const folderMetadata = {
-                    name: safeTrailName,
-                    mimeType: 'application/vnd.google-apps.folder',
-                    parents: [orgFolderId],
-                };
+                if (this.trailFolderCache.has(segmentKey)) {
+                    folderId = this.trailFolderCache.get(segmentKey);
+                    continue;
+                }
 
-                const folder = await this.drive.files.create({
-                    requestBody: folderMetadata,
-                    fields: 'id',
-                });
+                const folder = await this.getOrCreateChildFolder(folderId, segments[i]);
+                folderId = folder.id;
+                this.trailFolderCache.set(segmentKey, folderId);
 
-                folderId = folder.data.id;
-                console.log(`Created new folder for trail '${trailName}' in organization '${orgSlug}': ${folderId}`);
+                console.log(`${folder.created ? 'Created new' : 'Found existing'} folder '${segments.slice(0, i + 1).join('/')}' in organization '${orgSlug}': ${folderId}`);
             }
 
-            //cache and return
-            this.trailFolderCache.set(cacheKey, folderId);
             return folderId;
         } catch (error) {
             console.error(`Error getting/creating folder for trail '${trailName}' in organization '${orgSlug}':`, error.message);
@@ -127,7 +136,7 @@ class DriveService {
      * @return uploaded file metadata
      * @throws error on failure
      */
-    async uploadFile(orgSlug, trailName, filePath, filename, mimeType, description) {
+    async uploadFile(orgSlug, trailName, filePath, filename, mimeType, description, properties = {}) {
         try {
             //get or create trail folder
             const trailFolderId = await this.getOrCreateTrailFolder(orgSlug, trailName);
@@ -136,6 +145,7 @@ class DriveService {
                 name: filename,
                 parents: [trailFolderId],
                 description: description || `StewardView observation - ${filename}`,
+                appProperties: this.mergeProperties({}, properties),
             };
 
             const media = {
@@ -146,7 +156,7 @@ class DriveService {
             const response = await this.drive.files.create({
                 requestBody: fileMetadata,
                 media: media,
-                fields: 'id, name, webViewLink, webContentLink, createdTime, size',
+                fields: FILE_FIELDS,
             });
 
             console.log(`File '${filename}' uploaded to Google Drive in trail '${trailName}' of organization '${orgSlug}'. File ID: ${response.data.id}`);
@@ -167,7 +177,7 @@ class DriveService {
         try {
             const orgFolderId = await this.getOrgFolder(orgSlug);
             const response = await this.drive.files.list({
-                q: `mimeType='application/vnd.google-apps.folder' and '${orgFolderId}' in parents and trashed=false`,
+                q: `mimeType='${FOLDER_MIME_TYPE}' and '${orgFolderId}' in parents and trashed=false`,
                 fields: 'files(id, name)',
                 orderBy: orderBy || 'name',
                 spaces: 'drive',
@@ -181,6 +191,7 @@ class DriveService {
 
     /**
      * List files in a trail folder
+     * Station sub-folders are not included
      * @return array of files
      * @throws error on failure
      */
@@ -188,8 +199,8 @@ class DriveService {
         try {
             const trailFolderId = await this.getOrCreateTrailFolder(orgSlug, trailName);
             const response = await this.drive.files.list({
-                q: `'${trailFolderId}' in parents and trashed=false`,
-                fields: 'files(id, name, mimeType, createdTime, size, webViewLink, webContentLink)',
+                q: `'${trailFolderId}' in parents and mimeType!='${FOLDER_MIME_TYPE}' and trashed=false`,
+                fields: `files(${FILE_FIELDS})`,
                 orderBy: orderBy || 'name',
             });
             return response.data.files; //array of file objects
@@ -199,6 +210,88 @@ class DriveService {
         }
     }
 
+    /**
+     * Get file metadata from Google Drive
+     * @return file object or null if not found
+     * @throws error on failure
+     */
+    async getFile(fileId) {
+        try {
+            const response = await this.drive.files.get({ fileId, fields: `${FILE_FIELDS}, trashed` });
+            return response.data.trashed ? null : response.data;
+        } catch (error) {
+            if (error.code === 404) {
+                return null;
+            }
+            console.error(`Error getting file ID '${fileId}':`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Update appProperties of a file
+     * Drive removes properties whose value is null
+     * @return updated file object or null if not found
+     * @throws error on failure
+     */
+    async updateFileProperties(fileId, properties) {
+        try {
+            const current = await this.getFile(fileId);
+            if (!current) {
+                return null;
+            }
+            // Only checks the property limit, Drive merges the changes itself
+            this.mergeProperties(current.appProperties, properties);
+
+            const appProperties = Object.fromEntries(
+                Object.entries(properties).map(([key, value]) => [key, value === null || value === undefined ? null : String(value)])
+            );
+            const response = await this.drive.files.update({
+                fileId,
+                requestBody: { appProperties },
+                fields: FILE_FIELDS,
+            });
+            return response.data;
+        } catch (error) {
+            if (error.code === 404) {
+                return null;
+            }
+            console.error(`Error updating properties of file ID '${fileId}':`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Move a file to another trail folder
+     * Drive keeps the file ID and appProperties
+     * @return moved file object or null if not found
+     * @throws error on failure
+     */
+    async moveFile(fileId, orgSlug, trailName) {
+        try {
+            const file = await this.getFile(fileId);
+            if (!file) {
+                return null;
+            }
+
+            const folderId = await this.getOrCreateTrailFolder(orgSlug, trailName);
+            const { data } = await this.drive.files.get({ fileId, fields: 'parents' });
+
+            const response = await this.drive.files.update({
+                fileId,
+                addParents: folderId,
+                removeParents: (data.parents || []).join(','),
+                fields: FILE_FIELDS,
+            });
+
+            console.log(`File ${fileId} moved to '${trailName}' in organization '${orgSlug}'`);
+            return response.data;
+        } catch (error) {
+            console.error(`Error moving file ID '${fileId}' to '${trailName}':`, error.message);
+            throw error;
+        }
+    }
+
     /**
      * Download file from Google Drive
      * @return void
@@ -318,90 +411,63 @@ class DriveService {
     }
 
     /**
-     * Get or create a timelapse GIF file for a trail
-     * Returns the file ID if it exists, null otherwise
+     * Get ALL stored timelapse files of a trail in one format (to handle duplicates)
+     * Returns array of files
      */
-    async getTimelapseGif(orgSlug, trailName) {
+    async getAllTimelapseFiles(orgSlug, trailName, format = 'gif') {
         try {
             const trailFolderId = await this.getOrCreateTrailFolder(orgSlug, trailName);
-            const gifName = '_timelapse.gif'; // Prefix with _ to sort to top
+            const { fileName } = TIMELAPSE_FORMATS[format];
 
             const response = await this.drive.files.list({
-                q: `name='${gifName}' and '${trailFolderId}' in parents and trashed=false`,
-                fields: 'files(id, name, createdTime, modifiedTime)',
+                q: `name='${fileName}' and '${trailFolderId}' in parents and trashed=false`,
+                fields: 'files(id, name, mimeType, createdTime, modifiedTime, size)',
                 spaces: 'drive',
             });
 
-            if (response.data.files.length > 0) {
-                const gifFile = response.data.files[0];
-                console.log(`Found existing timelapse GIF for trail '${trailName}': ${gifFile.id}`);
-                if (response.data.files.length > 1) {
-                    console.warn(`Warning: Found ${response.data.files.length} GIFs for trail '${trailName}', returning first one`);
-                }
-                return gifFile;
+            const files = response.data.files || [];
+            if (files.length > 1) {
+                console.warn(`Warning: Found ${files.length} ${format} timelapses for trail '${trailName}'`);
             }
-
-            return null;
-        } catch (error) {
-            console.error(`Error checking for timelapse GIF in trail '${trailName}':`, error.message);
-            return null;
-        }
-    }
-
-    /**
-     * Get ALL timelapse GIF files for a trail (to handle duplicates)
-     * Returns array of GIF files
-     */
-    async getAllTimelapseGifs(orgSlug, trailName) {
-        try {
-            const trailFolderId = await this.getOrCreateTrailFolder(orgSlug, trailName);
-            const gifName = '_timelapse.gif';
-
-            const response = await this.drive.files.list({
-                q: `name='${gifName}' and '${trailFolderId}' in parents and trashed=false`,
-                fields: 'files(id, name, createdTime, modifiedTime)',
-                spaces: 'drive',
-            });
-
-            return response.data.files || [];
+            return files;
         } catch (error) {
-            console.error(`Error getting all timelapse GIFs for trail '${trailName}':`, error.message);
+            console.error(`Error getting ${format} timelapse for trail '${trailName}':`, error.message);
             return [];
         }
     }
 
     /**
-     * Upload timelapse GIF for a trail
-     * Creates a new GIF file (assumes old one has been deleted)
+     * Upload a timelapse file for a trail
+     * Creates a new file (assumes the old one has been deleted)
      */
-    async uploadTimelapseGif(orgSlug, trailName, gifPath) {
+    async uploadTimelapseFile(orgSlug, trailName, filePath, format = 'gif') {
         try {
             const trailFolderId = await this.getOrCreateTrailFolder(orgSlug, trailName);
-            const gifName = '_timelapse.gif';
+            const { fileName, mimeType } = TIMELAPSE_FORMATS[format];
 
-            console.log(`Creating new timelapse GIF in trail folder: ${trailFolderId}`);
+            console.log(`Creating new ${format} timelapse in trail folder: ${trailFolderId}`);
             
             const fileMetadata = {
-                name: gifName,
+                name: fileName,
                 parents: [trailFolderId],
-                description: `Automated timelapse GIF for ${trailName}`,
+                description: `Automated timelapse for ${trailName}`,
             };
 
             const media = {
-                mimeType: 'image/gif',
-                body: fs.createReadStream(gifPath),
+                mimeType,
+                body: fs.createReadStream(filePath),
             };
 
             const response = await this.drive.files.create({
                 requestBody: fileMetadata,
                 media: media,
-                fields: 'id, name, webViewLink, createdTime',
+                fields: 'id, name, mimeType, webViewLink, createdTime',
             });
 
-            console.log(`Timelapse GIF created successfully: ${response.data.id}`);
+            console.log(`Timelapse ${format} created successfully: ${response.data.id}`);
             return response.data;
         } catch (error) {
-            console.error(`Error uploading timelapse GIF for trail '${trailName}':`, error.message);
+            console.error(`Error uploading ${format} timelapse for trail '${trailName}':`, error.message);
             throw error;
         }
     }
@@ -0,0 +1,29 @@
+/**
+ * Error helpers
+ * Errors carry an HTTP status so route handlers can pass them to next()
+ * and let errorHandler build the response.
+ */
+
+/**
+ * Create an error with an HTTP status
+ * @returns {Error}
+ */
+function httpError(status, name, message) {
+    const error = new Error(message);
+    error.name = name;
+    error.status = status;
+    return error;
+}
+
+/**
+ * Create a 400 validation error
+ * @returns {Error}
+ */
+function validationError(message) {
+    return httpError(400, 'ValidationError', message);
+}
+
+module.exports = {
+    httpError,
+    validationError,
+};
@@ -0,0 +1,582 @@
+const fs = require('fs').promises;
+const { validationError } = require('./errors');
+const { readIfd, parseExifDateTags } = require('./captureTimeService');
+
+// Sharp is optional - files the rewrite cannot parse are refused without it
+let sharp;
+try {
+    sharp = require('sharp');
+} catch (err) {
+    sharp = null;
+}
+
+/**
+ * EXIF policy
+ * Phone photos carry the camera model, GPS position and a thumbnail in their
+ * metadata. An organization's exifPolicy decides what is left in a photo
+ * before it is stored (and in originals served without sharp):
+ *
+ *   "strip": remove all metadata
+ *   "essential": keep only the capture time and orientation (default)
+ *   "keep": store the photo as uploaded
+ *
+ * The capture time is read into capturedAt (services/captureTimeService.js)
+ * and the orientation into the observation metadata before the file is
+ * rewritten. The EXIF-derived observation fields the policy does not keep
+ * (gpsLatitude, gpsLongitude, cameraMake, cameraModel, orientation) are not
+ * stored either.
+ *
+ * Metadata is removed by rewriting the JPEG segments, PNG chunks or WebP
+ * chunks, so the image itself is not re-encoded. The photo gets a new EXIF
+ * block with only the kept tags; under "strip" a rotated photo keeps a bare
+ * Orientation tag so it is not shown sideways (and is still turned upright
+ * by services/imageIngest.js).
+ *
+ * Files whose segments cannot be parsed (truncated segments, garbage between
+ * them) are re-encoded with sharp instead: the pixels are rotated upright and
+ * only the capture time is written back under "essential". Without sharp
+ * they are refused with a 400.
+ *
+ * appProperties:
+ *   exifPolicy: the policy applied on upload
+ */
+
+const EXIF_POLICIES = ['strip', 'essential', 'keep'];
+const DEFAULT_EXIF_POLICY = 'essential';
+
+// Observation fields the capture page reads from EXIF, and the ones each policy keeps
+const EXIF_OBSERVATION_FIELDS = ['gpsLatitude', 'gpsLongitude', 'cameraMake', 'cameraModel', 'orientation'];
+const KEPT_OBSERVATION_FIELDS = {
+    strip: [],
+    essential: ['orientation'],
+    keep: EXIF_OBSERVATION_FIELDS,
+};
+
+// EXIF orientation values as named by the capture page's EXIF reader
+const ORIENTATION_NAMES = {
+    1: 'top-left',
+    2: 'top-right',
+    3: 'bottom-right',
+    4: 'bottom-left',
+    5: 'left-top',
+    6: 'right-top',
+    7: 'right-bottom',
+    8: 'left-bottom',
+};
+
+const TAG_ORIENTATION = 0x0112;
+const TAG_EXIF_IFD = 0x8769;
+const TAG_DATE_TIME_ORIGINAL = 0x9003;
+const TAG_OFFSET_TIME_ORIGINAL = 0x9011;
+
+const TYPE_ASCII = 2;
+const TYPE_SHORT = 3;
+const TYPE_LONG = 4;
+
+const JPEG_SOI = 0xd8;
+const JPEG_EOI = 0xd9;
+const JPEG_SOS = 0xda;
+const JPEG_APP0 = 0xe0;
+const JPEG_APP1 = 0xe1;
+const JPEG_APP2 = 0xe2;
+const JPEG_APP14 = 0xee;
+const JPEG_APP15 = 0xef;
+const JPEG_COM = 0xfe;
+
+const EXIF_HEADER = Buffer.from('Exif\0\0', 'latin1');
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// PNG chunks holding metadata rather than image data
+const PNG_METADATA_CHUNKS = ['eXIf', 'tEXt', 'zTXt', 'iTXt', 'tIME'];
+
+// WebP VP8X flags of the EXIF and XMP chunks
+const WEBP_EXIF_FLAG = 0x08;
+const WEBP_XMP_FLAG = 0x04;
+
+/**
+ * Validate an organization's exifPolicy setting
+ * @throws ValidationError (400)
+ */
+function validateExifPolicy(policy) {
+    if (policy !== undefined && policy !== null && !EXIF_POLICIES.includes(policy)) {
+        throw validationError(`exifPolicy must be one of: ${EXIF_POLICIES.join(', ')}`);
+    }
+}
+
+/**
+ * Get the EXIF policy of an organization
+ * @returns 'strip' | 'essential' | 'keep'
+ */
+function getExifPolicy(organization) {
+    return organization?.exifPolicy || DEFAULT_EXIF_POLICY;
+}
+
+/**
+ * Create the error thrown for an image whose metadata cannot be parsed
+ * @returns {Error}
+ */
+function malformedImage(detail) {
+    return validationError(`Malformed image: ${detail}`);
+}
+
+/**
+ * Detect the container format of an image
+ * @returns 'jpeg' | 'png' | 'webp', or null for other formats
+ */
+function detectFormat(buffer) {
+    if (buffer.length > 3 && buffer[0] === 0xff && buffer[1] === JPEG_SOI) {
+        return 'jpeg';
+    }
+    if (buffer.length > 8 && buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+        return 'png';
+    }
+    if (buffer.length > 12 && buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') {
+        return 'webp';
+    }
+    return null;
+}
+
+/**
+ * Read the tags a policy may keep from a raw EXIF block
+ * @param {Buffer} exif - TIFF data, with or without the "Exif" header
+ * @returns { orientation, dateTime, offset } (null when missing)
+ */
+function readKeptTags(exif) {
+    const none = { orientation: null, dateTime: null, offset: null };
+    const tiff = exif.toString('latin1', 0, 4) === 'Exif' ? exif.subarray(6) : exif;
+    const byteOrder = tiff.toString('latin1', 0, 2);
+    if (byteOrder !== 'II' && byteOrder !== 'MM') {
+        return none;
+    }
+
+    const littleEndian = byteOrder === 'II';
+    const readUInt16 = (at) => littleEndian ? tiff.readUInt16LE(at) : tiff.readUInt16BE(at);
+    const readUInt32 = (at) => littleEndian ? tiff.readUInt32LE(at) : tiff.readUInt32BE(at);
+
+    try {
+        const orientationEntry = readIfd(tiff, readUInt32(4), littleEndian).get(TAG_ORIENTATION);
+        const orientation = orientationEntry?.type === TYPE_SHORT ? readUInt16(orientationEntry.valueOffset) : null;
+        const dates = parseExifDateTags(tiff);
+
+        return {
+            orientation: ORIENTATION_NAMES[orientation] ? orientation : null,
+            dateTime: dates?.dateTime || null,
+            offset: dates?.offset || null,
+        };
+    } catch (err) {
+        // A damaged EXIF block is dropped with nothing kept
+        console.error('Error reading EXIF tags:', err.message);
+        return none;
+    }
+}
+
+/**
+ * Pick the tags a policy keeps
+ * @param {Object} tags - result of readKeptTags
+ * @returns { orientation, dateTime, offset }
+ */
+function getKeptTags(tags, policy) {
+    return policy === 'essential'
+        ? tags
+        : { orientation: tags.orientation > 1 ? tags.orientation : null, dateTime: null, offset: null };
+}
+
+/**
+ * Build TIFF data holding only the given tags
+ * @param {Object} tags - { orientation, dateTime, offset }, null values are left out
+ * @returns Buffer, or null if there is nothing to keep
+ */
+function buildExifData({ orientation, dateTime, offset }) {
+    const ifd0 = [];
+    const exifIfd = [];
+    if (orientation) {
+        ifd0.push({ tag: TAG_ORIENTATION, type: TYPE_SHORT, value: orientation });
+    }
+    if (dateTime) {
+        exifIfd.push({ tag: TAG_DATE_TIME_ORIGINAL, type: TYPE_ASCII, value: dateTime });
+        if (offset) {
+            exifIfd.push({ tag: TAG_OFFSET_TIME_ORIGINAL, type: TYPE_ASCII, value: offset });
+        }
+        ifd0.push({ tag: TAG_EXIF_IFD, type: TYPE_LONG, value: 0 });
+    }
+    if (ifd0.length === 0) {
+        return null;
+    }
+
+    // Big-endian TIFF: header, IFD0, Exif IFD, then the strings too long to fit in an entry
+    const ifdSize = (entries) => entries.length > 0 ? 2 + entries.length * 12 + 4 : 0;
+    const exifIfdOffset = 8 + ifdSize(ifd0);
+    let dataOffset = exifIfdOffset + ifdSize(exifIfd);
+    const strings = exifIfd.map(entry => Buffer.from(`${entry.value}\0`, 'latin1'));
+    const tiff = Buffer.alloc(dataOffset + strings.reduce((size, string) => size + string.length, 0));
+
+    tiff.write('MM', 0, 'latin1');
+    tiff.writeUInt16BE(42, 2);
+    tiff.writeUInt32BE(8, 4);
+
+    const writeIfd = (at, entries, values) => {
+        tiff.writeUInt16BE(entries.length, at);
+        entries.forEach((entry, i) => {
+            const position = at + 2 + i * 12;
+            tiff.writeUInt16BE(entry.tag, position);
+            tiff.writeUInt16BE(entry.type, position + 2);
+            values(entry, i, position);
+        });
+        tiff.writeUInt32BE(0, at + 2 + entries.length * 12);
+    };
+
+    writeIfd(8, ifd0, (entry, i, position) => {
+        tiff.writeUInt32BE(1, position + 4);
+        if (entry.type === TYPE_SHORT) {
+            tiff.writeUInt16BE(entry.value, position + 8);
+        } else {
+            tiff.writeUInt32BE(exifIfdOffset, position + 8);
+        }
+    });
+
+    if (exifIfd.length > 0) {
+        writeIfd(exifIfdOffset, exifIfd, (entry, i, position) => {
+            tiff.writeUInt32BE(strings[i].length, position + 4);
+            tiff.writeUInt32BE(dataOffset, position + 8);
+            strings[i].copy(tiff, dataOffset);
+            dataOffset += strings[i].length;
+        });
+    }
+
+    return tiff;
+}
+
+/**
+ * Build a JPEG APP1 segment holding only the given tags
+ * @returns Buffer, or null if there is nothing to keep
+ */
+function buildExifSegment(tags) {
+    const tiff = buildExifData(tags);
+    if (!tiff) {
+        return null;
+    }
+
+    const data = Buffer.concat([EXIF_HEADER, tiff]);
+    const header = Buffer.alloc(4);
+    header.writeUInt16BE(0xff00 | JPEG_APP1, 0);
+    header.writeUInt16BE(data.length + 2, 2);
+    return Buffer.concat([header, data]);
+}
+
+/**
+ * Check if a JPEG segment holds image data (or color information) rather than metadata
+ * @param {Buffer} data - segment contents after the length
+ */
+function isImageSegment(marker, data) {
+    const startsWith = (identifier) => data.toString('latin1', 0, identifier.length) === identifier;
+
+    if (marker === JPEG_APP0) {
+        return startsWith('JFIF\0');
+    }
+    if (marker === JPEG_APP2) {
+        return startsWith('ICC_PROFILE\0');
+    }
+    if (marker === JPEG_APP14) {
+        return startsWith('Adobe');
+    }
+    return !(marker >= JPEG_APP1 && marker <= JPEG_APP15) && marker !== JPEG_COM;
+}
+
+/**
+ * Split a JPEG into its segments
+ * Entropy-coded scan data is returned as segments with marker null; anything
+ * after the end of image (embedded previews, motion photo videos) is dropped
+ * @returns array of { marker, data, bytes }
+ */
+function readJpegSegments(buffer) {
+    const segments = [];
+    let position = 2;
+
+    while (position < buffer.length) {
+        if (buffer[position] !== 0xff) {
+            throw malformedImage('JPEG: expected a marker');
+        }
+
+        const marker = buffer[position + 1];
+        if (marker === 0xff) {
+            // Fill byte before a marker
+            position++;
+            continue;
+        }
+        if (marker === JPEG_EOI) {
+            segments.push({ marker, data: null, bytes: buffer.subarray(position, position + 2) });
+            break;
+        }
+        if (position + 4 > buffer.length) {
+            throw malformedImage('JPEG: truncated segment');
+        }
+
+        const end = position + 2 + buffer.readUInt16BE(position + 2);
+        if (end > buffer.length) {
+            throw malformedImage('JPEG: truncated segment');
+        }
+        segments.push({ marker, data: buffer.subarray(position + 4, end), bytes: buffer.subarray(position, end) });
+        position = end;
+
+        if (marker === JPEG_SOS) {
+            // Scan data runs to the next marker that is not a stuffed byte or restart marker
+            let next = position;
+            while (next < buffer.length - 1 &&
+                !(buffer[next] === 0xff && buffer[next + 1] !== 0 && (buffer[next + 1] < 0xd0 || buffer[next + 1] > 0xd7))) {
+                next++;
+            }
+            segments.push({ marker: null, data: null, bytes: buffer.subarray(position, next) });
+            position = next;
+        }
+    }
+
+    return segments;
+}
+
+/**
+ * Apply a policy to a JPEG
+ * @returns { buffer, orientation }
+ */
+function rewriteJpeg(buffer, policy) {
+    const segments = readJpegSegments(buffer);
+    const exif = segments.find(segment => segment.marker === JPEG_APP1 && segment.data.toString('latin1', 0, 6) === 'Exif\0\0');
+    const tags = exif ? readKeptTags(exif.data) : { orientation: null, dateTime: null, offset: null };
+
+    const exifSegment = buildExifSegment(getKeptTags(tags, policy));
+
+    // The new EXIF block goes straight after SOI, or after the JFIF header if there is one
+    const parts = [buffer.subarray(0, 2)];
+    let pending = exifSegment;
+    for (const segment of segments) {
+        if (segment.marker !== null && !isImageSegment(segment.marker, segment.data || Buffer.alloc(0))) {
+            continue;
+        }
+        if (pending && segment.marker !== JPEG_APP0) {
+            parts.push(pending);
+            pending = null;
+        }
+        parts.push(segment.bytes);
+    }
+
+    return { buffer: Buffer.concat(parts), orientation: tags.orientation };
+}
+
+/**
+ * Compute the CRC-32 of a PNG chunk's type and data
+ * @returns number
+ */
+function crc32(data) {
+    let crc = 0xffffffff;
+    for (const byte of data) {
+        crc ^= byte;
+        for (let bit = 0; bit < 8; bit++) {
+            crc = crc & 1 ? (crc >>> 1) ^ 0xedb88320 : crc >>> 1;
+        }
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Apply a policy to a PNG
+ * Metadata chunks are removed and the kept tags written to a new eXIf chunk after IHDR
+ * @returns { buffer, orientation }
+ */
+function rewritePng(buffer, policy) {
+    const parts = [PNG_SIGNATURE];
+    let tags = { orientation: null, dateTime: null, offset: null };
+    let position = PNG_SIGNATURE.length;
+
+    while (position + 8 <= buffer.length) {
+        const length = buffer.readUInt32BE(position);
+        const type = buffer.toString('latin1', position + 4, position + 8);
+        const end = position + 12 + length;
+        if (end > buffer.length) {
+            throw malformedImage('PNG: truncated chunk');
+        }
+
+        if (type === 'eXIf') {
+            tags = readKeptTags(buffer.subarray(position + 8, position + 8 + length));
+        }
+        if (!PNG_METADATA_CHUNKS.includes(type)) {
+            parts.push(buffer.subarray(position, end));
+        }
+
+        position = end;
+        if (type === 'IEND') {
+            break;
+        }
+    }
+
+    // eXIf must come before the image data, IHDR is always the first chunk
+    const exif = buildExifData(getKeptTags(tags, policy));
+    if (exif) {
+        const chunk = Buffer.alloc(12 + exif.length);
+        chunk.writeUInt32BE(exif.length, 0);
+        chunk.write('eXIf', 4, 'latin1');
+        exif.copy(chunk, 8);
+        chunk.writeUInt32BE(crc32(chunk.subarray(4, 8 + exif.length)), 8 + exif.length);
+        parts.splice(2, 0, chunk);
+    }
+
+    return { buffer: Buffer.concat(parts), orientation: tags.orientation };
+}
+
+/**
+ * Apply a policy to a WebP
+ * The EXIF and XMP chunks are removed and the kept tags written to a new EXIF chunk at the end
+ * @returns { buffer, orientation }
+ */
+function rewriteWebp(buffer, policy) {
+    const parts = [];
+    let tags = { orientation: null, dateTime: null, offset: null };
+    let extendedHeader = null;
+    let position = 12;
+    const end = Math.min(buffer.length, 8 + buffer.readUInt32LE(4));
+
+    while (position + 8 <= end) {
+        const type = buffer.toString('latin1', position, position + 4);
+        const size = buffer.readUInt32LE(position + 4);
+        // Chunks are padded to an even size
+        const next = position + 8 + size + (size % 2);
+        if (position + 8 + size > end) {
+            throw malformedImage('WebP: truncated chunk');
+        }
+
+        if (type === 'EXIF') {
+            tags = readKeptTags(buffer.subarray(position + 8, position + 8 + size));
+        } else if (type === 'VP8X') {
+            extendedHeader = Buffer.from(buffer.subarray(position, next));
+            extendedHeader[8] &= ~(WEBP_EXIF_FLAG | WEBP_XMP_FLAG);
+            parts.push(extendedHeader);
+        } else if (type !== 'XMP ') {
+            parts.push(buffer.subarray(position, Math.min(next, end)));
+        }
+        position = next;
+    }
+
+    // Only the extended format (VP8X) can carry an EXIF chunk, which any photo with one already uses
+    const exif = extendedHeader && buildExifData(getKeptTags(tags, policy));
+    if (exif) {
+        const chunk = Buffer.alloc(8 + exif.length + (exif.length % 2));
+        chunk.write('EXIF', 0, 'latin1');
+        chunk.writeUInt32LE(exif.length, 4);
+        exif.copy(chunk, 8);
+        extendedHeader[8] |= WEBP_EXIF_FLAG;
+        parts.push(chunk);
+    }
+
+    const header = Buffer.from(buffer.subarray(0, 12));
+    const body = Buffer.concat(parts);
+    header.writeUInt32LE(body.length + 4, 4);
+    return { buffer: Buffer.concat([header, body]), orientation: tags.orientation };
+}
+
+/**
+ * Apply an EXIF policy to an image
+ * Formats other than JPEG, PNG and WebP are returned unchanged
+ * @returns { buffer, orientation } - orientation (1-8) read from the image before
+ *   it was rewritten, or null
+ * @throws ValidationError if the image is malformed
+ */
+function applyExifPolicy(buffer, policy) {
+    const format = detectFormat(buffer);
+    if (policy === 'keep' || !format) {
+        return { buffer, orientation: null };
+    }
+
+    if (format === 'jpeg') {
+        return rewriteJpeg(buffer, policy);
+    }
+    return format === 'png' ? rewritePng(buffer, policy) : rewriteWebp(buffer, policy);
+}
+
+/**
+ * Apply an EXIF policy to an uploaded file in place
+ * @returns {Promise<Object>} { orientation } read from the file before it was rewritten
+ */
+async function applyExifPolicyToFile(filePath, policy) {
+    if (policy === 'keep') {
+        return { orientation: null };
+    }
+
+    // HEIC and AVIF uploads are filtered once converted (services/imageIngest.js)
+    const original = await fs.readFile(filePath);
+    if (!detectFormat(original)) {
+        return { orientation: null };
+    }
+
+    let result;
+    try {
+        result = applyExifPolicy(original, policy);
+    } catch (err) {
+        if (err.name !== 'ValidationError') {
+            throw err;
+        }
+        result = await reencodeWithPolicy(original, policy, err);
+    }
+
+    await fs.writeFile(filePath, result.buffer);
+    return { orientation: result.orientation };
+}
+
+/**
+ * Re-encode an image the segment rewrite could not parse
+ * @param {Error} parseError - thrown again when sharp is missing or cannot read the image either
+ * @returns {Promise<Object>} { buffer, orientation }
+ */
+async function reencodeWithPolicy(original, policy, parseError) {
+    if (!sharp) {
+        throw parseError;
+    }
+
+    try {
+        const { format, exif } = await sharp(original, { failOn: 'none' }).metadata();
+        const tags = exif ? readKeptTags(exif) : { orientation: null, dateTime: null, offset: null };
+
+        // Without metadata options sharp writes none; the orientation is applied to the pixels
+        let image = sharp(original, { failOn: 'none' }).rotate();
+        if (policy === 'essential' && format === 'jpeg' && tags.dateTime) {
+            image = image.withExif({
+                IFD2: {
+                    DateTimeOriginal: tags.dateTime,
+                    ...(tags.offset ? { OffsetTimeOriginal: tags.offset } : {}),
+                },
+            });
+        }
+
+        const buffer = await image.toFormat(format).toBuffer();
+        console.log(`Re-encoded ${format} with sharp: ${parseError.message}`);
+        return { buffer, orientation: tags.orientation };
+    } catch (err) {
+        console.error('Error re-encoding image:', err.message);
+        throw parseError;
+    }
+}
+
+/**
+ * Keep the EXIF-derived observation fields a policy allows
+ * @param {Object} observation - parsed upload metadata
+ * @param {number} orientation - EXIF orientation read on the server, used when the client sent none
+ * @returns observation object to store
+ */
+function getRetainedObservation(observation, policy, orientation = null) {
+    const retained = { ...observation };
+    if (!retained.orientation && ORIENTATION_NAMES[orientation]) {
+        retained.orientation = ORIENTATION_NAMES[orientation];
+    }
+
+    for (const field of EXIF_OBSERVATION_FIELDS) {
+        if (!KEPT_OBSERVATION_FIELDS[policy].includes(field)) {
+            delete retained[field];
+        }
+    }
+    return retained;
+}
+
+module.exports = {
+    validateExifPolicy,
+    getExifPolicy,
+    applyExifPolicy,
+    applyExifPolicyToFile,
+    getRetainedObservation,
+};
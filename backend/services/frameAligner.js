@@ -0,0 +1,297 @@
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../config/config');
+
+// Sharp is optional - alignment is skipped without it
+let sharp;
+try {
+    sharp = require('sharp');
+} catch (err) {
+    sharp = null;
+}
+
+/**
+ * Timelapse frame alignment (stabilization)
+ * Each frame is registered against the first (reference) frame by phase
+ * correlation on a downscaled grayscale copy, which finds the translation
+ * between the two shots. Frames are then shifted and cropped to the area
+ * that every kept frame covers.
+ *
+ * The height of the correlation peak (0-1) is the alignment confidence;
+ * frames below ALIGNMENT_MIN_CONFIDENCE, or shifted further than
+ * ALIGNMENT_MAX_SHIFT_PERCENT of the frame, are dropped.
+ */
+
+// Correlation size in pixels (a power of 2 for the FFT)
+const ANALYSIS_SIZE = 256;
+
+/**
+ * Check if frames can be aligned
+ * @returns boolean
+ */
+function isAlignmentAvailable() {
+    return sharp !== null;
+}
+
+/**
+ * In-place radix-2 FFT of one row or column
+ * @param {Float64Array} re - real parts
+ * @param {Float64Array} im - imaginary parts
+ * @param {boolean} inverse - inverse transform (unscaled)
+ */
+function fft(re, im, inverse) {
+    const n = re.length;
+
+    // Bit-reversal permutation
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) {
+            j ^= bit;
+        }
+        j ^= bit;
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
+        }
+    }
+
+    for (let size = 2; size <= n; size <<= 1) {
+        const angle = (inverse ? 2 : -2) * Math.PI / size;
+        const stepRe = Math.cos(angle);
+        const stepIm = Math.sin(angle);
+
+        for (let start = 0; start < n; start += size) {
+            let wRe = 1;
+            let wIm = 0;
+            for (let k = 0; k < size / 2; k++) {
+                const a = start + k;
+                const b = a + size / 2;
+                const tRe = re[b] * wRe - im[b] * wIm;
+                const tIm = re[b] * wIm + im[b] * wRe;
+                re[b] = re[a] - tRe;
+                im[b] = im[a] - tIm;
+                re[a] += tRe;
+                im[a] += tIm;
+                [wRe, wIm] = [wRe * stepRe - wIm * stepIm, wRe * stepIm + wIm * stepRe];
+            }
+        }
+    }
+}
+
+/**
+ * 2D FFT of a square n x n image, rows then columns
+ */
+function fft2d(re, im, n, inverse = false) {
+    const rowRe = new Float64Array(n);
+    const rowIm = new Float64Array(n);
+
+    for (let pass = 0; pass < 2; pass++) {
+        for (let line = 0; line < n; line++) {
+            // pass 0 walks rows, pass 1 walks columns
+            const index = (i) => pass === 0 ? line * n + i : i * n + line;
+
+            for (let i = 0; i < n; i++) {
+                rowRe[i] = re[index(i)];
+                rowIm[i] = im[index(i)];
+            }
+            fft(rowRe, rowIm, inverse);
+            for (let i = 0; i < n; i++) {
+                re[index(i)] = rowRe[i];
+                im[index(i)] = rowIm[i];
+            }
+        }
+    }
+}
+
+/**
+ * Load an image as a windowed grayscale spectrum for correlation
+ * @returns { re, im } frequency domain of the ANALYSIS_SIZE square image
+ */
+async function loadSpectrum(imagePath) {
+    const n = ANALYSIS_SIZE;
+    const pixels = await sharp(imagePath)
+        .resize(n, n, { fit: 'fill' })
+        .grayscale()
+        .raw()
+        .toBuffer();
+
+    let mean = 0;
+    for (let i = 0; i < n * n; i++) {
+        mean += pixels[i];
+    }
+    mean /= n * n;
+
+    // Hann window so the image edges do not dominate the correlation
+    const window = Array.from({ length: n }, (_, i) => 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (n - 1)));
+    const re = new Float64Array(n * n);
+    const im = new Float64Array(n * n);
+
+    for (let y = 0; y < n; y++) {
+        for (let x = 0; x < n; x++) {
+            re[y * n + x] = (pixels[y * n + x] - mean) * window[x] * window[y];
+        }
+    }
+
+    fft2d(re, im, n);
+    return { re, im };
+}
+
+/**
+ * Fit a parabola through a peak and its neighbours
+ * @returns sub-pixel offset from the peak (-0.5 to 0.5)
+ */
+function refinePeak(before, peak, after) {
+    const denominator = before - 2 * peak + after;
+    return denominator === 0 ? 0 : Math.max(-0.5, Math.min(0.5, (before - after) / (2 * denominator)));
+}
+
+/**
+ * Find the translation of an image relative to the reference
+ * @returns { dx, dy, confidence } - shift in ANALYSIS_SIZE pixels; the image shows
+ *   the reference moved by (dx, dy)
+ */
+function phaseCorrelate(reference, image) {
+    const n = ANALYSIS_SIZE;
+    const re = new Float64Array(n * n);
+    const im = new Float64Array(n * n);
+
+    // Normalized cross-power spectrum: image * conj(reference) / |...|
+    for (let i = 0; i < n * n; i++) {
+        const pRe = image.re[i] * reference.re[i] + image.im[i] * reference.im[i];
+        const pIm = image.im[i] * reference.re[i] - image.re[i] * reference.im[i];
+        const magnitude = Math.hypot(pRe, pIm) || 1;
+        re[i] = pRe / magnitude;
+        im[i] = pIm / magnitude;
+    }
+
+    fft2d(re, im, n, true);
+
+    let peakIndex = 0;
+    for (let i = 1; i < n * n; i++) {
+        if (re[i] > re[peakIndex]) {
+            peakIndex = i;
+        }
+    }
+
+    const at = (x, y) => re[((y + n) % n) * n + ((x + n) % n)];
+    const px = peakIndex % n;
+    const py = Math.floor(peakIndex / n);
+    const peak = re[peakIndex];
+
+    // Peaks past the middle wrap around to negative shifts
+    const dx = (px > n / 2 ? px - n : px) + refinePeak(at(px - 1, py), peak, at(px + 1, py));
+    const dy = (py > n / 2 ? py - n : py) + refinePeak(at(px, py - 1), peak, at(px, py + 1));
+
+    return { dx, dy, confidence: Math.max(0, Math.min(1, peak / (n * n))) };
+}
+
+/**
+ * Align images to the first one and write cropped frames to a temp folder
+ * The caller removes frameDir when done.
+ * @param {Function} onProgress - receives the number of frames aligned so far
+ * @returns {Promise<Object>} {
+ *   frameDir, imagePaths: aligned frames of the kept images, in order,
+ *   width, height: size of the aligned frames,
+ *   crop: { left, top, width, height } in reference frame pixels,
+ *   frames: [{ index, dx, dy, confidence, dropped, reason }] per input image
+ * }
+ */
+async function alignFrames(imagePaths, onProgress = () => {}) {
+    if (!isAlignmentAvailable()) {
+        throw new Error('Frame alignment requires sharp on the server');
+    }
+
+    if (imagePaths.length === 0) {
+        throw new Error('No images provided for alignment.');
+    }
+
+    // Work at the timelapse size; the reference frame sets the geometry
+    const firstImage = await sharp(imagePaths[0]).metadata();
+    const width = Math.min(firstImage.width, config.timelapseMaxWidth);
+    const height = Math.round((firstImage.height / firstImage.width) * width);
+    const scaleX = width / ANALYSIS_SIZE;
+    const scaleY = height / ANALYSIS_SIZE;
+    const maxShiftX = width * config.alignmentMaxShiftPercent / 100;
+    const maxShiftY = height * config.alignmentMaxShiftPercent / 100;
+
+    console.log(`Aligning ${imagePaths.length} frames (${width} x ${height})...`);
+
+    const reference = await loadSpectrum(imagePaths[0]);
+    const frames = [];
+
+    for (const [index, imagePath] of imagePaths.entries()) {
+        let frame;
+
+        try {
+            const match = index === 0
+                ? { dx: 0, dy: 0, confidence: 1 }
+                : phaseCorrelate(reference, await loadSpectrum(imagePath));
+            const dx = Math.round(match.dx * scaleX);
+            const dy = Math.round(match.dy * scaleY);
+            const confidence = Math.round(match.confidence * 1000) / 1000;
+
+            let reason = null;
+            if (confidence < config.alignmentMinConfidence) {
+                reason = 'low confidence';
+            } else if (Math.abs(dx) > maxShiftX || Math.abs(dy) > maxShiftY) {
+                reason = 'shift too large';
+            }
+
+            frame = { index, dx, dy, confidence, dropped: reason !== null, reason };
+        } catch (err) {
+            console.error(`Error aligning image ${imagePath}:`, err.message);
+            frame = { index, dx: 0, dy: 0, confidence: 0, dropped: true, reason: 'unreadable' };
+        }
+
+        frames.push(frame);
+        onProgress(index + 1);
+    }
+
+    const kept = frames.filter(frame => !frame.dropped);
+
+    // Area of the reference frame that every kept frame covers
+    const left = Math.max(0, ...kept.map(frame => -frame.dx));
+    const top = Math.max(0, ...kept.map(frame => -frame.dy));
+    const right = Math.min(width, ...kept.map(frame => width - frame.dx));
+    const bottom = Math.min(height, ...kept.map(frame => height - frame.dy));
+    const crop = { left, top, width: right - left, height: bottom - top };
+
+    const frameDir = await fs.mkdtemp(path.join(config.tempDir, 'aligned-'));
+    const alignedPaths = [];
+
+    try {
+        for (const frame of kept) {
+            const framePath = path.join(frameDir, `frame_${String(frame.index).padStart(5, '0')}.png`);
+            await sharp(imagePaths[frame.index])
+                .resize(width, height, { fit: 'fill' })
+                .extract({
+                    left: left + frame.dx,
+                    top: top + frame.dy,
+                    width: crop.width,
+                    height: crop.height,
+                })
+                .png({ compressionLevel: 1 })
+                .toFile(framePath);
+            alignedPaths.push(framePath);
+        }
+    } catch (err) {
+        await fs.rm(frameDir, { recursive: true, force: true });
+        throw err;
+    }
+
+    console.log(`Aligned ${kept.length} of ${frames.length} frames, cropped to ${crop.width} x ${crop.height}`);
+
+    return {
+        frameDir,
+        imagePaths: alignedPaths,
+        width: crop.width,
+        height: crop.height,
+        crop,
+        frames,
+    };
+}
+
+module.exports = {
+    isAlignmentAvailable,
+    alignFrames,
+};
@@ -0,0 +1,258 @@
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../config/config');
+
+// Sharp is optional - normalization is skipped without it
+let sharp;
+try {
+    sharp = require('sharp');
+} catch (err) {
+    sharp = null;
+}
+
+/**
+ * Timelapse exposure and color normalization
+ * Reduces brightness and white balance flicker between photos taken with
+ * different phones at different times of day. Each frame gets one lookup
+ * table per RGB channel, built by one of two modes:
+ *
+ *   histogram: match each channel's histogram to the reference (first) frame
+ *   rolling:   shift each channel's mean and contrast towards the average of the
+ *              neighbouring NORMALIZATION_WINDOW frames, keeping slow seasonal change
+ *
+ * Inputs may be file paths or buffers.
+ */
+
+const NORMALIZATION_METHODS = ['histogram', 'rolling'];
+
+// Width the histograms are measured at
+const ANALYSIS_WIDTH = 256;
+
+const CHANNELS = 3;
+
+/**
+ * Check if frames can be normalized
+ * @returns boolean
+ */
+function isNormalizationAvailable() {
+    return sharp !== null;
+}
+
+/**
+ * Decode an image to 8-bit RGB pixels
+ * @returns {Promise<{ data, info }>}
+ */
+function loadPixels(input, maxWidth) {
+    return sharp(input)
+        .resize({ width: maxWidth, withoutEnlargement: true })
+        .toColourspace('srgb')
+        .removeAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+}
+
+/**
+ * Measure an image's channels
+ * @returns array of { histogram, mean, stdev } per RGB channel
+ */
+async function measureChannels(input) {
+    const { data } = await loadPixels(input, ANALYSIS_WIDTH);
+    const histograms = Array.from({ length: CHANNELS }, () => new Float64Array(256));
+
+    for (let i = 0; i < data.length; i += CHANNELS) {
+        for (let c = 0; c < CHANNELS; c++) {
+            histograms[c][data[i + c]]++;
+        }
+    }
+
+    return histograms.map(histogram => {
+        const count = data.length / CHANNELS;
+        let sum = 0;
+        let squares = 0;
+        for (let v = 0; v < 256; v++) {
+            sum += v * histogram[v];
+            squares += v * v * histogram[v];
+        }
+        const mean = sum / count;
+        return { histogram, mean, stdev: Math.sqrt(Math.max(0, squares / count - mean * mean)) };
+    });
+}
+
+/**
+ * Cumulative distribution of a histogram (0-1)
+ */
+function toCdf(histogram) {
+    const total = histogram.reduce((sum, count) => sum + count, 0) || 1;
+    const cdf = new Float64Array(256);
+    let running = 0;
+    for (let v = 0; v < 256; v++) {
+        running += histogram[v];
+        cdf[v] = running / total;
+    }
+    return cdf;
+}
+
+/**
+ * Lookup table mapping a channel's histogram onto a reference histogram
+ */
+function histogramLut(source, reference) {
+    const sourceCdf = toCdf(source);
+    const referenceCdf = toCdf(reference);
+    const lut = new Uint8Array(256);
+
+    let target = 0;
+    for (let v = 0; v < 256; v++) {
+        while (target < 255 && referenceCdf[target] < sourceCdf[v]) {
+            target++;
+        }
+        lut[v] = target;
+    }
+    return lut;
+}
+
+/**
+ * Lookup table moving a channel's mean and stdev to target values
+ */
+function linearLut(source, target) {
+    // Limit the contrast change so near-flat frames are not blown out
+    const gain = source.stdev > 0 ? Math.max(0.5, Math.min(2, target.stdev / source.stdev)) : 1;
+    const lut = new Uint8Array(256);
+
+    for (let v = 0; v < 256; v++) {
+        lut[v] = Math.max(0, Math.min(255, Math.round((v - source.mean) * gain + target.mean)));
+    }
+    return lut;
+}
+
+/**
+ * Build the per-channel lookup tables of every frame
+ * @param {Array} inputs - frames in timelapse order; the first is the histogram reference
+ * @param {string} method - 'histogram' | 'rolling'
+ * @returns array of [lutR, lutG, lutB] per frame
+ */
+async function planNormalization(inputs, method) {
+    if (!NORMALIZATION_METHODS.includes(method)) {
+        throw new Error(`Unknown normalization method '${method}'`);
+    }
+
+    const measurements = [];
+    for (const input of inputs) {
+        measurements.push(await measureChannels(input));
+    }
+
+    if (method === 'histogram') {
+        const [reference] = measurements;
+        return measurements.map(channels =>
+            channels.map((channel, c) => histogramLut(channel.histogram, reference[c].histogram))
+        );
+    }
+
+    const halfWindow = Math.floor(config.normalizationWindow / 2);
+    return measurements.map((channels, index) => {
+        const neighbours = measurements.slice(Math.max(0, index - halfWindow), index + halfWindow + 1);
+        return channels.map((channel, c) => linearLut(channel, {
+            mean: neighbours.reduce((sum, frame) => sum + frame[c].mean, 0) / neighbours.length,
+            stdev: neighbours.reduce((sum, frame) => sum + frame[c].stdev, 0) / neighbours.length,
+        }));
+    });
+}
+
+/**
+ * Apply lookup tables to an image
+ * @returns sharp instance of the normalized image (at most TIMELAPSE_MAX_WIDTH wide)
+ */
+async function applyLuts(input, luts) {
+    const { data, info } = await loadPixels(input, config.timelapseMaxWidth);
+
+    for (let i = 0; i < data.length; i += CHANNELS) {
+        for (let c = 0; c < CHANNELS; c++) {
+            data[i + c] = luts[c][data[i + c]];
+        }
+    }
+
+    return sharp(data, { raw: { width: info.width, height: info.height, channels: CHANNELS } });
+}
+
+/**
+ * Normalize frames and write them to a temp folder
+ * The caller removes frameDir when done.
+ * @param {Function} onProgress - receives the number of frames written so far
+ * @returns {Promise<Object>} { frameDir, imagePaths: normalized frames, in order }
+ */
+async function normalizeFrames(imagePaths, method, onProgress = () => {}) {
+    if (!isNormalizationAvailable()) {
+        throw new Error('Frame normalization requires sharp on the server');
+    }
+
+    if (imagePaths.length === 0) {
+        throw new Error('No images provided for normalization.');
+    }
+
+    console.log(`Normalizing ${imagePaths.length} frames (${method})...`);
+
+    const luts = await planNormalization(imagePaths, method);
+    const frameDir = await fs.mkdtemp(path.join(config.tempDir, 'normalized-'));
+    const normalizedPaths = [];
+
+    try {
+        for (const [index, imagePath] of imagePaths.entries()) {
+            const framePath = path.join(frameDir, `frame_${String(index).padStart(5, '0')}.png`);
+            const image = await applyLuts(imagePath, luts[index]);
+            await image.png({ compressionLevel: 1 }).toFile(framePath);
+            normalizedPaths.push(framePath);
+            onProgress(index + 1);
+        }
+    } catch (err) {
+        await fs.rm(frameDir, { recursive: true, force: true });
+        throw err;
+    }
+
+    console.log(`Normalized ${normalizedPaths.length} frames`);
+    return { frameDir, imagePaths: normalizedPaths };
+}
+
+/**
+ * Render one frame before and after normalization, side by side
+ * @param {Array} inputs - frames in timelapse order; must include the target
+ *   (the first frame for 'histogram', its neighbours for 'rolling')
+ * @param {number} targetIndex - index of the frame to preview
+ * @param {number} width - width of each half
+ * @returns {Promise<Buffer>} JPEG image
+ */
+async function renderPreview(inputs, targetIndex, method, width) {
+    const luts = await planNormalization(inputs, method);
+    const target = inputs[targetIndex];
+
+    const before = await sharp(target)
+        .resize({ width, withoutEnlargement: true })
+        .toColourspace('srgb')
+        .removeAlpha()
+        .png()
+        .toBuffer({ resolveWithObject: true });
+    const after = await (await applyLuts(target, luts[targetIndex]))
+        .resize(before.info.width, before.info.height, { fit: 'fill' })
+        .png()
+        .toBuffer();
+
+    return sharp({
+        create: {
+            width: before.info.width * 2,
+            height: before.info.height,
+            channels: CHANNELS,
+            background: { r: 0, g: 0, b: 0 },
+        },
+    })
+        .composite([
+            { input: before.data, left: 0, top: 0 },
+            { input: after, left: before.info.width, top: 0 },
+        ])
+        .jpeg({ quality: 85 })
+        .toBuffer();
+}
+
+module.exports = {
+    NORMALIZATION_METHODS,
+    isNormalizationAvailable,
+    normalizeFrames,
+    renderPreview,
+};
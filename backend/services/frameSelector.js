@@ -0,0 +1,324 @@
+const config = require('../config/config');
+const { validationError } = require('./errors');
+const { getCaptureTime } = require('./captureTimeService');
+const { isFlagged } = require('./geofenceService');
+const { isLowQuality } = require('./qualityScreener');
+
+/**
+ * Timelapse frame selection
+ * Picks which photos of a trail go into a timelapse, so busy weekends do not
+ * flood it with near-identical frames. A selection is an object with any of:
+ *
+ *   from, to: "YYYY-MM-DD" (inclusive date range)
+ *   timeOfDay: { start: "HH:MM", end: "HH:MM" } (may wrap past midnight)
+ *   perPeriod: "day" | "week" | "month" (keep the best photo of each period)
+ *   sameDate: "MM-DD" (keep the best photo nearest this date each year)
+ *   sameDateToleranceDays: days either side of sameDate (default 7)
+ *   maxFrames: number (evenly thinned down to this many frames)
+ *   timeZone: IANA time zone for dates and times (default TIMELAPSE_TIME_ZONE)
+ *   includeFlagged: boolean (also use photos taken outside the trail's geofence, default false)
+ *   includeLowQuality: boolean (also use photos scoring below QUALITY_MIN_SCORE, default false)
+ *
+ * Photos are placed by their capture time (see captureTimeService.js).
+ * Flagged photos (see geofenceService.js) and low quality photos (see qualityScreener.js)
+ * are left out first unless includeFlagged / includeLowQuality is set.
+ * "Best" is the photo taken closest to the middle of the timeOfDay window
+ * (or noon), which keeps the light most consistent.
+ *
+ * Steps are applied in the order listed above.
+ */
+
+const PERIODS = ['day', 'week', 'month'];
+
+const SELECTION_FIELDS = ['from', 'to', 'timeOfDay', 'perPeriod', 'sameDate', 'sameDateToleranceDays', 'maxFrames', 'timeZone', 'includeFlagged', 'includeLowQuality'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const MONTH_DAY_PATTERN = /^(\d{2})-(\d{2})$/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTES_PER_DAY = 24 * 60;
+
+const DEFAULT_TOLERANCE_DAYS = 7;
+
+/**
+ * Convert "HH:MM" to minutes after midnight
+ */
+function toMinutes(time) {
+    const [, hours, minutes] = TIME_PATTERN.exec(time);
+    return Number(hours) * 60 + Number(minutes);
+}
+
+/**
+ * Check if a year, month and day form a real date
+ * @returns boolean
+ */
+function isCalendarDate(year, month, day) {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+/**
+ * Validate a selection from a request body or trail setting
+ * @returns normalized selection object, or null for "every unflagged, good quality photo"
+ * @throws ValidationError (400)
+ */
+function parseSelection(selection) {
+    if (selection === undefined || selection === null) {
+        return null;
+    }
+
+    if (typeof selection !== 'object' || Array.isArray(selection)) {
+        throw validationError('selection must be an object');
+    }
+
+    const unknownFields = Object.keys(selection).filter(key => !SELECTION_FIELDS.includes(key));
+    if (unknownFields.length > 0) {
+        throw validationError(`Unknown selection field(s): ${unknownFields.join(', ')}`);
+    }
+
+    const {
+        from, to, timeOfDay, perPeriod, sameDate, sameDateToleranceDays, maxFrames, timeZone,
+        includeFlagged, includeLowQuality,
+    } = selection;
+
+    for (const [name, value] of [['from', from], ['to', to]]) {
+        if (value !== undefined && (typeof value !== 'string' || !DATE_PATTERN.test(value) ||
+            !isCalendarDate(...value.split('-').map(Number)))) {
+            throw validationError(`selection.${name} must be a date (YYYY-MM-DD)`);
+        }
+    }
+
+    if (from && to && from > to) {
+        throw validationError('selection.from must not be after selection.to');
+    }
+
+    if (timeOfDay !== undefined &&
+        (typeof timeOfDay !== 'object' || timeOfDay === null ||
+         !TIME_PATTERN.test(timeOfDay.start) || !TIME_PATTERN.test(timeOfDay.end))) {
+        throw validationError('selection.timeOfDay must be { start: "HH:MM", end: "HH:MM" }');
+    }
+
+    if (perPeriod !== undefined && !PERIODS.includes(perPeriod)) {
+        throw validationError(`selection.perPeriod must be one of: ${PERIODS.join(', ')}`);
+    }
+
+    if (sameDate !== undefined) {
+        const match = typeof sameDate === 'string' && MONTH_DAY_PATTERN.exec(sameDate);
+        // 2000 is a leap year, so 02-29 is accepted
+        if (!match || !isCalendarDate(2000, Number(match[1]), Number(match[2]))) {
+            throw validationError('selection.sameDate must be a month and day (MM-DD)');
+        }
+        if (perPeriod !== undefined) {
+            throw validationError('selection.sameDate cannot be combined with perPeriod');
+        }
+    }
+
+    if (sameDateToleranceDays !== undefined &&
+        (!Number.isInteger(sameDateToleranceDays) || sameDateToleranceDays < 0 || sameDateToleranceDays > 182)) {
+        throw validationError('selection.sameDateToleranceDays must be a whole number of days from 0 to 182');
+    }
+
+    if (maxFrames !== undefined && (!Number.isInteger(maxFrames) || maxFrames < 1)) {
+        throw validationError('selection.maxFrames must be a positive whole number');
+    }
+
+    if (timeZone !== undefined) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+        } catch (err) {
+            throw validationError(`selection.timeZone '${timeZone}' is not a known time zone`);
+        }
+    }
+
+    for (const [name, value] of [['includeFlagged', includeFlagged], ['includeLowQuality', includeLowQuality]]) {
+        if (value !== undefined && typeof value !== 'boolean') {
+            throw validationError(`selection.${name} must be a boolean`);
+        }
+    }
+
+    return Object.fromEntries(
+        SELECTION_FIELDS.filter(key => selection[key] !== undefined).map(key => [key, selection[key]])
+    );
+}
+
+/**
+ * Split a time into local date and minutes after midnight in a time zone
+ * @returns { date: "YYYY-MM-DD", minutes }
+ */
+function toLocalTime(time, timeZone) {
+    const parts = Object.fromEntries(
+        new Intl.DateTimeFormat('en-CA', {
+            timeZone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23',
+        }).formatToParts(time).map(part => [part.type, part.value])
+    );
+
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        minutes: Number(parts.hour) * 60 + Number(parts.minute),
+    };
+}
+
+/**
+ * Key of the day, week (starting Monday) or month a local date falls in
+ */
+function getPeriodKey(date, period) {
+    if (period === 'day') {
+        return date;
+    }
+    if (period === 'month') {
+        return date.slice(0, 7);
+    }
+
+    const day = new Date(`${date}T00:00:00Z`);
+    const monday = new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS);
+    return monday.toISOString().slice(0, 10);
+}
+
+/**
+ * Check if minutes after midnight fall in a time window
+ */
+function isInWindow(minutes, start, end) {
+    return start <= end
+        ? minutes >= start && minutes <= end
+        : minutes >= start || minutes <= end;
+}
+
+/**
+ * Distance in minutes between two times of day (wrapping at midnight)
+ */
+function minutesApart(a, b) {
+    const difference = Math.abs(a - b) % MINUTES_PER_DAY;
+    return Math.min(difference, MINUTES_PER_DAY - difference);
+}
+
+/**
+ * Keep the photo closest to the target time of day in each group
+ */
+function pickBest(photos, getKey, targetMinutes) {
+    const best = new Map();
+
+    for (const photo of photos) {
+        const key = getKey(photo);
+        const current = best.get(key);
+        if (!current || minutesApart(photo.local.minutes, targetMinutes) < minutesApart(current.local.minutes, targetMinutes)) {
+            best.set(key, photo);
+        }
+    }
+
+    return [...best.values()];
+}
+
+/**
+ * Keep photos nearest a month and day each year
+ */
+function pickSameDate(photos, sameDate, toleranceDays, targetMinutes) {
+    const [month, day] = sameDate.split('-').map(Number);
+
+    const candidates = photos
+        .map(photo => {
+            const year = Number(photo.local.date.slice(0, 4));
+            const taken = Date.parse(`${photo.local.date}T00:00:00Z`);
+
+            // The nearest occurrence may be in the neighbouring year (e.g. 01-02 for 12-30)
+            const nearest = [year - 1, year, year + 1]
+                .map(anchorYear => ({
+                    anchorYear,
+                    distance: Math.abs(taken - Date.UTC(anchorYear, month - 1, day)) / DAY_MS,
+                }))
+                .sort((a, b) => a.distance - b.distance)[0];
+
+            return { ...photo, ...nearest };
+        })
+        .filter(photo => photo.distance <= toleranceDays);
+
+    const best = new Map();
+    for (const photo of candidates) {
+        const current = best.get(photo.anchorYear);
+        if (!current || photo.distance < current.distance ||
+            (photo.distance === current.distance &&
+             minutesApart(photo.local.minutes, targetMinutes) < minutesApart(current.local.minutes, targetMinutes))) {
+            best.set(photo.anchorYear, photo);
+        }
+    }
+
+    return [...best.values()];
+}
+
+/**
+ * Evenly thin frames down to a maximum, keeping the first and last
+ */
+function thin(photos, maxFrames) {
+    if (photos.length <= maxFrames) {
+        return photos;
+    }
+    if (maxFrames === 1) {
+        return [photos[photos.length - 1]];
+    }
+
+    const step = (photos.length - 1) / (maxFrames - 1);
+    return Array.from({ length: maxFrames }, (_, i) => photos[Math.round(i * step)]);
+}
+
+/**
+ * Apply a selection to a trail's photos
+ * @param {Array} files - photo file objects
+ * @param {Object} selection - parsed selection, or null for every unflagged, good quality photo
+ * @returns selected files sorted oldest first
+ */
+function selectFrames(files, selection) {
+    let photos = files
+        .filter(file => selection?.includeFlagged || !isFlagged(file))
+        .filter(file => selection?.includeLowQuality || !isLowQuality(file))
+        .map(file => ({ file, time: getCaptureTime(file) }))
+        .sort((a, b) => a.time - b.time);
+
+    if (!selection) {
+        return photos.map(photo => photo.file);
+    }
+
+    const timeZone = selection.timeZone || config.timelapseTimeZone;
+    photos = photos.map(photo => ({ ...photo, local: toLocalTime(photo.time, timeZone) }));
+
+    if (selection.from) {
+        photos = photos.filter(photo => photo.local.date >= selection.from);
+    }
+    if (selection.to) {
+        photos = photos.filter(photo => photo.local.date <= selection.to);
+    }
+
+    let targetMinutes = 12 * 60;
+    if (selection.timeOfDay) {
+        const start = toMinutes(selection.timeOfDay.start);
+        const end = toMinutes(selection.timeOfDay.end);
+        const length = (end - start + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+        targetMinutes = (start + length / 2) % MINUTES_PER_DAY;
+        photos = photos.filter(photo => isInWindow(photo.local.minutes, start, end));
+    }
+
+    if (selection.perPeriod) {
+        photos = pickBest(photos, photo => getPeriodKey(photo.local.date, selection.perPeriod), targetMinutes);
+    } else if (selection.sameDate) {
+        const toleranceDays = selection.sameDateToleranceDays ?? DEFAULT_TOLERANCE_DAYS;
+        photos = pickSameDate(photos, selection.sameDate, toleranceDays, targetMinutes);
+    }
+
+    photos.sort((a, b) => a.time - b.time);
+
+    if (selection.maxFrames) {
+        photos = thin(photos, selection.maxFrames);
+    }
+
+    return photos.map(photo => photo.file);
+}
+
+module.exports = {
+    parseSelection,
+    selectFrames,
+};
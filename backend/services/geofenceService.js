@@ -0,0 +1,182 @@
+const { validationError } = require('./errors');
+
+/**
+ * Upload geofence
+ * A trail or station with a location and geofenceRadius only expects photos
+ * taken near it. The position sent with an upload (the device position, or
+ * the photo's EXIF GPS position) is compared against it and the result is
+ * kept in the file's appProperties:
+ *
+ * appProperties:
+ *   geofence: "status;distance;flagged", one property to stay within Drive's property limit
+ *     status: "inside" | "outside" | "unknown" (no position sent, or too inaccurate)
+ *     distance: meters from the station (rounded), empty without a position
+ *     flagged: "flagged" for unknown positions flagged by the "reject" policy, else empty
+ *
+ * The reported accuracy widens the geofence, but a position less accurate than
+ * MAX_ACCURACY_RADII times the radius only proves a photo was taken outside.
+ *
+ * Photos outside the geofence are flagged: they stay in the gallery with
+ * flagged: true and are left out of timelapses unless a selection sets
+ * includeFlagged. An organization's geofencePolicy decides what happens to them:
+ *
+ *   "flag": store the photo flagged (default); unknown positions are not flagged
+ *   "reject": refuse the upload; photos with an unknown position are stored flagged
+ */
+
+const GEOFENCE_POLICIES = ['flag', 'reject'];
+
+const EARTH_RADIUS_METERS = 6371000;
+
+// Positions less accurate than this many geofence radii cannot place a photo inside
+const MAX_ACCURACY_RADII = 2;
+
+/**
+ * Validate an organization's geofencePolicy setting
+ * @throws ValidationError (400)
+ */
+function validateGeofencePolicy(policy) {
+    if (policy !== undefined && policy !== null && !GEOFENCE_POLICIES.includes(policy)) {
+        throw validationError(`geofencePolicy must be one of: ${GEOFENCE_POLICIES.join(', ')}`);
+    }
+}
+
+/**
+ * Get what happens to uploads outside an organization's geofences
+ * @returns 'flag' | 'reject'
+ */
+function getGeofencePolicy(organization) {
+    return organization?.geofencePolicy || 'flag';
+}
+
+/**
+ * Great-circle distance between two positions
+ * @returns meters
+ */
+function getDistance(from, to) {
+    const toRadians = (degrees) => degrees * Math.PI / 180;
+    const deltaLatitude = toRadians(to.latitude - from.latitude);
+    const deltaLongitude = toRadians(to.longitude - from.longitude);
+
+    const a = Math.sin(deltaLatitude / 2) ** 2 +
+        Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(deltaLongitude / 2) ** 2;
+    return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Position an upload was taken at
+ * The device position is preferred; its accuracy widens the geofence
+ * @param {Object} observation - parsed upload metadata
+ * @returns { latitude, longitude, accuracy } or null without a position
+ */
+function getUploadPosition(observation) {
+    if (observation.latitude !== undefined) {
+        return {
+            latitude: observation.latitude,
+            longitude: observation.longitude,
+            accuracy: observation.accuracy || 0,
+        };
+    }
+
+    if (observation.gpsLatitude !== undefined) {
+        return { latitude: observation.gpsLatitude, longitude: observation.gpsLongitude, accuracy: 0 };
+    }
+
+    return null;
+}
+
+/**
+ * Compare an upload's position against a geofence
+ * @param {Object} geofence - { latitude, longitude, radius } of the trail path
+ * @param {Object} observation - parsed upload metadata
+ * @param {string} policy - the organization's geofencePolicy
+ * @returns { status: 'inside' | 'outside' | 'unknown', distance, flagged }
+ *   (distance is null without a position)
+ */
+function checkGeofence(geofence, observation, policy = 'flag') {
+    const position = getUploadPosition(observation);
+    const distance = position ? Math.round(getDistance(geofence, position)) : null;
+
+    let status = 'unknown';
+    if (position && distance - position.accuracy > geofence.radius) {
+        status = 'outside';
+    } else if (position && position.accuracy <= geofence.radius * MAX_ACCURACY_RADII) {
+        status = 'inside';
+    }
+
+    return {
+        status,
+        distance,
+        flagged: status === 'outside' || (status === 'unknown' && policy === 'reject'),
+    };
+}
+
+/**
+ * Properties recording a geofence check on a new upload
+ * @returns appProperties object
+ */
+function getGeofenceProperties(check) {
+    return {
+        geofence: [
+            check.status,
+            check.distance ?? '',
+            check.flagged && check.status !== 'outside' ? 'flagged' : '',
+        ].join(';'),
+    };
+}
+
+/**
+ * Read the geofence check recorded for a photo
+ * @returns { status, distance, flagged } (strings as stored), or null if the upload was not checked
+ */
+function readGeofenceCheck(file) {
+    const { geofence } = file.appProperties || {};
+    if (geofence === undefined) {
+        return null;
+    }
+    const [status, distance, flagged] = geofence.split(';');
+    return { status, distance, flagged };
+}
+
+/**
+ * Check if a photo was taken outside its trail's geofence (or could not be placed inside it)
+ * Photos uploaded before geofences were configured are not flagged
+ * @returns boolean
+ */
+function isFlagged(file) {
+    const check = readGeofenceCheck(file);
+    return check !== null && (check.status === 'outside' || check.flagged === 'flagged');
+}
+
+/**
+ * Get the geofence check recorded for a file
+ * @returns { status, distance }, or null if the upload was not checked
+ */
+function getGeofenceCheck(file) {
+    const check = readGeofenceCheck(file);
+    if (!check) {
+        return null;
+    }
+    return { status: check.status, distance: check.distance ? Number(check.distance) : null };
+}
+
+/**
+ * Add geofence fields to a file object for API responses
+ */
+function withGeofence(file) {
+    return {
+        ...file,
+        flagged: isFlagged(file),
+        geofence: getGeofenceCheck(file),
+    };
+}
+
+module.exports = {
+    validateGeofencePolicy,
+    getGeofencePolicy,
+    checkGeofence,
+    getGeofenceProperties,
+    isFlagged,
+    getGeofenceCheck,
+    withGeofence,
+};
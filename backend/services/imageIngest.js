@@ -0,0 +1,201 @@
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../config/config');
+const { ORIGINALS_FOLDER_NAME, getExtension } = require('./storageProvider');
+
+// Sharp is optional - photos are stored as uploaded without it (HEIC and AVIF are refused)
+let sharp;
+try {
+    sharp = require('sharp');
+} catch (err) {
+    sharp = null;
+}
+
+// heic-decode is optional - it decodes the HEVC photos of iPhones, which prebuilt sharp cannot
+let decodeHeic;
+try {
+    decodeHeic = require('heic-decode');
+} catch (err) {
+    decodeHeic = null;
+}
+
+/**
+ * Upload normalization
+ * Phone photos arrive at many megabytes with their rotation in an EXIF tag,
+ * and every thumbnail and timelapse frame decodes them again. On upload each
+ * photo is turned upright, its long edge capped at INGEST_MAX_EDGE and
+ * re-encoded as INGEST_FORMAT at INGEST_QUALITY. Metadata left by the
+ * organization's EXIF policy is carried over.
+ *
+ * Photos that are already upright, small enough and in INGEST_FORMAT are
+ * stored as uploaded when re-encoding would not make them smaller. HEIC, HEIF
+ * and AVIF photos, which most browsers cannot show, are always converted;
+ * uploads that cannot be converted are refused.
+ *
+ * With KEEP_ORIGINALS the uploaded file of a normalized photo is kept in the
+ * trail path's _originals folder, which is never served. For photos that had
+ * faces blurred, the organization's privacy.keepOriginals decides instead.
+ *
+ * appProperties:
+ *   originalMimeType: MIME type of the upload, when it was converted to another format
+ *   originalFileId: ID of the kept original
+ */
+
+const INGEST_FORMATS = {
+    jpeg: { mimeType: 'image/jpeg', extension: '.jpg' },
+    webp: { mimeType: 'image/webp', extension: '.webp' },
+};
+
+const CONVERTED_TYPES = ['image/heic', 'image/heif', 'image/avif'];
+
+/**
+ * Check if an upload type can only be stored converted
+ * @returns boolean
+ */
+function mustConvert(mimeType) {
+    return CONVERTED_TYPES.includes(mimeType);
+}
+
+/**
+ * Get the file extension of an upload
+ * @param {Object} file - multer file
+ * @returns string (e.g. ".jpg")
+ */
+function getUploadExtension(file) {
+    return getExtension(file.mimetype) || path.extname(file.originalname).toLowerCase();
+}
+
+/**
+ * Get the folder originals of a trail path are kept in
+ * @returns trail path of the originals folder
+ */
+function getOriginalsPath(trailPath) {
+    return `${trailPath}/${ORIGINALS_FOLDER_NAME}`;
+}
+
+/**
+ * Check if a file is an ISO base media file (HEIC, HEIF, AVIF)
+ * @returns {Promise<boolean>}
+ */
+async function isHeifFile(filePath) {
+    const handle = await fs.open(filePath, 'r');
+    try {
+        const { buffer } = await handle.read(Buffer.alloc(8), 0, 8, 0);
+        return buffer.toString('latin1', 4, 8) === 'ftyp';
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Decode a HEIC photo sharp cannot read
+ * libheif applies the photo's rotation while decoding; its metadata is not carried over
+ * @returns {Promise<Sharp>} sharp instance of the decoded pixels
+ */
+async function decodeWithLibheif(filePath) {
+    const { width, height, data } = await decodeHeic({ buffer: await fs.readFile(filePath) });
+    return sharp(Buffer.from(data.buffer, data.byteOffset, data.byteLength), {
+        raw: { width, height, channels: 4 },
+    });
+}
+
+/**
+ * Write a photo upright, resized and in the stored format
+ * @returns {Promise<Object>} sharp output info
+ */
+function encodePhoto(image, outputPath, format) {
+    return image
+        .rotate()
+        .resize({
+            width: config.ingestMaxEdge,
+            height: config.ingestMaxEdge,
+            fit: 'inside',
+            withoutEnlargement: true,
+        })
+        .withMetadata()
+        .toFormat(format, { quality: config.ingestQuality })
+        .toFile(outputPath);
+}
+
+/**
+ * Turn a new upload upright, resize and re-encode it
+ * @returns {Promise<Object|null>} { path, mimeType, extension, width, height } of the
+ *   normalized photo (a new temp file), or null to store the upload as it is
+ *   (or, for types that must be converted, when it cannot be converted)
+ */
+async function normalizePhoto(filePath) {
+    if (!sharp) {
+        return null;
+    }
+
+    const format = INGEST_FORMATS[config.ingestFormat] ? config.ingestFormat : 'jpeg';
+    const outputPath = `${filePath}-normalized`;
+
+    try {
+        let metadata;
+        let info;
+        try {
+            metadata = await sharp(filePath).metadata();
+            info = await encodePhoto(sharp(filePath), outputPath, format);
+        } catch (err) {
+            if (!decodeHeic || !(await isHeifFile(filePath))) {
+                throw err;
+            }
+            console.log(`Decoding ${filePath} with libheif (${err.message})`);
+            metadata = {};
+            info = await encodePhoto(await decodeWithLibheif(filePath), outputPath, format);
+        }
+
+        const unchanged = metadata.format === format &&
+            (metadata.orientation || 1) === 1 &&
+            info.width === metadata.width &&
+            info.height === metadata.height;
+        if (unchanged && info.size >= (await fs.stat(filePath)).size) {
+            await fs.unlink(outputPath);
+            return null;
+        }
+
+        return {
+            path: outputPath,
+            ...INGEST_FORMATS[format],
+            width: info.width,
+            height: info.height,
+        };
+    } catch (err) {
+        console.error(`Error normalizing ${filePath}:`, err.message);
+        await fs.rm(outputPath, { force: true });
+        return null;
+    }
+}
+
+/**
+ * Properties recording how a new upload was stored
+ * @param {string} mimeType - MIME type of the upload
+ * @param {Object} normalized - result of normalizePhoto
+ * @param {string} originalFileId - ID of the kept original, if any
+ * @returns appProperties object
+ */
+function getIngestProperties(mimeType, normalized, originalFileId) {
+    return {
+        ...(normalized && normalized.mimeType !== mimeType ? { originalMimeType: mimeType } : {}),
+        ...(originalFileId ? { originalFileId } : {}),
+    };
+}
+
+/**
+ * Get the MIME type a photo was uploaded as
+ * @returns string
+ */
+function getOriginalMimeType(file) {
+    return file.appProperties?.originalMimeType || file.mimeType;
+}
+
+module.exports = {
+    INGEST_FORMATS,
+    mustConvert,
+    getUploadExtension,
+    getOriginalsPath,
+    normalizePhoto,
+    getIngestProperties,
+    getOriginalMimeType,
+};
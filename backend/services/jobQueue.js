@@ -0,0 +1,320 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const config = require('../config/config');
+const JsonStore = require('./jsonStore');
+
+/**
+ * Persistent background job queue
+ * Jobs are stored in DATA_DIR/jobs.json so queued work survives a restart.
+ * One job runs at a time; a failed job is retried with a doubling delay
+ * until it reaches JOB_MAX_ATTEMPTS. Errors with a 4xx status are not retried.
+ *
+ * Jobs that share a coalesce key (e.g. regenerating one trail's timelapse) are merged:
+ * a request joins the job that is still waiting, and a request that arrives while
+ * the job is running queues one follow-up, so the last request always gets a run
+ * that starts after it.
+ *
+ * Structure:
+ * {
+ *   "jobId": {
+ *      type: "handler name",
+ *      orgSlug, trailPath: what the job works on (trailPath may be null)
+ *      requiredRole: role in orgSlug needed to read the job and its result, or null if public
+ *      payload: extra handler input,
+ *      coalesceKey: string or null,
+ *      status: "queued" | "running" | "completed" | "failed",
+ *      attempts, maxAttempts,
+ *      requests: number of merged requests,
+ *      progress: handler-reported object or null,
+ *      result: handler return value (result.filePath is deleted with the job),
+ *      error,
+ *      runAfter, createdAt, updatedAt, startedAt, finishedAt: ISO timestamps
+ *   }
+ * }
+ */
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Progress is written at most this often (and whenever the phase changes)
+const PROGRESS_INTERVAL_MS = 1000;
+
+class JobQueue {
+    constructor() {
+        this.store = new JsonStore('jobs.json', () => ({}));
+        this.handlers = new Map();
+        this.timer = null;
+        this.busy = false;
+    }
+
+    /**
+     * Register the function that runs jobs of a type
+     * @param {Function} handler - (job, reportProgress) => result, throws to fail the attempt
+     */
+    registerHandler(type, handler) {
+        this.handlers.set(type, handler);
+    }
+
+    /**
+     * Start polling for due jobs
+     * Jobs left running by a previous process are queued again
+     */
+    start() {
+        if (this.timer) {
+            return;
+        }
+
+        const now = new Date().toISOString();
+        this.store.update(jobs => {
+            for (const job of Object.values(jobs)) {
+                if (job.status === 'running') {
+                    console.log(`Requeueing interrupted job ${job.id} (${job.type})`);
+                    Object.assign(job, { status: 'queued', runAfter: now, updatedAt: now });
+                }
+            }
+        });
+
+        this.timer = setInterval(() => this.processNext(), config.jobPollIntervalMs);
+        this.timer.unref();
+        console.log('Job queue started');
+    }
+
+    /**
+     * Stop polling (a running job finishes on its own)
+     */
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Add a job, or merge into a waiting job with the same coalesce key
+     * @param {Object} options - { orgSlug, trailPath, requiredRole, payload, coalesceKey, delayMs }
+     * @returns job object
+     */
+    enqueue(type, { orgSlug, trailPath = null, requiredRole = null, payload = {}, coalesceKey = null, delayMs = 0 }) {
+        const now = new Date();
+        const timestamp = now.toISOString();
+        const runAfter = new Date(now.getTime() + delayMs).toISOString();
+        let job;
+
+        this.store.update(jobs => {
+            this.prune(jobs, now);
+
+            const waiting = coalesceKey && Object.values(jobs)
+                .find(j => j.coalesceKey === coalesceKey && j.status === 'queued');
+
+            if (waiting) {
+                // A new request deserves a full set of attempts
+                Object.assign(waiting, {
+                    requests: waiting.requests + 1,
+                    attempts: 0,
+                    runAfter: runAfter > waiting.runAfter ? runAfter : waiting.runAfter,
+                    updatedAt: timestamp,
+                });
+                job = waiting;
+                return;
+            }
+
+            job = {
+                id: crypto.randomBytes(8).toString('hex'),
+                type,
+                orgSlug,
+                trailPath,
+                requiredRole,
+                payload,
+                coalesceKey,
+                status: 'queued',
+                attempts: 0,
+                maxAttempts: config.jobMaxAttempts,
+                requests: 1,
+                progress: null,
+                result: null,
+                error: null,
+                runAfter,
+                createdAt: timestamp,
+                updatedAt: timestamp,
+                startedAt: null,
+                finishedAt: null,
+            };
+            jobs[job.id] = job;
+        });
+
+        console.log(`Job ${job.id} (${type}) queued for '${trailPath || orgSlug}'`);
+
+        if (delayMs === 0) {
+            setImmediate(() => this.processNext());
+        }
+
+        return { ...job };
+    }
+
+    /**
+     * Get a job by ID
+     * @returns job object or null
+     */
+    getJob(jobId) {
+        const job = this.store.read()[jobId];
+        return job ? { ...job } : null;
+    }
+
+    /**
+     * List jobs, newest first
+     * @param {Object} filter - { orgSlug, trailPath, type, status }
+     * @returns array of job objects
+     */
+    listJobs({ orgSlug, trailPath, type, status } = {}) {
+        return Object.values(this.store.read())
+            .filter(job => (!orgSlug || job.orgSlug === orgSlug)
+                && (trailPath === undefined || job.trailPath === trailPath)
+                && (!type || job.type === type)
+                && (!status || job.status === status))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+            .map(job => ({ ...job }));
+    }
+
+    /**
+     * Check if a job is waiting or running
+     * @returns boolean
+     */
+    isActive(job) {
+        return ACTIVE_STATUSES.includes(job.status);
+    }
+
+    /**
+     * Run the next due job if none is running
+     */
+    async processNext() {
+        if (this.busy) {
+            return;
+        }
+
+        const now = new Date().toISOString();
+        const next = Object.values(this.store.read())
+            .filter(job => job.status === 'queued' && job.runAfter <= now && this.handlers.has(job.type))
+            .sort((a, b) => a.runAfter.localeCompare(b.runAfter))[0];
+
+        if (!next) {
+            return;
+        }
+
+        this.busy = true;
+        try {
+            await this.run(next.id);
+        } finally {
+            this.busy = false;
+        }
+
+        // Keep draining due jobs without waiting for the next poll
+        setImmediate(() => this.processNext());
+    }
+
+    /**
+     * Run one attempt of a job and record the outcome
+     */
+    async run(jobId) {
+        const job = this.updateJob(jobId, current => ({
+            status: 'running',
+            attempts: current.attempts + 1,
+            progress: null,
+            error: null,
+            startedAt: new Date().toISOString(),
+        }));
+
+        console.log(`Running job ${job.id} (${job.type}) for '${job.trailPath || job.orgSlug}', attempt ${job.attempts}/${job.maxAttempts}`);
+
+        try {
+            const handler = this.handlers.get(job.type);
+            const result = await handler(job, this.createProgressReporter(job.id));
+
+            this.updateJob(job.id, {
+                status: 'completed',
+                result: result ?? null,
+                finishedAt: new Date().toISOString(),
+            });
+            console.log(`Job ${job.id} (${job.type}) completed`);
+        } catch (error) {
+            console.error(`Job ${job.id} (${job.type}) failed:`, error.message);
+
+            // A queued follow-up for the same work makes a retry pointless
+            const superseded = job.coalesceKey && this.listJobs({ status: 'queued' })
+                .some(other => other.coalesceKey === job.coalesceKey);
+
+            const permanent = error.status >= 400 && error.status < 500;
+
+            if (job.attempts < job.maxAttempts && !superseded && !permanent) {
+                const delayMs = config.jobRetryDelayMs * 2 ** (job.attempts - 1);
+                this.updateJob(job.id, {
+                    status: 'queued',
+                    error: error.message,
+                    runAfter: new Date(Date.now() + delayMs).toISOString(),
+                });
+                console.log(`Job ${job.id} will retry in ${Math.round(delayMs / 1000)}s`);
+            } else {
+                this.updateJob(job.id, {
+                    status: 'failed',
+                    error: error.message,
+                    finishedAt: new Date().toISOString(),
+                });
+            }
+        }
+    }
+
+    /**
+     * Create the progress callback passed to a handler
+     * @returns {Function} (progress) => void
+     */
+    createProgressReporter(jobId) {
+        let lastWrite = 0;
+        let lastPhase = null;
+
+        return (progress) => {
+            const now = Date.now();
+            if (progress.phase === lastPhase && now - lastWrite < PROGRESS_INTERVAL_MS) {
+                return;
+            }
+
+            lastWrite = now;
+            lastPhase = progress.phase;
+            this.updateJob(jobId, { progress });
+        };
+    }
+
+    /**
+     * Apply changes to a stored job
+     * @param {Object|Function} changes - object, or function of the current job returning one
+     * @returns updated job object
+     */
+    updateJob(jobId, changes) {
+        let updated;
+
+        this.store.update(jobs => {
+            const job = jobs[jobId];
+            Object.assign(job, typeof changes === 'function' ? changes(job) : changes, {
+                updatedAt: new Date().toISOString(),
+            });
+            updated = job;
+        });
+
+        return { ...updated };
+    }
+
+    /**
+     * Remove finished jobs older than JOB_RETENTION_HOURS
+     */
+    prune(jobs, now) {
+        const cutoff = now.getTime() - config.jobRetentionHours * HOUR_MS;
+
+        for (const [jobId, job] of Object.entries(jobs)) {
+            if (job.finishedAt && Date.parse(job.finishedAt) < cutoff) {
+                if (job.result?.filePath) {
+                    fs.rmSync(job.result.filePath, { force: true });
+                }
+                delete jobs[jobId];
+            }
+        }
+    }
+}
+
+module.exports = new JobQueue();
@@ -0,0 +1,89 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+
+/**
+ * JSON file backed store
+ * Reads are served from memory and revalidated against the file's mtime
+ * at most once per cache TTL, so edits made by another process are picked up.
+ * Writes are atomic: data goes to a temp file that is renamed over the original.
+ *
+ * Calls are synchronous so registries built on top can keep synchronous APIs.
+ */
+class JsonStore {
+    /**
+     * @param {string} filename - file name inside config.dataDir
+     * @param {Function} getDefaults - returns initial data when the file does not exist
+     */
+    constructor(filename, getDefaults = () => ({})) {
+        this.filePath = path.join(config.dataDir, filename);
+        this.getDefaults = getDefaults;
+        this.data = null;
+        this.mtimeMs = 0;
+        this.lastCheck = 0;
+    }
+
+    /**
+     * Get current data
+     * Seeds the file with defaults on first use
+     * @returns {Object}
+     */
+    read() {
+        const now = Date.now();
+        if (this.data && now - this.lastCheck < config.storeCacheTtlMs) {
+            return this.data;
+        }
+        this.lastCheck = now;
+
+        if (!fs.existsSync(this.filePath)) {
+            this.write(this.getDefaults());
+            return this.data;
+        }
+
+        const { mtimeMs } = fs.statSync(this.filePath);
+        if (!this.data || mtimeMs !== this.mtimeMs) {
+            this.data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            this.mtimeMs = mtimeMs;
+        }
+
+        return this.data;
+    }
+
+    /**
+     * Replace data and persist atomically
+     * @returns {Object} written data
+     */
+    write(data) {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+        const tempPath = `${this.filePath}.${process.pid}.${Date.now()}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+        fs.renameSync(tempPath, this.filePath);
+
+        this.data = data;
+        this.mtimeMs = fs.statSync(this.filePath).mtimeMs;
+        this.lastCheck = Date.now();
+        return data;
+    }
+
+    /**
+     * Read-modify-write helper
+     * @param {Function} updater - receives a copy of the data, returns new data (or mutates it)
+     * @returns {Object} written data
+     */
+    update(updater) {
+        const current = structuredClone(this.read());
+        const next = updater(current) || current;
+        return this.write(next);
+    }
+
+    /**
+     * Drop the in-memory copy so the next read goes to disk
+     */
+    clearCache() {
+        this.data = null;
+        this.lastCheck = 0;
+    }
+}
+
+module.exports = JsonStore;
@@ -0,0 +1,422 @@
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const config = require('../config/config');
+const { StorageProvider, TIMELAPSE_FORMATS, PROPERTIES_FILE_NAME, getMimeType } = require('./storageProvider');
+
+/**
+ * Local filesystem storage provider
+ * Structure: rootDir/orgSlug/trailName[/stationId]/filename
+ *
+ * File IDs are the base64url encoded "orgSlug/trailPath/filename" path,
+ * so no index is needed to resolve them.
+ * File appProperties live in a .properties.json index in each trail directory.
+ */
+class LocalStorageService extends StorageProvider {
+    constructor() {
+        super('local');
+    }
+
+    /**
+     * Create the default storage root
+     * @returns {Promise<boolean>}
+     */
+    async initialize() {
+        await fs.mkdir(config.localStorageDir, { recursive: true });
+        console.log(`Local storage initialized at: ${path.resolve(config.localStorageDir)}`);
+        return true;
+    }
+
+    /**
+     * Get organization directory
+     * Uses the org's localPath if configured, else rootDir/orgSlug
+     */
+    getOrgDir(orgSlug) {
+        const { getOrganization } = require('../config/organizations');
+        let orgConfig;
+        try {
+            orgConfig = getOrganization(orgSlug);
+        } catch (error) {
+            throw new Error(`Organization '${orgSlug}' is not active or not found.`);
+        }
+
+        if (!orgConfig) {
+            throw new Error(`Organization '${orgSlug}' is not active or not found.`);
+        }
+
+        return path.resolve(orgConfig.localPath || path.join(config.localStorageDir, orgSlug));
+    }
+
+    /**
+     * Get or create trail directory
+     * Structure: orgDir/trailName[/stationId]
+     */
+    async getOrCreateTrailDir(orgSlug, trailName) {
+        const trailDir = path.join(this.getOrgDir(orgSlug), ...this.splitTrailPath(trailName));
+        await fs.mkdir(trailDir, { recursive: true });
+        return trailDir;
+    }
+
+    /**
+     * Encode a file location as an opaque ID
+     */
+    toFileId(orgSlug, trailName, filename) {
+        const relativePath = [orgSlug, ...this.splitTrailPath(trailName), filename].join('/');
+        return Buffer.from(relativePath).toString('base64url');
+    }
+
+    /**
+     * Resolve a file ID to an absolute path inside its organization directory
+     * @throws error if the ID is malformed or escapes the organization directory
+     */
+    resolveFileId(fileId) {
+        const relativePath = Buffer.from(String(fileId), 'base64url').toString('utf8');
+        const [orgSlug, ...rest] = relativePath.split('/');
+
+        if (!orgSlug || rest.length === 0) {
+            throw new Error(`Invalid file ID '${fileId}'`);
+        }
+
+        const orgDir = this.getOrgDir(orgSlug);
+        const filePath = path.resolve(orgDir, ...rest);
+
+        if (!filePath.startsWith(orgDir + path.sep)) {
+            throw new Error(`Invalid file ID '${fileId}'`);
+        }
+
+        return filePath;
+    }
+
+    /**
+     * Resolve a file ID to its organization, trail path and absolute path
+     * @throws error if the ID is malformed or escapes the organization directory
+     */
+    parseFileId(fileId) {
+        const filePath = this.resolveFileId(fileId);
+        const [orgSlug, ...rest] = Buffer.from(String(fileId), 'base64url').toString('utf8').split('/');
+        return { orgSlug, trailName: rest.slice(0, -1).join('/'), filePath };
+    }
+
+    /**
+     * Read the properties index of a directory (filename -> appProperties)
+     * Synchronous so read-modify-write cycles cannot interleave
+     */
+    readProperties(dir) {
+        try {
+            return JSON.parse(fsSync.readFileSync(path.join(dir, PROPERTIES_FILE_NAME), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return {};
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Update properties of one file in a directory's index
+     * Passing null as properties removes the file's entry
+     */
+    writeFileProperties(dir, filename, properties) {
+        const index = this.readProperties(dir);
+        if (properties && Object.keys(properties).length > 0) {
+            index[filename] = properties;
+        } else if (filename in index) {
+            delete index[filename];
+        } else {
+            return;
+        }
+
+        const indexPath = path.join(dir, PROPERTIES_FILE_NAME);
+        const tempPath = `${indexPath}.${process.pid}.tmp`;
+        fsSync.writeFileSync(tempPath, JSON.stringify(index, null, 2));
+        fsSync.renameSync(tempPath, indexPath);
+    }
+
+    /**
+     * Write a file under a name that does not exist yet in a directory
+     * Appends a counter (_1, _2, ...) to the base name. The write itself must fail
+     * with EEXIST on an existing name, so concurrent writers never share one
+     * @param {Function} write - async (targetPath) => void
+     * @return name the file was written under
+     */
+    async writeUnderAvailableName(dir, filename, write) {
+        const extension = path.extname(filename);
+        const baseName = path.basename(filename, extension);
+
+        for (let i = 0; ; i++) {
+            const targetName = i === 0 ? path.basename(filename) : `${baseName}_${i}${extension}`;
+            try {
+                await write(path.join(dir, targetName));
+                return targetName;
+            } catch (error) {
+                if (error.code !== 'EEXIST') {
+                    throw error;
+                }
+            }
+        }
+    }
+
+    /**
+     * Build a Drive-shaped file object from a path on disk
+     */
+    async toFileObject(orgSlug, trailName, filePath, properties = {}) {
+        const stats = await fs.stat(filePath);
+        const name = path.basename(filePath);
+        const createdTime = stats.birthtimeMs > 0 ? stats.birthtime : stats.mtime;
+
+        return {
+            id: this.toFileId(orgSlug, trailName, name),
+            name,
+            mimeType: getMimeType(name),
+            createdTime: createdTime.toISOString(),
+            modifiedTime: stats.mtime.toISOString(),
+            size: String(stats.size),
+            webViewLink: null,
+            webContentLink: null,
+            appProperties: properties,
+        };
+    }
+
+    /**
+     * Copy file into a trail directory
+     * Appends a counter to the filename instead of overwriting existing files
+     * @return uploaded file metadata
+     * @throws error on failure
+     */
+    async uploadFile(orgSlug, trailName, filePath, filename, mimeType, description, properties = {}) {
+        try {
+            const trailDir = await this.getOrCreateTrailDir(orgSlug, trailName);
+            const targetName = await this.writeUnderAvailableName(trailDir, filename, targetPath =>
+                fs.copyFile(filePath, targetPath, fsSync.constants.COPYFILE_EXCL)
+            );
+            const targetPath = path.join(trailDir, targetName);
+
+            const appProperties = this.mergeProperties({}, properties);
+            this.writeFileProperties(trailDir, targetName, appProperties);
+
+            const file = await this.toFileObject(orgSlug, trailName, targetPath, appProperties);
+            console.log(`File '${targetName}' stored locally in trail '${trailName}' of organization '${orgSlug}'. File ID: ${file.id}`);
+            return file;
+        } catch (error) {
+            console.error(`Error storing file '${filename}' in trail '${trailName}' of organization '${orgSlug}':`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * List trails (directories) in an organization
+     * @return array of trail names
+     * @throws error on failure
+     */
+    async listTrailsInOrganization(orgSlug) {
+        try {
+            const orgDir = this.getOrgDir(orgSlug);
+            if (!fsSync.existsSync(orgDir)) {
+                return [];
+            }
+
+            const entries = await fs.readdir(orgDir, { withFileTypes: true });
+            return entries
+                .filter(entry => entry.isDirectory())
+                .map(entry => entry.name)
+                .sort((a, b) => a.localeCompare(b));
+        } catch (error) {
+            console.error(`Error listing trails in organization '${orgSlug}':`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * List files in a trail directory
+     * @return array of files
+     * @throws error on failure
+     */
+    async listFilesInTrail(orgSlug, trailName, orderBy = 'name') {
+        try {
+            const trailDir = await this.getOrCreateTrailDir(orgSlug, trailName);
+            const entries = await fs.readdir(trailDir, { withFileTypes: true });
+            const properties = this.readProperties(trailDir);
+
+            const files = await Promise.all(
+                entries
+                    .filter(entry => entry.isFile() && !entry.name.startsWith('.'))
+                    .map(entry => this.toFileObject(orgSlug, trailName, path.join(trailDir, entry.name), properties[entry.name]))
+            );
+
+            if (orderBy === 'createdTime') {
+                files.sort((a, b) => new Date(a.createdTime) - new Date(b.createdTime));
+            } else {
+                files.sort((a, b) => a.name.localeCompare(b.name));
+            }
+
+            return files;
+        } catch (error) {
+            console.error(`Error listing files in trail '${trailName}' of organization '${orgSlug}':`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a single file
+     * @return file object or null if not found
+     * @throws error on malformed IDs
+     */
+    async getFile(fileId) {
+        const { orgSlug, trailName, filePath } = this.parseFileId(fileId);
+
+        if (!fsSync.existsSync(filePath)) {
+            return null;
+        }
+
+        const properties = this.readProperties(path.dirname(filePath));
+        return this.toFileObject(orgSlug, trailName, filePath, properties[path.basename(filePath)]);
+    }
+
+    /**
+     * Update appProperties of a file
+     * @return updated file object or null if not found
+     * @throws error on failure
+     */
+    async updateFileProperties(fileId, properties) {
+        try {
+            const { filePath } = this.parseFileId(fileId);
+
+            if (!fsSync.existsSync(filePath)) {
+                return null;
+            }
+
+            const dir = path.dirname(filePath);
+            const name = path.basename(filePath);
+            this.writeFileProperties(dir, name, this.mergeProperties(this.readProperties(dir)[name], properties));
+
+            return this.getFile(fileId);
+        } catch (error) {
+            console.error(`Error updating properties of file ID '${fileId}':`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Move a file to another trail directory
+     * The file ID changes because it encodes the path
+     * @return moved file object or null if not found
+     * @throws error on failure
+     */
+    async moveFile(fileId, orgSlug, trailName) {
+        try {
+            const { filePath } = this.parseFileId(fileId);
+
+            if (!fsSync.existsSync(filePath)) {
+                return null;
+            }
+
+            const sourceDir = path.dirname(filePath);
+            const name = path.basename(filePath);
+            const targetDir = await this.getOrCreateTrailDir(orgSlug, trailName);
+            // Link then unlink instead of rename, which would replace a file of the same name
+            const targetName = await this.writeUnderAvailableName(targetDir, name, targetPath =>
+                fs.link(filePath, targetPath)
+            );
+            const targetPath = path.join(targetDir, targetName);
+            await fs.unlink(filePath);
+
+            const properties = this.readProperties(sourceDir)[name];
+            this.writeFileProperties(targetDir, targetName, properties);
+            this.writeFileProperties(sourceDir, name, null);
+
+            console.log(`File '${name}' moved to '${trailName}' in organization '${orgSlug}'`);
+            return this.toFileObject(orgSlug, trailName, targetPath, properties);
+        } catch (error) {
+            console.error(`Error moving file ID '${fileId}' to '${trailName}':`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Copy file to destination path
+     * @return void
+     * @throws error on failure
+     */
+    async downloadFile(fileId, destinationPath) {
+        try {
+            await fs.copyFile(this.resolveFileId(fileId), destinationPath);
+            console.log(`File downloaded to ${destinationPath}`);
+        } catch (error) {
+            console.error(`Error downloading file ID '${fileId}':`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Get file as buffer
+     * @param {string} fileId - Local file ID
+     * @returns {Promise<Buffer>} File content as buffer
+     */
+    async getFileBuffer(fileId) {
+        try {
+            const buffer = await fs.readFile(this.resolveFileId(fileId));
+            console.log(`File buffer retrieved: ${fileId} (${buffer.length} bytes)`);
+            return buffer;
+        } catch (error) {
+            console.error(`Error getting file buffer for ID '${fileId}':`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a file from disk
+     */
+    async deleteFile(fileId) {
+        try {
+            const filePath = this.resolveFileId(fileId);
+            await fs.unlink(filePath);
+            this.writeFileProperties(path.dirname(filePath), path.basename(filePath), null);
+            console.log(`File deleted from local storage: ${fileId}`);
+            return true;
+        } catch (error) {
+            console.error(`Error deleting file ${fileId}:`, error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Get ALL stored timelapse files of a trail in one format
+     * Local storage cannot hold duplicates, so this returns at most one file
+     */
+    async getAllTimelapseFiles(orgSlug, trailName, format = 'gif') {
+        try {
+            const trailDir = await this.getOrCreateTrailDir(orgSlug, trailName);
+            const filePath = path.join(trailDir, TIMELAPSE_FORMATS[format].fileName);
+
+            if (!fsSync.existsSync(filePath)) {
+                return [];
+            }
+
+            return [await this.toFileObject(orgSlug, trailName, filePath)];
+        } catch (error) {
+            console.error(`Error getting ${format} timelapse for trail '${trailName}':`, error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Store a timelapse file for a trail, replacing any existing one
+     */
+    async uploadTimelapseFile(orgSlug, trailName, filePath, format = 'gif') {
+        try {
+            const trailDir = await this.getOrCreateTrailDir(orgSlug, trailName);
+            const targetPath = path.join(trailDir, TIMELAPSE_FORMATS[format].fileName);
+
+            await fs.copyFile(filePath, targetPath);
+
+            const file = await this.toFileObject(orgSlug, trailName, targetPath);
+            console.log(`Timelapse ${format} stored locally: ${file.id}`);
+            return file;
+        } catch (error) {
+            console.error(`Error storing ${format} timelapse for trail '${trailName}':`, error.message);
+            throw error;
+        }
+    }
+}
+
+module.exports = new LocalStorageService();
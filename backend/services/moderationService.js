@@ -0,0 +1,146 @@
+const config = require('../config/config');
+const JsonStore = require('./jsonStore');
+const { validationError } = require('./errors');
+
+/**
+ * Photo moderation
+ * Uploads from the public start as "pending" and only "approved" photos
+ * appear in the public gallery and timelapse. Status is kept in the file's
+ * appProperties so it travels with the photo in every storage backend.
+ *
+ * appProperties:
+ *   moderationStatus: "pending" | "approved" | "rejected"
+ *   moderatedBy: API key ID (or role) of the reviewer
+ *   moderatedAt: ISO timestamp
+ *   moderationReason: optional note from the reviewer
+ *
+ * Photos stored before moderation existed have no status and count as approved.
+ * The status can also be missing when a provider stored the photo but failed
+ * to write its properties; such photos are newer than MODERATION_SINCE and
+ * are held as pending rather than shown unreviewed.
+ */
+
+const MODERATION_STATUSES = ['pending', 'approved', 'rejected'];
+const REVIEW_STATUSES = ['approved', 'rejected'];
+
+// Drive limits each appProperty to 124 bytes for key + value
+const MAX_REASON_BYTES = 100;
+
+// First start with moderation, the default for MODERATION_SINCE
+// Read on load so the date is recorded before the first upload
+const store = new JsonStore('moderation.json', () => ({ since: new Date().toISOString() }));
+store.read();
+
+/**
+ * Get the date from which photos without a status are held for review
+ * @returns Date
+ */
+function getModerationSince() {
+    return new Date(config.moderationSince || store.read().since);
+}
+
+/**
+ * Get moderation status of a file
+ * @returns 'pending' | 'approved' | 'rejected'
+ */
+function getModerationStatus(file) {
+    const status = file.appProperties?.moderationStatus;
+    if (status) {
+        return status;
+    }
+
+    // Files without a (valid) creation time are not known to be legacy
+    const storedAt = new Date(file.createdTime);
+    return storedAt < getModerationSince() ? 'approved' : 'pending';
+}
+
+/**
+ * Check if a file may be shown publicly
+ * @returns boolean
+ */
+function isApproved(file) {
+    return getModerationStatus(file) === 'approved';
+}
+
+/**
+ * Get the identifier recorded for an authenticated caller
+ * @returns API key ID, or the role for the env super admin key
+ */
+function getActorId(auth) {
+    return auth.keyId || auth.role;
+}
+
+/**
+ * Properties for a new upload
+ * Photos from stewards and admins skip the queue
+ * @returns appProperties object
+ */
+function getUploadProperties(auth, isTrusted) {
+    if (!isTrusted) {
+        return { moderationStatus: 'pending' };
+    }
+
+    return {
+        moderationStatus: 'approved',
+        moderatedBy: getActorId(auth),
+        moderatedAt: new Date().toISOString(),
+    };
+}
+
+/**
+ * Validate a review request and build the property changes
+ * @param {Object} review - { status: 'approved' | 'rejected', reason }
+ * @returns appProperties changes
+ * @throws ValidationError (400)
+ */
+function getReviewProperties(auth, { status, reason } = {}) {
+    if (!REVIEW_STATUSES.includes(status)) {
+        throw validationError(`status must be one of: ${REVIEW_STATUSES.join(', ')}`);
+    }
+
+    if (reason !== undefined && reason !== null && typeof reason !== 'string') {
+        throw validationError('reason must be a string');
+    }
+
+    const trimmedReason = reason?.trim() || null;
+
+    if (status === 'rejected' && !trimmedReason) {
+        throw validationError('reason is required when rejecting a photo');
+    }
+
+    if (trimmedReason && Buffer.byteLength(trimmedReason) > MAX_REASON_BYTES) {
+        throw validationError(`reason must be at most ${MAX_REASON_BYTES} bytes`);
+    }
+
+    return {
+        moderationStatus: status,
+        moderatedBy: getActorId(auth),
+        moderatedAt: new Date().toISOString(),
+        moderationReason: trimmedReason,
+    };
+}
+
+/**
+ * Add moderation fields to a file object for API responses
+ */
+function withModeration(file) {
+    const { moderatedBy, moderatedAt, moderationReason } = file.appProperties || {};
+    return {
+        ...file,
+        moderationStatus: getModerationStatus(file),
+        moderatedBy: moderatedBy || null,
+        moderatedAt: moderatedAt || null,
+        moderationReason: moderationReason || null,
+    };
+}
+
+module.exports = {
+    MODERATION_STATUSES,
+    MAX_REASON_BYTES,
+    getModerationStatus,
+    isApproved,
+    getActorId,
+    getUploadProperties,
+    getReviewProperties,
+    withModeration,
+};
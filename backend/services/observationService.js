@@ -0,0 +1,304 @@
+const { validationError } = require('./errors');
+const { toChunkedProperties, readChunkedProperty } = require('./storageProvider');
+
+/**
+ * Observation metadata
+ * Details the capture page records with each photo: where the phone was,
+ * where the camera says the photo was taken, the device that took it, and
+ * what the contributor noticed. Uploads send them as a JSON `metadata` field;
+ * they are kept in the file's appProperties so they travel with the photo in
+ * every storage backend.
+ *
+ * metadata / appProperties:
+ *   latitude, longitude: device position in degrees
+ *   accuracy: device position accuracy in meters
+ *   gpsLatitude, gpsLongitude: EXIF GPS position of the photo in degrees
+ *   cameraMake, cameraModel: EXIF camera make and model
+ *   orientation: EXIF orientation description (e.g. "top-left")
+ *   note: free text from the contributor (stored as note_0, note_1, ...)
+ *   tags: observation tags from the organization's list (stored comma separated as tags_0, ...)
+ *
+ * Every field is optional. appProperties hold strings; API responses
+ * return numbers for the numeric fields and an array of tags. The positions
+ * are stored comma separated in one property each, position ("latitude,longitude,accuracy")
+ * and gpsPosition ("gpsLatitude,gpsLongitude").
+ *
+ * Organizations choose their tags with observationTags (DEFAULT_OBSERVATION_TAGS
+ * when not set). The note and tag limits keep a photo within Drive's 30 properties
+ * (see services/storageProvider.js).
+ */
+
+const DEFAULT_OBSERVATION_TAGS = ['erosion', 'invasive species', 'wildlife', 'trail damage', 'downed tree', 'trash'];
+
+const MAX_NOTE_BYTES = 500;
+const MAX_PHOTO_TAGS = 10;
+const MAX_ORGANIZATION_TAGS = 30;
+const MAX_TAG_BYTES = 40;
+
+// Fields stored together in one property, comma separated
+const PACKED_FIELDS = {
+    position: ['latitude', 'longitude', 'accuracy'],
+    gpsPosition: ['gpsLatitude', 'gpsLongitude'],
+};
+
+// Drive limits each appProperty to 124 bytes for key + value
+const OBSERVATION_FIELDS = {
+    latitude: { type: 'number', min: -90, max: 90 },
+    longitude: { type: 'number', min: -180, max: 180 },
+    accuracy: { type: 'number', min: 0, max: 1000000 },
+    gpsLatitude: { type: 'number', min: -90, max: 90 },
+    gpsLongitude: { type: 'number', min: -180, max: 180 },
+    cameraMake: { type: 'string', maxBytes: 64 },
+    cameraModel: { type: 'string', maxBytes: 64 },
+    orientation: { type: 'string', maxBytes: 32 },
+};
+
+/**
+ * Validate an organization's observationTags setting
+ * @returns array of tags, or null to use DEFAULT_OBSERVATION_TAGS
+ * @throws ValidationError (400)
+ */
+function parseObservationTags(tags) {
+    if (tags === undefined || tags === null) {
+        return null;
+    }
+
+    if (!Array.isArray(tags) || tags.length === 0 || tags.length > MAX_ORGANIZATION_TAGS) {
+        throw validationError(`observationTags must be a list of 1 to ${MAX_ORGANIZATION_TAGS} tags`);
+    }
+
+    const parsed = tags.map(tag => typeof tag === 'string' ? tag.trim() : tag);
+    if (parsed.some(tag => typeof tag !== 'string' || tag === '' || tag.includes(',') ||
+        Buffer.byteLength(tag) > MAX_TAG_BYTES)) {
+        throw validationError(`observationTags must be non-empty strings of at most ${MAX_TAG_BYTES} bytes without commas`);
+    }
+
+    if (new Set(parsed.map(tag => tag.toLowerCase())).size !== parsed.length) {
+        throw validationError('observationTags must not repeat a tag');
+    }
+
+    return parsed;
+}
+
+/**
+ * Get the observation tags contributors can pick for an organization
+ * @param {Object} organization - organization record
+ * @returns array of tags
+ */
+function getObservationTags(organization) {
+    return organization?.observationTags || DEFAULT_OBSERVATION_TAGS;
+}
+
+/**
+ * Validate the note of an upload
+ * @returns trimmed note, or null if empty
+ * @throws ValidationError (400)
+ */
+function parseNote(note) {
+    if (note === null) {
+        return null;
+    }
+
+    if (typeof note !== 'string') {
+        throw validationError('metadata.note must be a string');
+    }
+
+    const trimmed = note.trim();
+    if (Buffer.byteLength(trimmed) > MAX_NOTE_BYTES) {
+        throw validationError(`metadata.note must be at most ${MAX_NOTE_BYTES} bytes`);
+    }
+    return trimmed || null;
+}
+
+/**
+ * Validate the tags of an upload against the organization's list
+ * @returns tags as written in the list, or null if none
+ * @throws ValidationError (400)
+ */
+function parseTags(tags, allowedTags) {
+    if (tags === null) {
+        return null;
+    }
+
+    if (!Array.isArray(tags) || tags.length > MAX_PHOTO_TAGS) {
+        throw validationError(`metadata.tags must be a list of at most ${MAX_PHOTO_TAGS} tags`);
+    }
+
+    const parsed = [];
+    for (const tag of tags) {
+        const match = typeof tag === 'string' &&
+            allowedTags.find(allowed => allowed.toLowerCase() === tag.trim().toLowerCase());
+        if (!match) {
+            throw validationError(`Unknown observation tag '${tag}'. Tags are: ${allowedTags.join(', ')}`);
+        }
+        if (!parsed.includes(match)) {
+            parsed.push(match);
+        }
+    }
+    return parsed.length > 0 ? parsed : null;
+}
+
+/**
+ * Validate one metadata value
+ * @returns normalized value, or null if empty
+ * @throws ValidationError (400)
+ */
+function parseField(name, value) {
+    const field = OBSERVATION_FIELDS[name];
+
+    if (value === null || value === '') {
+        return null;
+    }
+
+    if (field.type === 'number') {
+        // Numbers may arrive as strings from EXIF readers
+        const number = typeof value === 'string' ? Number(value) : value;
+        if (typeof number !== 'number' || !Number.isFinite(number) || number < field.min || number > field.max) {
+            throw validationError(`metadata.${name} must be a number from ${field.min} to ${field.max}`);
+        }
+        return number;
+    }
+
+    if (typeof value !== 'string') {
+        throw validationError(`metadata.${name} must be a string`);
+    }
+
+    const trimmed = value.trim();
+    if (Buffer.byteLength(trimmed) > field.maxBytes) {
+        throw validationError(`metadata.${name} must be at most ${field.maxBytes} bytes`);
+    }
+    return trimmed || null;
+}
+
+/**
+ * Validate the metadata sent with an upload
+ * @param metadata - object, or its JSON string from a multipart form
+ * @param {Array} allowedTags - the organization's observation tags
+ * @returns object of the given fields (empty when there is no metadata)
+ * @throws ValidationError (400)
+ */
+function parseObservationMetadata(metadata, allowedTags = DEFAULT_OBSERVATION_TAGS) {
+    if (metadata === undefined || metadata === null || metadata === '') {
+        return {};
+    }
+
+    let parsed = metadata;
+    if (typeof metadata === 'string') {
+        try {
+            parsed = JSON.parse(metadata);
+        } catch (err) {
+            throw validationError('metadata must be valid JSON');
+        }
+    }
+
+    if (typeof parsed !== 'object' || parsed === null || Array.isArray(parsed)) {
+        throw validationError('metadata must be an object');
+    }
+
+    const unknownFields = Object.keys(parsed)
+        .filter(key => !Object.hasOwn(OBSERVATION_FIELDS, key) && key !== 'note' && key !== 'tags');
+    if (unknownFields.length > 0) {
+        throw validationError(`Unknown metadata field(s): ${unknownFields.join(', ')}`);
+    }
+
+    if ((parsed.latitude == null) !== (parsed.longitude == null) ||
+        (parsed.gpsLatitude == null) !== (parsed.gpsLongitude == null)) {
+        throw validationError('metadata latitude and longitude must be sent together');
+    }
+
+    const observation = {};
+    for (const [name, value] of Object.entries(parsed)) {
+        let normalized;
+        if (name === 'note') {
+            normalized = parseNote(value);
+        } else if (name === 'tags') {
+            normalized = parseTags(value, allowedTags);
+        } else {
+            normalized = parseField(name, value);
+        }
+
+        if (normalized !== null) {
+            observation[name] = normalized;
+        }
+    }
+    return observation;
+}
+
+/**
+ * Properties storing parsed observation metadata on a new upload
+ * @returns appProperties object
+ */
+function getObservationProperties(observation) {
+    const { note, tags, ...fields } = observation;
+
+    const packed = {};
+    for (const [property, names] of Object.entries(PACKED_FIELDS)) {
+        if (names.some(name => fields[name] !== undefined)) {
+            packed[property] = names.map(name => fields[name] ?? '').join(',');
+        }
+        names.forEach(name => delete fields[name]);
+    }
+
+    return {
+        ...fields,
+        ...packed,
+        ...(note ? toChunkedProperties('note', note) : {}),
+        ...(tags ? toChunkedProperties('tags', tags.join(',')) : {}),
+    };
+}
+
+/**
+ * Get the observation metadata of a file
+ * @returns object with every field (null when not recorded, tags is always an array)
+ */
+function getObservation(file) {
+    const properties = { ...file.appProperties };
+    for (const [property, names] of Object.entries(PACKED_FIELDS)) {
+        const values = (properties[property] ?? '').split(',');
+        names.forEach((name, i) => {
+            properties[name] = values[i] || undefined;
+        });
+    }
+
+    const fields = Object.fromEntries(Object.entries(OBSERVATION_FIELDS).map(([name, field]) => {
+        const value = properties[name];
+        if (value === undefined) {
+            return [name, null];
+        }
+        return [name, field.type === 'number' ? Number(value) : value];
+    }));
+
+    return {
+        ...fields,
+        note: readChunkedProperty(properties, 'note'),
+        tags: (readChunkedProperty(properties, 'tags') || '').split(',').filter(Boolean),
+    };
+}
+
+/**
+ * Check if a photo was tagged with an observation tag (case-insensitive)
+ * @returns boolean
+ */
+function hasObservationTag(file, tag) {
+    return getObservation(file).tags.some(photoTag => photoTag.toLowerCase() === tag.toLowerCase());
+}
+
+/**
+ * Add observation metadata to a file object for API responses
+ */
+function withObservation(file) {
+    return {
+        ...file,
+        metadata: getObservation(file),
+    };
+}
+
+module.exports = {
+    parseObservationTags,
+    getObservationTags,
+    parseObservationMetadata,
+    getObservationProperties,
+    getObservation,
+    hasObservationTag,
+    withObservation,
+};
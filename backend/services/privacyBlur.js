@@ -0,0 +1,377 @@
+const config = require('../config/config');
+const { validationError } = require('./errors');
+
+// Sharp is optional - photos are stored unchecked without it
+let sharp;
+try {
+    sharp = require('sharp');
+} catch (err) {
+    sharp = null;
+}
+
+// ONNX Runtime is optional - detection runs on the server CPU when it is installed
+let ort;
+try {
+    ort = require('onnxruntime-node');
+} catch (err) {
+    ort = null;
+}
+
+/**
+ * Privacy blurring
+ * Visitors often walk into trail photos. Before a photo is stored, faces
+ * (and, if the organization asks for it, whole people) are detected on the
+ * server CPU and blurred, so the thumbnail route and timelapses only ever
+ * publish the redacted photo. No image leaves the server for detection.
+ *
+ * Models (ONNX, loaded with onnxruntime-node):
+ *   FACE_MODEL_PATH: UltraFace (version-RFB-320.onnx)
+ *   PERSON_MODEL_PATH: YOLOv8 trained on COCO (e.g. yolov8n.onnx), person class only
+ *
+ * An organization's privacy setting is an object with any of:
+ *   blurFaces: boolean (default false, turn it on once FACE_MODEL_PATH is installed)
+ *   blurPeople: boolean (default false, needs PERSON_MODEL_PATH)
+ *   keepOriginals: boolean (default false; keeps the unredacted photo in the
+ *                  trail path's _originals folder, see services/imageIngest.js)
+ *
+ * When blurring is on but detection is unavailable or fails, the photo is
+ * stored "unchecked" and held as pending review, also for stewards' uploads,
+ * so it is never published before someone has looked at it.
+ *
+ * appProperties:
+ *   privacy: "status;faces;people", one property to stay within Drive's property limit
+ *     status: "blurred" | "clear" (nothing found) | "unchecked" (detection unavailable or failed)
+ *     faces, people: number of regions blurred
+ */
+
+const SETTING_FIELDS = ['blurFaces', 'blurPeople', 'keepOriginals'];
+
+const DEFAULT_PRIVACY = {
+    blurFaces: false,
+    blurPeople: false,
+    keepOriginals: false,
+};
+
+// Input sizes the models were trained at
+const FACE_INPUT = { width: 320, height: 240 };
+const PERSON_INPUT = { width: 640, height: 640 };
+
+// Overlapping detections of the same face or person are merged
+const FACE_OVERLAP = 0.3;
+const PERSON_OVERLAP = 0.45;
+
+// Faces are grown so hair and chin are covered too
+const FACE_MARGIN = 0.2;
+
+// Models are loaded once, on first use
+const sessions = new Map();
+
+/**
+ * Validate an organization's privacy setting
+ * @returns privacy settings with defaults filled in, or null for the defaults
+ * @throws ValidationError (400)
+ */
+function parsePrivacySettings(privacy) {
+    if (privacy === undefined || privacy === null) {
+        return null;
+    }
+
+    if (typeof privacy !== 'object' || Array.isArray(privacy)) {
+        throw validationError('privacy must be an object or null');
+    }
+
+    const unknownFields = Object.keys(privacy).filter(key => !SETTING_FIELDS.includes(key));
+    if (unknownFields.length > 0) {
+        throw validationError(`Unknown privacy field(s): ${unknownFields.join(', ')}`);
+    }
+
+    const settings = { ...DEFAULT_PRIVACY, ...privacy };
+    for (const key of SETTING_FIELDS) {
+        if (typeof settings[key] !== 'boolean') {
+            throw validationError(`privacy.${key} must be a boolean`);
+        }
+    }
+
+    return settings;
+}
+
+/**
+ * Get the privacy settings of an organization
+ * @returns { blurFaces, blurPeople, keepOriginals }
+ */
+function getPrivacySettings(organization) {
+    return organization?.privacy || DEFAULT_PRIVACY;
+}
+
+/**
+ * Check if a detector can run
+ * @param {string} modelPath - configured model file
+ * @returns boolean
+ */
+function isDetectorAvailable(modelPath) {
+    return Boolean(sharp && ort && modelPath);
+}
+
+/**
+ * Load an ONNX model
+ * @returns {Promise<InferenceSession>}
+ */
+function getSession(modelPath) {
+    if (!sessions.has(modelPath)) {
+        const session = ort.InferenceSession.create(modelPath);
+        // Let a failed load be retried on the next upload
+        session.catch(() => sessions.delete(modelPath));
+        sessions.set(modelPath, session);
+    }
+    return sessions.get(modelPath);
+}
+
+/**
+ * Convert interleaved RGB pixels to a normalized planar tensor
+ * @returns {Tensor} float32 [1, 3, height, width]
+ */
+function toTensor(pixels, width, height, normalize) {
+    const planeSize = width * height;
+    const values = new Float32Array(planeSize * 3);
+
+    for (let i = 0; i < planeSize; i++) {
+        for (let c = 0; c < 3; c++) {
+            values[c * planeSize + i] = normalize(pixels[i * 3 + c]);
+        }
+    }
+    return new ort.Tensor('float32', values, [1, 3, height, width]);
+}
+
+/**
+ * Intersection over union of two boxes
+ */
+function overlap(a, b) {
+    const width = Math.max(0, Math.min(a.right, b.right) - Math.max(a.left, b.left));
+    const height = Math.max(0, Math.min(a.bottom, b.bottom) - Math.max(a.top, b.top));
+    const intersection = width * height;
+    const union = (a.right - a.left) * (a.bottom - a.top) + (b.right - b.left) * (b.bottom - b.top) - intersection;
+    return union > 0 ? intersection / union : 0;
+}
+
+/**
+ * Keep the most confident of overlapping boxes
+ * @param {Array} boxes - { left, top, right, bottom, score }
+ */
+function suppressOverlaps(boxes, maxOverlap) {
+    const kept = [];
+    for (const box of [...boxes].sort((a, b) => b.score - a.score)) {
+        if (kept.every(keptBox => overlap(keptBox, box) <= maxOverlap)) {
+            kept.push(box);
+        }
+    }
+    return kept;
+}
+
+/**
+ * Find faces in an upright image
+ * @returns array of boxes in image pixels
+ */
+async function detectFaces(upright, width, height) {
+    const session = await getSession(config.faceModelPath);
+    const pixels = await sharp(upright)
+        .resize(FACE_INPUT.width, FACE_INPUT.height, { fit: 'fill' })
+        .removeAlpha()
+        .raw()
+        .toBuffer();
+
+    const input = toTensor(pixels, FACE_INPUT.width, FACE_INPUT.height, value => (value - 127) / 128);
+    const results = await session.run({ [session.inputNames[0]]: input });
+
+    // scores: [1, N, 2] (background, face), boxes: [1, N, 4] corners from 0 to 1
+    const [scores, boxes] = session.outputNames.map(name => results[name].data);
+    const faces = [];
+    for (let i = 0; i < scores.length / 2; i++) {
+        if (scores[i * 2 + 1] >= config.detectionMinConfidence) {
+            faces.push({
+                left: boxes[i * 4] * width,
+                top: boxes[i * 4 + 1] * height,
+                right: boxes[i * 4 + 2] * width,
+                bottom: boxes[i * 4 + 3] * height,
+                score: scores[i * 2 + 1],
+            });
+        }
+    }
+
+    return suppressOverlaps(faces, FACE_OVERLAP).map(face => {
+        const marginX = (face.right - face.left) * FACE_MARGIN;
+        const marginY = (face.bottom - face.top) * FACE_MARGIN;
+        return {
+            left: face.left - marginX,
+            top: face.top - marginY,
+            right: face.right + marginX,
+            bottom: face.bottom + marginY,
+        };
+    });
+}
+
+/**
+ * Find people in an upright image
+ * The image is letterboxed into the model's square input
+ * @returns array of boxes in image pixels
+ */
+async function detectPeople(upright, width, height) {
+    const session = await getSession(config.personModelPath);
+    const scale = Math.min(PERSON_INPUT.width / width, PERSON_INPUT.height / height);
+    const padX = (PERSON_INPUT.width - width * scale) / 2;
+    const padY = (PERSON_INPUT.height - height * scale) / 2;
+
+    const pixels = await sharp(upright)
+        .resize(PERSON_INPUT.width, PERSON_INPUT.height, { fit: 'contain', background: { r: 114, g: 114, b: 114 } })
+        .removeAlpha()
+        .raw()
+        .toBuffer();
+
+    const input = toTensor(pixels, PERSON_INPUT.width, PERSON_INPUT.height, value => value / 255);
+    const results = await session.run({ [session.inputNames[0]]: input });
+
+    // [1, 4 + classes, N]: rows of center x, center y, width, height, then one score per class (person first)
+    const output = results[session.outputNames[0]];
+    const [, , count] = output.dims;
+    const data = output.data;
+    const people = [];
+    for (let i = 0; i < count; i++) {
+        const score = data[4 * count + i];
+        if (score >= config.detectionMinConfidence) {
+            const centerX = (data[i] - padX) / scale;
+            const centerY = (data[count + i] - padY) / scale;
+            const boxWidth = data[2 * count + i] / scale;
+            const boxHeight = data[3 * count + i] / scale;
+            people.push({
+                left: centerX - boxWidth / 2,
+                top: centerY - boxHeight / 2,
+                right: centerX + boxWidth / 2,
+                bottom: centerY + boxHeight / 2,
+                score,
+            });
+        }
+    }
+
+    return suppressOverlaps(people, PERSON_OVERLAP);
+}
+
+/**
+ * Blur regions of a photo and write the result in the same format
+ * The photo is turned upright so the regions line up; other metadata is kept
+ * @param {Object} info - { width, height, format } of the upright image
+ */
+async function blurRegions(filePath, outputPath, upright, { width, height, format }, regions) {
+    const patches = [];
+
+    for (const region of regions) {
+        const left = Math.max(0, Math.floor(region.left));
+        const top = Math.max(0, Math.floor(region.top));
+        const right = Math.min(width, Math.ceil(region.right));
+        const bottom = Math.min(height, Math.ceil(region.bottom));
+        if (right - left < 1 || bottom - top < 1) {
+            continue;
+        }
+
+        // Strong enough that a face cannot be recognized at any size
+        const sigma = Math.max(8, Math.round(Math.max(right - left, bottom - top) / 6));
+        patches.push({
+            input: await sharp(upright)
+                .extract({ left, top, width: right - left, height: bottom - top })
+                .blur(sigma)
+                .toBuffer(),
+            left,
+            top,
+        });
+    }
+
+    await sharp(filePath)
+        .rotate()
+        .composite(patches)
+        .withMetadata()
+        .toFormat(format)
+        .toFile(outputPath);
+}
+
+/**
+ * Detect and blur faces and people in a new upload
+ * @param {Object} settings - the organization's privacy settings
+ * @returns {Promise<Object>} { status, faces, people, path } - path is the blurred photo
+ *   (a new temp file) when status is "blurred"
+ */
+async function redactPhoto(filePath, settings) {
+    const checkFaces = settings.blurFaces;
+    const checkPeople = settings.blurPeople;
+
+    if (!checkFaces && !checkPeople) {
+        return { status: 'clear', faces: 0, people: 0, path: null };
+    }
+
+    if ((checkFaces && !isDetectorAvailable(config.faceModelPath)) ||
+        (checkPeople && !isDetectorAvailable(config.personModelPath))) {
+        console.warn(`Privacy blurring is not available (needs sharp, onnxruntime-node and the detection models); ${filePath} is unchecked`);
+        return { status: 'unchecked', faces: 0, people: 0, path: null };
+    }
+
+    try {
+        const { data: upright, info } = await sharp(filePath).rotate().toBuffer({ resolveWithObject: true });
+        const faces = checkFaces ? await detectFaces(upright, info.width, info.height) : [];
+        const people = checkPeople ? await detectPeople(upright, info.width, info.height) : [];
+
+        if (faces.length === 0 && people.length === 0) {
+            return { status: 'clear', faces: 0, people: 0, path: null };
+        }
+
+        const outputPath = `${filePath}-blurred`;
+        await blurRegions(filePath, outputPath, upright, info, [...faces, ...people]);
+        return { status: 'blurred', faces: faces.length, people: people.length, path: outputPath };
+    } catch (err) {
+        console.error(`Error blurring ${filePath}:`, err.message);
+        return { status: 'unchecked', faces: 0, people: 0, path: null };
+    }
+}
+
+/**
+ * Properties recording the privacy check of a new upload
+ * @returns appProperties object
+ */
+function getPrivacyProperties(result) {
+    return {
+        privacy: [result.status, result.faces, result.people].join(';'),
+    };
+}
+
+/**
+ * Get the privacy check recorded for a file
+ * @returns { status, faces, people, originalKept }, or null for photos uploaded before blurring
+ */
+function getPrivacy(file) {
+    const { privacy, originalFileId } = file.appProperties || {};
+    if (!privacy) {
+        return null;
+    }
+    const [status, faces, people] = privacy.split(';');
+    return {
+        status,
+        faces: Number(faces || 0),
+        people: Number(people || 0),
+        originalKept: status === 'blurred' && Boolean(originalFileId),
+    };
+}
+
+/**
+ * Add privacy fields to a file object for API responses
+ */
+function withPrivacy(file) {
+    return {
+        ...file,
+        privacy: getPrivacy(file),
+    };
+}
+
+module.exports = {
+    parsePrivacySettings,
+    getPrivacySettings,
+    redactPhoto,
+    getPrivacyProperties,
+    getPrivacy,
+    withPrivacy,
+};
@@ -0,0 +1,327 @@
+const config = require('../config/config');
+const { getCaptureTime, compareCaptureTime } = require('./captureTimeService');
+const { isApproved, getModerationStatus } = require('./moderationService');
+const { isFlagged } = require('./geofenceService');
+
+// Sharp is optional - uploads are not screened without it
+let sharp;
+try {
+    sharp = require('sharp');
+} catch (err) {
+    sharp = null;
+}
+
+/**
+ * Upload quality screening
+ * Covered lenses, shaky hands and sideways phones make frames that spoil a
+ * timelapse. Each upload is checked once when it is received and scored
+ * 0-100, the lowest score of its checks:
+ *
+ *   exposure: 100 for a mean brightness between DARK_LEVEL and BRIGHT_LEVEL,
+ *             falling to 0 at black or white
+ *   sharpness: laplacian variance relative to QUALITY_BLUR_THRESHOLD
+ *   duplicate: 0 when a photo of the trail path taken within DUPLICATE_WINDOW_MS
+ *              looks the same (difference hash)
+ *   framing: 0 when the aspect ratio or orientation differs from the trail
+ *            path's reference (oldest usable) photo
+ *
+ * appProperties:
+ *   quality: "score;issues;hash;size", one property to stay within Drive's property limit
+ *     score: 0-100
+ *     issues: comma separated "dark", "bright", "blurry", "duplicate", "framing"
+ *     hash: 64-bit difference hash (hex), compared against later uploads
+ *     size: "WIDTHxHEIGHT" as displayed (after EXIF orientation)
+ *
+ * Photos scoring below QUALITY_MIN_SCORE are left out of timelapses unless a
+ * selection sets includeLowQuality. Photos uploaded before screening (or
+ * without sharp) have no score and are always used.
+ */
+
+// Width the exposure and sharpness are measured at
+const ANALYSIS_WIDTH = 512;
+
+const DARK_LEVEL = 40;
+const BRIGHT_LEVEL = 215;
+
+// Photos this close in time and hash are treated as the same shot
+const DUPLICATE_WINDOW_MS = 60 * 60 * 1000;
+const DUPLICATE_HASH_DISTANCE = 4;
+
+// Allowed difference in aspect ratio from the reference photo
+const ASPECT_TOLERANCE = 0.05;
+
+/**
+ * Decode an image to 8-bit grayscale pixels, upright
+ * @returns {Promise<{ data, info }>}
+ */
+function loadGrayscale(input) {
+    return sharp(input)
+        .rotate()
+        .resize({ width: ANALYSIS_WIDTH, withoutEnlargement: true })
+        .greyscale()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+}
+
+/**
+ * Variance of the laplacian, higher for sharper images
+ */
+function measureSharpness(data, width, height) {
+    let sum = 0;
+    let squares = 0;
+    let count = 0;
+
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+            const i = y * width + x;
+            const laplacian = data[i - 1] + data[i + 1] + data[i - width] + data[i + width] - 4 * data[i];
+            sum += laplacian;
+            squares += laplacian * laplacian;
+            count++;
+        }
+    }
+
+    if (count === 0) {
+        return 0;
+    }
+    const mean = sum / count;
+    return squares / count - mean * mean;
+}
+
+/**
+ * 64-bit difference hash of an image
+ * @returns 16 character hex string
+ */
+async function differenceHash(input) {
+    const data = await sharp(input)
+        .rotate()
+        .resize(9, 8, { fit: 'fill' })
+        .greyscale()
+        .raw()
+        .toBuffer();
+
+    let hash = 0n;
+    for (let y = 0; y < 8; y++) {
+        for (let x = 0; x < 8; x++) {
+            hash = (hash << 1n) | (data[y * 9 + x] < data[y * 9 + x + 1] ? 1n : 0n);
+        }
+    }
+    return hash.toString(16).padStart(16, '0');
+}
+
+/**
+ * Number of bits that differ between two hashes
+ */
+function hashDistance(a, b) {
+    let difference = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+    let count = 0;
+    while (difference > 0n) {
+        count += Number(difference & 1n);
+        difference >>= 1n;
+    }
+    return count;
+}
+
+/**
+ * Displayed size of an image from its metadata
+ * EXIF orientations 5-8 turn the image on its side
+ * @returns { width, height }
+ */
+function getDisplaySize({ width, height, orientation }) {
+    return orientation >= 5 ? { width: height, height: width } : { width, height };
+}
+
+/**
+ * Read the screening recorded for a photo
+ * @returns { score, issues, hash, size } (strings as stored), or null if the photo was not screened
+ */
+function readScreening(file) {
+    const { quality } = file.appProperties || {};
+    if (quality === undefined) {
+        return null;
+    }
+    const [score, issues, hash, size] = quality.split(';');
+    return { score, issues, hash, size };
+}
+
+/**
+ * Get the displayed size recorded for a photo
+ * @returns { width, height }, or null if not recorded
+ */
+function getStoredSize(file) {
+    const match = /^(\d+)x(\d+)$/.exec(readScreening(file)?.size || '');
+    return match ? { width: Number(match[1]), height: Number(match[2]) } : null;
+}
+
+/**
+ * Check if a size does not match the reference photo's framing
+ * @returns boolean
+ */
+function isFramingMismatch(size, reference) {
+    const isPortrait = (frame) => frame.height > frame.width;
+    const ratio = size.width / size.height;
+    const referenceRatio = reference.width / reference.height;
+
+    return isPortrait(size) !== isPortrait(reference) ||
+        Math.abs(ratio - referenceRatio) / referenceRatio > ASPECT_TOLERANCE;
+}
+
+/**
+ * Score the mean brightness of a photo
+ * @returns 0-100
+ */
+function scoreExposure(mean) {
+    if (mean < DARK_LEVEL) {
+        return Math.round(100 * mean / DARK_LEVEL);
+    }
+    if (mean > BRIGHT_LEVEL) {
+        return Math.round(100 * (255 - mean) / (255 - BRIGHT_LEVEL));
+    }
+    return 100;
+}
+
+/**
+ * Get the photo the framing of new uploads is compared against
+ * @returns size of the oldest approved, unflagged photo with a good score, or null
+ */
+async function getReferenceSize(photos, getFileBuffer) {
+    const reference = photos
+        .filter(file => isApproved(file) && !isFlagged(file) && !isLowQuality(file))
+        .sort(compareCaptureTime)[0];
+
+    if (!reference) {
+        return null;
+    }
+
+    // Photos uploaded before screening do not have their size recorded
+    const storedSize = getStoredSize(reference);
+    if (storedSize) {
+        return storedSize;
+    }
+
+    try {
+        return getDisplaySize(await sharp(await getFileBuffer(reference.id)).metadata());
+    } catch (err) {
+        console.error(`Error reading size of reference photo ${reference.name}:`, err.message);
+        return null;
+    }
+}
+
+/**
+ * Screen a new upload
+ * @param {string} capturedAt - ISO capture time of the upload
+ * @param {Array} photos - the other photo files of the trail path
+ * @param {Function} getFileBuffer - fileId => Promise<Buffer>, used for old reference photos
+ * @returns {Promise<Object|null>} { score, issues, hash, size }, or null if the photo could not be screened
+ */
+async function screenPhoto(filePath, capturedAt, photos, getFileBuffer) {
+    if (!sharp) {
+        return null;
+    }
+
+    try {
+        const issues = [];
+        const scores = [];
+
+        const { data, info } = await loadGrayscale(filePath);
+        const mean = data.reduce((sum, value) => sum + value, 0) / data.length;
+        scores.push(scoreExposure(mean));
+        if (mean < DARK_LEVEL) {
+            issues.push('dark');
+        } else if (mean > BRIGHT_LEVEL) {
+            issues.push('bright');
+        }
+
+        const sharpness = measureSharpness(data, info.width, info.height);
+        scores.push(Math.round(Math.min(100, 100 * sharpness / config.qualityBlurThreshold)));
+        if (sharpness < config.qualityBlurThreshold) {
+            issues.push('blurry');
+        }
+
+        // Rejected photos may be uploaded again
+        const candidates = photos.filter(file => getModerationStatus(file) !== 'rejected');
+
+        const hash = await differenceHash(filePath);
+        const time = new Date(capturedAt);
+        const duplicate = candidates.find(file => {
+            const storedHash = readScreening(file)?.hash;
+            return storedHash &&
+                Math.abs(getCaptureTime(file) - time) <= DUPLICATE_WINDOW_MS &&
+                hashDistance(storedHash, hash) <= DUPLICATE_HASH_DISTANCE;
+        });
+        if (duplicate) {
+            scores.push(0);
+            issues.push('duplicate');
+        }
+
+        const size = getDisplaySize(await sharp(filePath).metadata());
+        const referenceSize = await getReferenceSize(candidates, getFileBuffer);
+        if (referenceSize && isFramingMismatch(size, referenceSize)) {
+            scores.push(0);
+            issues.push('framing');
+        }
+
+        return { score: Math.min(...scores), issues, hash, size };
+    } catch (err) {
+        console.error(`Error screening ${filePath}:`, err.message);
+        return null;
+    }
+}
+
+/**
+ * Properties recording the screening of a new upload
+ * @returns appProperties object
+ */
+function getQualityProperties(result) {
+    return {
+        quality: [
+            result.score,
+            result.issues.join(','),
+            result.hash,
+            `${result.size.width}x${result.size.height}`,
+        ].join(';'),
+    };
+}
+
+/**
+ * Get the quality screening result of a file
+ * @returns { score, issues }, or null if the photo was not screened
+ */
+function getQuality(file) {
+    const screening = readScreening(file);
+    if (!screening) {
+        return null;
+    }
+    return {
+        score: Number(screening.score),
+        issues: (screening.issues || '').split(',').filter(Boolean),
+    };
+}
+
+/**
+ * Check if a photo scored below QUALITY_MIN_SCORE
+ * @returns boolean
+ */
+function isLowQuality(file) {
+    const quality = getQuality(file);
+    return quality !== null && quality.score < config.qualityMinScore;
+}
+
+/**
+ * Add quality fields to a file object for API responses
+ */
+function withQuality(file) {
+    return {
+        ...file,
+        quality: getQuality(file),
+        lowQuality: isLowQuality(file),
+    };
+}
+
+module.exports = {
+    screenPhoto,
+    getQualityProperties,
+    getQuality,
+    isLowQuality,
+    withQuality,
+};
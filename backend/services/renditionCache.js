@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../config/config');
+
+// Sharp is optional - without it there are no renditions to cache
+let sharp;
+try {
+    sharp = require('sharp');
+} catch (err) {
+    console.warn('Sharp not available - thumbnails will be limited');
+    sharp = null;
+}
+
+/**
+ * Photo renditions
+ * The gallery and photo viewer load photos through the thumbnail route as
+ * square crops. Each size is made once - the RENDITION_SIZES at upload, from
+ * the photo being stored - and kept on local disk:
+ *
+ *   RENDITION_CACHE_DIR/orgSlug/<hash of file ID>/
+ *     info.json: { fileId, trailPath, version, public }
+ *     300.jpg, 800.webp, ...
+ *
+ * Requested sizes are rounded up to a RENDITION_SIZES size (or down to the
+ * largest) so a photo has a handful of renditions at most. A cached rendition
+ * is served without asking storage: info.json records the trail path the
+ * photo belongs to and whether it is approved (public). Reviewing or deleting
+ * a photo removes its renditions; a stored file with another version (its
+ * modified time and size) replaces them.
+ */
+
+const RENDITION_FORMATS = {
+    jpeg: { mimeType: 'image/jpeg', extension: '.jpg' },
+    webp: { mimeType: 'image/webp', extension: '.webp' },
+};
+
+const RENDITION_QUALITY = 85;
+
+const INFO_FILE_NAME = 'info.json';
+
+/**
+ * Check if renditions can be made
+ * @returns boolean
+ */
+function isRenditionAvailable() {
+    return Boolean(sharp);
+}
+
+/**
+ * Round a requested size to a rendition size
+ * @returns size in pixels
+ */
+function getRenditionSize(requested) {
+    const sizes = [...config.renditionSizes].sort((a, b) => a - b);
+    return sizes.find(size => size >= requested) || sizes[sizes.length - 1];
+}
+
+/**
+ * Version of a stored file, changes when the file is replaced
+ * @returns string
+ */
+function getVersion(file) {
+    return `${file.modifiedTime || file.createdTime}:${file.size}`;
+}
+
+/**
+ * Directory holding the renditions of a file
+ * File IDs are hashed as some contain characters not allowed in file names
+ */
+function getEntryDir(orgSlug, fileId) {
+    const hash = crypto.createHash('sha256').update(fileId).digest('hex').slice(0, 32);
+    return path.resolve(config.renditionCacheDir, orgSlug, hash);
+}
+
+function getRenditionPath(entryDir, size, format) {
+    return path.join(entryDir, `${size}${RENDITION_FORMATS[format].extension}`);
+}
+
+/**
+ * Write a file in one step, so readers never see it half written
+ */
+async function writeFileAtomic(filePath, data) {
+    const tempPath = `${filePath}.${process.pid}-${Date.now()}.tmp`;
+    await fs.writeFile(tempPath, data);
+    await fs.rename(tempPath, filePath);
+}
+
+/**
+ * Read the info of a file's renditions
+ * @returns { fileId, trailPath, version, public }, or null if none are cached
+ */
+async function readInfo(entryDir) {
+    try {
+        return JSON.parse(await fs.readFile(path.join(entryDir, INFO_FILE_NAME), 'utf8'));
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Find a cached rendition
+ * @returns {Promise<Object|null>} { path, info }, or null if it was not made yet
+ */
+async function getCachedRendition(orgSlug, fileId, size, format) {
+    const entryDir = getEntryDir(orgSlug, fileId);
+    const info = await readInfo(entryDir);
+    if (!info || info.fileId !== fileId) {
+        return null;
+    }
+
+    const renditionPath = getRenditionPath(entryDir, size, format);
+    try {
+        await fs.access(renditionPath);
+        return { path: renditionPath, info };
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Make a rendition and cache it
+ * Renditions of an older version of the file are removed first
+ * @param {Object} file - stored file object
+ * @param {Buffer|string} input - the photo (buffer or file path)
+ * @param {boolean} isPublic - whether anyone may see the photo
+ * @returns {Promise<string>} path of the rendition
+ */
+async function createRendition(orgSlug, trailPath, file, input, size, format, isPublic) {
+    const entryDir = getEntryDir(orgSlug, file.id);
+    const info = { fileId: file.id, trailPath, version: getVersion(file), public: isPublic };
+
+    const cached = await readInfo(entryDir);
+    if (cached && (cached.fileId !== info.fileId || cached.version !== info.version)) {
+        await fs.rm(entryDir, { recursive: true, force: true });
+    }
+    await fs.mkdir(entryDir, { recursive: true });
+
+    const rendition = await sharp(input)
+        .rotate()
+        .resize(size, size, { fit: 'cover' })
+        .toFormat(format, { quality: RENDITION_QUALITY })
+        .toBuffer();
+
+    const renditionPath = getRenditionPath(entryDir, size, format);
+    await writeFileAtomic(renditionPath, rendition);
+    await writeFileAtomic(path.join(entryDir, INFO_FILE_NAME), JSON.stringify(info));
+    return renditionPath;
+}
+
+/**
+ * Make the RENDITION_SIZES renditions of a new upload
+ * Failures are logged; missing renditions are made on first request
+ */
+async function createRenditions(orgSlug, trailPath, file, filePath, isPublic) {
+    if (!sharp) {
+        return;
+    }
+
+    try {
+        const input = await fs.readFile(filePath);
+        for (const size of config.renditionSizes) {
+            await createRendition(orgSlug, trailPath, file, input, size, 'jpeg', isPublic);
+        }
+    } catch (err) {
+        console.error(`Error making renditions of ${file.name}:`, err.message);
+    }
+}
+
+/**
+ * Remove the cached renditions of a file
+ */
+async function removeRenditions(orgSlug, fileId) {
+    try {
+        await fs.rm(getEntryDir(orgSlug, fileId), { recursive: true, force: true });
+    } catch (err) {
+        console.error(`Error removing renditions of ${fileId}:`, err.message);
+    }
+}
+
+module.exports = {
+    RENDITION_FORMATS,
+    isRenditionAvailable,
+    getRenditionSize,
+    getCachedRendition,
+    createRendition,
+    createRenditions,
+    removeRenditions,
+};
@@ -0,0 +1,588 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const {
+    S3Client,
+    ListObjectsV2Command,
+    PutObjectCommand,
+    GetObjectCommand,
+    HeadObjectCommand,
+    CopyObjectCommand,
+    DeleteObjectCommand,
+} = require('@aws-sdk/client-s3');
+const config = require('../config/config');
+const { StorageProvider, TIMELAPSE_FORMATS, PROPERTIES_FILE_NAME, getMimeType } = require('./storageProvider');
+
+/**
+ * S3-compatible storage provider (AWS S3, MinIO, Backblaze B2, Wasabi)
+ * Structure: bucket/prefix/trailName[/stationId]/filename
+ *
+ * "Folders" are key prefixes, the org prefix defaults to the org slug.
+ * File IDs are the base64url encoded "orgSlug:key" so the owning
+ * organization's bucket can be resolved from the ID alone.
+ * File appProperties live in a .properties.json object in each trail prefix
+ * (listings do not return object metadata, so one index is read per listing).
+ * Index writes are queued per prefix within this process; run a single
+ * backend instance per bucket.
+ *
+ * Per-organization settings (all optional, fall back to S3_* env vars):
+ * s3: { bucket, prefix, endpoint, region, forcePathStyle }
+ */
+class S3StorageService extends StorageProvider {
+    constructor() {
+        super('s3');
+        // Cache for clients: endpoint|region|forcePathStyle -> S3Client
+        this.clients = new Map();
+        // Pending index writes: bucket/prefix -> promise of the last queued write
+        this.indexWrites = new Map();
+    }
+
+    /**
+     * Check that the default bucket settings are present
+     * @returns {Promise<boolean>}
+     */
+    async initialize() {
+        if (!config.s3AccessKeyId || !config.s3SecretAccessKey) {
+            throw new Error('S3 credentials not found. Set S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY.');
+        }
+        console.log(`S3 storage initialized (${config.s3Endpoint || 'AWS'})`);
+        return true;
+    }
+
+    /**
+     * Get bucket settings for an organization
+     * @returns {{ client: S3Client, bucket: string, prefix: string }}
+     */
+    getOrgLocation(orgSlug) {
+        const { getOrganization } = require('../config/organizations');
+        let orgConfig;
+        try {
+            orgConfig = getOrganization(orgSlug);
+        } catch (error) {
+            throw new Error(`Organization '${orgSlug}' is not active or not found.`);
+        }
+
+        if (!orgConfig) {
+            throw new Error(`Organization '${orgSlug}' is not active or not found.`);
+        }
+
+        const s3Config = orgConfig.s3 || {};
+        const bucket = s3Config.bucket || config.s3Bucket;
+
+        if (!bucket) {
+            throw new Error(`S3 bucket for '${orgSlug}' not found in config.`);
+        }
+
+        const prefix = (s3Config.prefix ?? orgSlug).replace(/^\/+|\/+$/g, '');
+
+        return {
+            client: this.getClient(s3Config),
+            bucket,
+            prefix: prefix ? `${prefix}/` : '',
+        };
+    }
+
+    /**
+     * Get (cached) client for an endpoint
+     */
+    getClient(s3Config) {
+        const endpoint = s3Config.endpoint || config.s3Endpoint;
+        const region = s3Config.region || config.s3Region;
+        const forcePathStyle = s3Config.forcePathStyle ?? config.s3ForcePathStyle;
+        const cacheKey = `${endpoint}|${region}|${forcePathStyle}`;
+
+        if (!this.clients.has(cacheKey)) {
+            this.clients.set(cacheKey, new S3Client({
+                ...(endpoint && { endpoint }),
+                region,
+                forcePathStyle,
+                credentials: {
+                    accessKeyId: config.s3AccessKeyId,
+                    secretAccessKey: config.s3SecretAccessKey,
+                },
+            }));
+        }
+
+        return this.clients.get(cacheKey);
+    }
+
+    /**
+     * Get key prefix for a trail
+     * Structure: prefix/trailName[/stationId]/
+     */
+    getTrailPrefix(orgSlug, trailName) {
+        const { prefix } = this.getOrgLocation(orgSlug);
+        return `${prefix}${this.splitTrailPath(trailName).join('/')}/`;
+    }
+
+    /**
+     * Encode an object key as an opaque ID
+     */
+    toFileId(orgSlug, key) {
+        return Buffer.from(`${orgSlug}:${key}`).toString('base64url');
+    }
+
+    /**
+     * Resolve a file ID to its bucket location
+     * @throws error if the ID is malformed or outside the organization prefix
+     */
+    resolveFileId(fileId) {
+        const decoded = Buffer.from(String(fileId), 'base64url').toString('utf8');
+        const separator = decoded.indexOf(':');
+
+        if (separator <= 0) {
+            throw new Error(`Invalid file ID '${fileId}'`);
+        }
+
+        const orgSlug = decoded.slice(0, separator);
+        const key = decoded.slice(separator + 1);
+        const { client, bucket, prefix } = this.getOrgLocation(orgSlug);
+
+        if (!key.startsWith(prefix) || key.split('/').includes('..')) {
+            throw new Error(`Invalid file ID '${fileId}'`);
+        }
+
+        return { client, bucket, key, orgSlug };
+    }
+
+    /**
+     * Build a Drive-shaped file object from an S3 object listing entry
+     * S3 has no creation time, so LastModified is used for both timestamps
+     */
+    toFileObject(orgSlug, key, lastModified, size, properties = {}) {
+        const name = path.posix.basename(key);
+        const timestamp = (lastModified || new Date()).toISOString();
+
+        return {
+            id: this.toFileId(orgSlug, key),
+            name,
+            mimeType: getMimeType(name),
+            createdTime: timestamp,
+            modifiedTime: timestamp,
+            size: String(size ?? 0),
+            webViewLink: null,
+            webContentLink: null,
+            appProperties: properties,
+        };
+    }
+
+    /**
+     * List every object and sub-prefix directly below a prefix
+     * Follows continuation tokens for listings over 1000 keys
+     */
+    async listPrefix(client, bucket, prefix) {
+        const objects = [];
+        const prefixes = [];
+        let continuationToken;
+
+        do {
+            const response = await client.send(new ListObjectsV2Command({
+                Bucket: bucket,
+                Prefix: prefix,
+                Delimiter: '/',
+                ContinuationToken: continuationToken,
+            }));
+
+            objects.push(...(response.Contents || []));
+            prefixes.push(...(response.CommonPrefixes || []).map(p => p.Prefix));
+            continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+        } while (continuationToken);
+
+        return { objects, prefixes };
+    }
+
+    /**
+     * Check if an object exists
+     * @returns head response or null
+     */
+    async headObject(client, bucket, key) {
+        try {
+            return await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+        } catch (error) {
+            if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Read the properties index of a prefix (filename -> appProperties)
+     */
+    async readProperties(client, bucket, dirPrefix) {
+        try {
+            const response = await client.send(new GetObjectCommand({
+                Bucket: bucket,
+                Key: `${dirPrefix}${PROPERTIES_FILE_NAME}`,
+            }));
+            return JSON.parse(await response.Body.transformToString());
+        } catch (error) {
+            if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) {
+                return {};
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Update properties of one file in a prefix's index
+     * Passing null as properties removes the file's entry, a function gets the
+     * current entry and returns the new one
+     * Writes to one prefix run one after another: each rewrites the whole index,
+     * so concurrent uploads to a trail would otherwise drop each other's entries
+     */
+    writeFileProperties(client, bucket, dirPrefix, filename, properties) {
+        const queueKey = `${bucket}/${dirPrefix}`;
+        const write = (this.indexWrites.get(queueKey) || Promise.resolve())
+            .then(() => this.rewriteFileProperties(client, bucket, dirPrefix, filename, properties));
+
+        const queued = write.catch(() => {});
+        this.indexWrites.set(queueKey, queued);
+        queued.then(() => {
+            if (this.indexWrites.get(queueKey) === queued) {
+                this.indexWrites.delete(queueKey);
+            }
+        });
+        return write;
+    }
+
+    /**
+     * Read, change and store a prefix's index (see writeFileProperties)
+     */
+    async rewriteFileProperties(client, bucket, dirPrefix, filename, properties) {
+        const index = await this.readProperties(client, bucket, dirPrefix);
+        if (typeof properties === 'function') {
+            properties = properties(index[filename]);
+        }
+
+        if (properties && Object.keys(properties).length > 0) {
+            index[filename] = properties;
+        } else if (filename in index) {
+            delete index[filename];
+        } else {
+            return;
+        }
+
+        await client.send(new PutObjectCommand({
+            Bucket: bucket,
+            Key: `${dirPrefix}${PROPERTIES_FILE_NAME}`,
+            Body: JSON.stringify(index, null, 2),
+            ContentType: 'application/json',
+        }));
+    }
+
+    /**
+     * Write an object under a key that does not exist yet below a prefix
+     * Appends a counter (_1, _2, ...) to the base name. The write is sent with
+     * If-None-Match, so concurrent writers never share a key
+     * @param {Function} write - async (key, conditions) => result, sends conditions with its command
+     * @return { key, result }
+     */
+    async writeUnderAvailableKey(client, bucket, dirPrefix, filename, write) {
+        const extension = path.extname(filename);
+        const baseName = path.basename(filename, extension);
+
+        for (let i = 0; ; i++) {
+            const key = i === 0
+                ? `${dirPrefix}${path.basename(filename)}`
+                : `${dirPrefix}${baseName}_${i}${extension}`;
+            if (await this.headObject(client, bucket, key)) {
+                continue;
+            }
+
+            try {
+                return { key, result: await write(key, { IfNoneMatch: '*' }) };
+            } catch (error) {
+                // 412: the key was taken since, 409: a concurrent conditional write to it
+                const status = error.$metadata?.httpStatusCode;
+                if (status !== 412 && status !== 409) {
+                    throw error;
+                }
+            }
+        }
+    }
+
+    /**
+     * Put a local file at a key
+     */
+    async putFile(client, bucket, key, filePath, mimeType, metadata = {}, conditions = {}) {
+        const { size } = await fs.promises.stat(filePath);
+
+        await client.send(new PutObjectCommand({
+            Bucket: bucket,
+            Key: key,
+            Body: fs.createReadStream(filePath),
+            ContentLength: size,
+            ContentType: mimeType,
+            Metadata: metadata,
+            ...conditions,
+        }));
+
+        return size;
+    }
+
+    /**
+     * Upload file to a trail prefix
+     * Appends a counter to the filename instead of overwriting existing objects
+     * @return uploaded file metadata
+     * @throws error on failure
+     */
+    async uploadFile(orgSlug, trailName, filePath, filename, mimeType, description, properties = {}) {
+        try {
+            const { client, bucket } = this.getOrgLocation(orgSlug);
+            const trailPrefix = this.getTrailPrefix(orgSlug, trailName);
+            const { key, result: size } = await this.writeUnderAvailableKey(client, bucket, trailPrefix, filename,
+                (targetKey, conditions) => this.putFile(client, bucket, targetKey, filePath, mimeType, {
+                    // Object metadata is sent as HTTP headers, so keep it ASCII
+                    description: encodeURIComponent(description || `StewardView observation - ${filename}`),
+                }, conditions)
+            );
+
+            const appProperties = this.mergeProperties({}, properties);
+            await this.writeFileProperties(client, bucket, trailPrefix, path.posix.basename(key), appProperties);
+
+            const file = this.toFileObject(orgSlug, key, new Date(), size, appProperties);
+            console.log(`File '${file.name}' uploaded to S3 in trail '${trailName}' of organization '${orgSlug}'. File ID: ${file.id}`);
+            return file;
+        } catch (error) {
+            console.error(`Error uploading file '${filename}' to trail '${trailName}' in organization '${orgSlug}':`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * List trails (prefixes) in an organization
+     * @return array of trail names
+     * @throws error on failure
+     */
+    async listTrailsInOrganization(orgSlug) {
+        try {
+            const { client, bucket, prefix } = this.getOrgLocation(orgSlug);
+            const { prefixes } = await this.listPrefix(client, bucket, prefix);
+
+            return prefixes
+                .map(p => p.slice(prefix.length).replace(/\/$/, ''))
+                .filter(Boolean)
+                .sort((a, b) => a.localeCompare(b));
+        } catch (error) {
+            console.error(`Error listing trails in organization '${orgSlug}':`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * List files in a trail prefix
+     * @return array of files
+     * @throws error on failure
+     */
+    async listFilesInTrail(orgSlug, trailName, orderBy = 'name') {
+        try {
+            const { client, bucket } = this.getOrgLocation(orgSlug);
+            const trailPrefix = this.getTrailPrefix(orgSlug, trailName);
+            const { objects } = await this.listPrefix(client, bucket, trailPrefix);
+            const properties = await this.readProperties(client, bucket, trailPrefix);
+
+            const files = objects
+                .filter(object => object.Key !== trailPrefix && !path.posix.basename(object.Key).startsWith('.'))
+                .map(object => {
+                    const name = path.posix.basename(object.Key);
+                    return this.toFileObject(orgSlug, object.Key, object.LastModified, object.Size, properties[name]);
+                });
+
+            if (orderBy === 'createdTime') {
+                files.sort((a, b) => new Date(a.createdTime) - new Date(b.createdTime));
+            } else {
+                files.sort((a, b) => a.name.localeCompare(b.name));
+            }
+
+            return files;
+        } catch (error) {
+            console.error(`Error listing files in trail '${trailName}' of organization '${orgSlug}':`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a single object
+     * @return file object or null if not found
+     * @throws error on failure
+     */
+    async getFile(fileId) {
+        const { client, bucket, key, orgSlug } = this.resolveFileId(fileId);
+        const head = await this.headObject(client, bucket, key);
+
+        if (!head) {
+            return null;
+        }
+
+        const dirPrefix = `${path.posix.dirname(key)}/`;
+        const properties = await this.readProperties(client, bucket, dirPrefix);
+        return this.toFileObject(orgSlug, key, head.LastModified, head.ContentLength, properties[path.posix.basename(key)]);
+    }
+
+    /**
+     * Update appProperties of an object
+     * @return updated file object or null if not found
+     * @throws error on failure
+     */
+    async updateFileProperties(fileId, properties) {
+        try {
+            const { client, bucket, key } = this.resolveFileId(fileId);
+
+            if (!await this.headObject(client, bucket, key)) {
+                return null;
+            }
+
+            const dirPrefix = `${path.posix.dirname(key)}/`;
+            const name = path.posix.basename(key);
+            await this.writeFileProperties(client, bucket, dirPrefix, name, current => this.mergeProperties(current, properties));
+
+            return this.getFile(fileId);
+        } catch (error) {
+            console.error(`Error updating properties of file ID '${fileId}':`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Move an object to another trail prefix (copy + delete)
+     * The file ID changes because it encodes the key
+     * @return moved file object or null if not found
+     * @throws error on failure
+     */
+    async moveFile(fileId, orgSlug, trailName) {
+        try {
+            const { client, bucket, key } = this.resolveFileId(fileId);
+
+            if (!await this.headObject(client, bucket, key)) {
+                return null;
+            }
+
+            const sourcePrefix = `${path.posix.dirname(key)}/`;
+            const name = path.posix.basename(key);
+            const targetPrefix = this.getTrailPrefix(orgSlug, trailName);
+            const { key: targetKey } = await this.writeUnderAvailableKey(client, bucket, targetPrefix, name,
+                (candidateKey, conditions) => client.send(new CopyObjectCommand({
+                    Bucket: bucket,
+                    Key: candidateKey,
+                    CopySource: `${bucket}/${encodeURIComponent(key)}`,
+                    ...conditions,
+                }))
+            );
+            await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+
+            const properties = (await this.readProperties(client, bucket, sourcePrefix))[name];
+            await this.writeFileProperties(client, bucket, targetPrefix, path.posix.basename(targetKey), properties);
+            await this.writeFileProperties(client, bucket, sourcePrefix, name, null);
+
+            console.log(`Object '${key}' moved to '${targetKey}'`);
+            return this.getFile(this.toFileId(orgSlug, targetKey));
+        } catch (error) {
+            console.error(`Error moving file ID '${fileId}' to '${trailName}':`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Download object to destination path
+     * @return void
+     * @throws error on failure
+     */
+    async downloadFile(fileId, destinationPath) {
+        try {
+            const { client, bucket, key } = this.resolveFileId(fileId);
+            const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+
+            await pipeline(response.Body, fs.createWriteStream(destinationPath));
+            console.log(`File downloaded to ${destinationPath}`);
+        } catch (error) {
+            console.error(`Error downloading file ID '${fileId}':`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Get object as buffer
+     * @param {string} fileId - S3 file ID
+     * @returns {Promise<Buffer>} File content as buffer
+     */
+    async getFileBuffer(fileId) {
+        try {
+            const { client, bucket, key } = this.resolveFileId(fileId);
+            const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+
+            const buffer = Buffer.from(await response.Body.transformToByteArray());
+            console.log(`File buffer retrieved: ${fileId} (${buffer.length} bytes)`);
+            return buffer;
+        } catch (error) {
+            console.error(`Error getting file buffer for ID '${fileId}':`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete an object
+     */
+    async deleteFile(fileId) {
+        try {
+            const { client, bucket, key } = this.resolveFileId(fileId);
+            await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+            await this.writeFileProperties(client, bucket, `${path.posix.dirname(key)}/`, path.posix.basename(key), null);
+            console.log(`File deleted from S3: ${fileId}`);
+            return true;
+        } catch (error) {
+            console.error(`Error deleting file ${fileId}:`, error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Get ALL stored timelapse files of a trail in one format
+     * Keys are unique, so this returns at most one file
+     */
+    async getAllTimelapseFiles(orgSlug, trailName, format = 'gif') {
+        try {
+            const { client, bucket } = this.getOrgLocation(orgSlug);
+            const key = `${this.getTrailPrefix(orgSlug, trailName)}${TIMELAPSE_FORMATS[format].fileName}`;
+            const head = await this.headObject(client, bucket, key);
+
+            if (!head) {
+                return [];
+            }
+
+            return [this.toFileObject(orgSlug, key, head.LastModified, head.ContentLength)];
+        } catch (error) {
+            console.error(`Error checking for ${format} timelapse in trail '${trailName}':`, error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Upload a timelapse file for a trail, replacing any existing one
+     */
+    async uploadTimelapseFile(orgSlug, trailName, filePath, format = 'gif') {
+        try {
+            const { client, bucket } = this.getOrgLocation(orgSlug);
+            const { fileName, mimeType } = TIMELAPSE_FORMATS[format];
+            const key = `${this.getTrailPrefix(orgSlug, trailName)}${fileName}`;
+            const size = await this.putFile(client, bucket, key, filePath, mimeType);
+
+            const file = this.toFileObject(orgSlug, key, new Date(), size);
+            console.log(`Timelapse ${format} uploaded to S3: ${file.id}`);
+            return file;
+        } catch (error) {
+            console.error(`Error uploading ${format} timelapse for trail '${trailName}':`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Clear cached clients
+     */
+    clearCache() {
+        this.clients.clear();
+        console.log('S3 client cache cleared.');
+    }
+}
+
+module.exports = new S3StorageService();
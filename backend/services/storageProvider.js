@@ -0,0 +1,303 @@
+/**
+ * Storage provider interface
+ * Every storage backend (Google Drive, local disk, ...) extends this class
+ * and stores images in an org -> trail -> station hierarchy.
+ *
+ * Methods taking a trailName accept a trail path: "trailSlug" for the
+ * trail's main station or "trailSlug/stationId" for an extra station,
+ * which is stored as a sub-folder of the trail folder.
+ *
+ * File IDs are opaque strings owned by the provider that created them.
+ * File objects returned by providers share the Drive file shape:
+ * { id, name, mimeType, createdTime, size, webViewLink, webContentLink, appProperties }
+ *
+ * appProperties are small string key/value pairs stored with a file
+ * (moderation status, ...). Drive keeps them natively; other providers keep
+ * them in a per-folder PROPERTIES_FILE_NAME index. Drive allows 124 bytes
+ * per property (key + value) and 30 properties per file, so longer text is
+ * split over numbered properties with toChunkedProperties. mergeProperties
+ * holds every provider to MAX_PROPERTIES.
+ *
+ * Most properties a photo can carry (each service documents its own):
+ *   moderation 4, capture time 2, observation 5 + note 5 + tags 4,
+ *   geofence 1, quality 1, privacy 1, ingest 2, exifPolicy 1, trash 3 = 29
+ */
+
+const path = require('path');
+const { httpError } = require('./errors');
+
+// Stored timelapse renditions, one file per format in each trail path
+// (prefixed with _ to sort to top)
+const TIMELAPSE_FORMATS = {
+    gif: { fileName: '_timelapse.gif', mimeType: 'image/gif' },
+    mp4: { fileName: '_timelapse.mp4', mimeType: 'video/mp4' },
+    webm: { fileName: '_timelapse.webm', mimeType: 'video/webm' },
+    webp: { fileName: '_timelapse.webp', mimeType: 'image/webp' },
+};
+const PROPERTIES_FILE_NAME = '.properties.json'; // Hidden, not listed as a trail file
+const MAX_PROPERTY_BYTES = 124; // Drive limit for key + value
+const MAX_PROPERTIES = 30; // Drive limit per file
+const TRASH_FOLDER_NAME = '_trash'; // Sub-folder of a trail path holding deleted photos
+const ORIGINALS_FOLDER_NAME = '_originals'; // Sub-folder of a trail path holding uploaded originals
+
+const MIME_TYPES = {
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.webp': 'image/webp',
+    '.heic': 'image/heic',
+    '.heif': 'image/heif',
+    '.avif': 'image/avif',
+    '.gif': 'image/gif',
+    '.mp4': 'video/mp4',
+    '.webm': 'video/webm',
+};
+
+/**
+ * Guess MIME type from a filename
+ * For backends that do not store a content type per file
+ * @returns string
+ */
+function getMimeType(filename) {
+    return MIME_TYPES[path.extname(filename).toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Get the file extension of a MIME type
+ * @returns string (e.g. ".jpg"), or null for unknown types
+ */
+function getExtension(mimeType) {
+    const entry = Object.entries(MIME_TYPES).find(([, type]) => type === mimeType);
+    return entry ? entry[0] : null;
+}
+
+/**
+ * Get the timelapse format a stored file holds
+ * @returns format key or null if the file is not a timelapse
+ */
+function getTimelapseFormat(filename) {
+    return Object.keys(TIMELAPSE_FORMATS)
+        .find(format => TIMELAPSE_FORMATS[format].fileName === filename) || null;
+}
+
+/**
+ * Split a text over numbered appProperties (name_0, name_1, ...)
+ * @param {Object} current - the file's current appProperties, whose leftover chunks are removed
+ * @returns appProperties changes (null removes a property, see mergeProperties)
+ */
+function toChunkedProperties(name, value, current = {}) {
+    const changes = {};
+    let index = 0;
+    let chunk = '';
+
+    const addChunk = () => {
+        changes[`${name}_${index}`] = chunk;
+        index++;
+        chunk = '';
+    };
+
+    // Split on characters so multi-byte characters are never cut in half
+    for (const character of value || '') {
+        const limit = MAX_PROPERTY_BYTES - Buffer.byteLength(`${name}_${index}`);
+        if (Buffer.byteLength(chunk + character) > limit) {
+            addChunk();
+        }
+        chunk += character;
+    }
+    if (chunk) {
+        addChunk();
+    }
+
+    for (; current[`${name}_${index}`] !== undefined; index++) {
+        changes[`${name}_${index}`] = null;
+    }
+    return changes;
+}
+
+/**
+ * Join a text stored with toChunkedProperties
+ * @returns string, or null if the property is not set
+ */
+function readChunkedProperty(properties = {}, name) {
+    const chunks = [];
+    for (let index = 0; properties[`${name}_${index}`] !== undefined; index++) {
+        chunks.push(properties[`${name}_${index}`]);
+    }
+    return chunks.length > 0 ? chunks.join('') : null;
+}
+
+class StorageProvider {
+    constructor(name) {
+        this.name = name;
+    }
+
+    /**
+     * Prepare the provider for use (authenticate, create root folders, ...)
+     * @returns {Promise<boolean>}
+     */
+    async initialize() {
+        return true;
+    }
+
+    /**
+     * Sanitize folder/file name
+     * @return string
+     * Replaces invalid characters with underscores
+     */
+    sanitizeName(name) {
+        return name.replace(/[^a-zA-Z0-9-_ ]/g, '_');
+    }
+
+    /**
+     * Split a trail path into sanitized folder names
+     * @return array of folder names, e.g. ['trail', 'station']
+     */
+    splitTrailPath(trailPath) {
+        return String(trailPath).split('/').map(segment => this.sanitizeName(segment));
+    }
+
+    /**
+     * Apply property changes, a null value removes the property
+     * Values are stored as strings (Drive appProperties only hold strings)
+     * @return new properties object
+     * @throws PropertyLimitError (500) if the file would have more than MAX_PROPERTIES
+     */
+    mergeProperties(current = {}, changes = {}) {
+        const merged = { ...current };
+        for (const [key, value] of Object.entries(changes)) {
+            if (value === null || value === undefined) {
+                delete merged[key];
+            } else {
+                merged[key] = String(value);
+            }
+        }
+
+        const count = Object.keys(merged).length;
+        if (count > MAX_PROPERTIES) {
+            throw httpError(500, 'PropertyLimitError', `A file can have at most ${MAX_PROPERTIES} properties (got ${count})`);
+        }
+        return merged;
+    }
+
+    /**
+     * List trails (folders) in an organization
+     * @return array of trail names
+     */
+    async listTrailsInOrganization(orgSlug, orderBy = 'name') {
+        throw this.notImplemented('listTrailsInOrganization');
+    }
+
+    /**
+     * List files in a trail
+     * @return array of file objects
+     */
+    async listFilesInTrail(orgSlug, trailName, orderBy = 'name') {
+        throw this.notImplemented('listFilesInTrail');
+    }
+
+    /**
+     * Store a local file in a trail
+     * @param {Object} properties - initial appProperties
+     * @return uploaded file object
+     */
+    async uploadFile(orgSlug, trailName, filePath, filename, mimeType, description, properties = {}) {
+        throw this.notImplemented('uploadFile');
+    }
+
+    /**
+     * Get a single file
+     * @returns file object or null if not found
+     */
+    async getFile(fileId) {
+        throw this.notImplemented('getFile');
+    }
+
+    /**
+     * Update appProperties of a file (null values remove a property)
+     * @returns updated file object or null if not found
+     */
+    async updateFileProperties(fileId, properties) {
+        throw this.notImplemented('updateFileProperties');
+    }
+
+    /**
+     * Move a file into another trail path of the same organization
+     * appProperties move with the file; the file ID may change
+     * @returns moved file object or null if not found
+     */
+    async moveFile(fileId, orgSlug, trailName) {
+        throw this.notImplemented('moveFile');
+    }
+
+    /**
+     * Download file to a local path
+     * @return void
+     */
+    async downloadFile(fileId, destinationPath) {
+        throw this.notImplemented('downloadFile');
+    }
+
+    /**
+     * Get file contents as buffer
+     * @returns {Promise<Buffer>}
+     */
+    async getFileBuffer(fileId) {
+        throw this.notImplemented('getFileBuffer');
+    }
+
+    /**
+     * Delete a file
+     * @returns {Promise<boolean>} true if deleted
+     */
+    async deleteFile(fileId) {
+        throw this.notImplemented('deleteFile');
+    }
+
+    /**
+     * Get the stored timelapse of a trail in one format
+     * @param {string} format - key of TIMELAPSE_FORMATS
+     * @returns file object or null
+     */
+    async getTimelapseFile(orgSlug, trailName, format = 'gif') {
+        const files = await this.getAllTimelapseFiles(orgSlug, trailName, format);
+        return files.length > 0 ? files[0] : null;
+    }
+
+    /**
+     * Get ALL stored timelapse files of a trail in one format (to handle duplicates)
+     * @returns array of file objects
+     */
+    async getAllTimelapseFiles(orgSlug, trailName, format = 'gif') {
+        throw this.notImplemented('getAllTimelapseFiles');
+    }
+
+    /**
+     * Store a timelapse file for a trail
+     * @returns file object
+     */
+    async uploadTimelapseFile(orgSlug, trailName, filePath, format = 'gif') {
+        throw this.notImplemented('uploadTimelapseFile');
+    }
+
+    /**
+     * Clear any cached lookups
+     */
+    clearCache() {}
+
+    notImplemented(method) {
+        return new Error(`Storage provider '${this.name}' does not implement ${method}()`);
+    }
+}
+
+module.exports = {
+    StorageProvider,
+    TIMELAPSE_FORMATS,
+    PROPERTIES_FILE_NAME,
+    TRASH_FOLDER_NAME,
+    ORIGINALS_FOLDER_NAME,
+    getMimeType,
+    getExtension,
+    getTimelapseFormat,
+    toChunkedProperties,
+    readChunkedProperty,
+};
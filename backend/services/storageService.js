@@ -0,0 +1,90 @@
+const config = require('../config/config');
+
+/**
+ * Storage provider registry
+ * Each organization selects its backend with the 'storage' field in
+ * config/organizations.js; organizations without one use the default
+ * provider from config (STORAGE_PROVIDER).
+ *
+ * Providers are required lazily so an install that only uses local storage
+ * never loads the Google APIs.
+ */
+const providers = {
+    drive: () => require('./driveService'),
+    local: () => require('./localStorageService'),
+    s3: () => require('./s3StorageService'),
+};
+
+// Names of providers that have been initialized
+const initializedProviders = new Set();
+
+/**
+ * Get provider instance by name
+ * @throws error if provider is unknown
+ */
+function getProvider(name) {
+    const loadProvider = providers[name];
+
+    if (!loadProvider) {
+        throw new Error(`Unknown storage provider '${name}'. Available: ${Object.keys(providers).join(', ')}`);
+    }
+
+    return loadProvider();
+}
+
+/**
+ * Get the storage provider for an organization
+ * @returns {StorageProvider}
+ * @throws error if org is not found or its provider is unknown
+ */
+function getStorageProvider(orgSlug) {
+    const { getOrganization } = require('../config/organizations');
+    const org = getOrganization(orgSlug);
+
+    if (!org) {
+        throw new Error(`Organization '${orgSlug}' not found.`);
+    }
+
+    return getProvider(org.storage || config.defaultStorageProvider);
+}
+
+/**
+ * Initialize a provider once
+ * Used when an organization is created or switched to a new backend at runtime
+ * @returns {Promise<void>}
+ */
+async function initializeProvider(name = config.defaultStorageProvider) {
+    if (initializedProviders.has(name)) {
+        return;
+    }
+
+    await getProvider(name).initialize();
+    initializedProviders.add(name);
+}
+
+/**
+ * Initialize every provider used by an active organization
+ * @returns {Promise<string[]>} names of initialized providers
+ */
+async function initialize() {
+    const { listActiveOrganizations, getOrganization } = require('../config/organizations');
+
+    const names = new Set(
+        listActiveOrganizations().map(org =>
+            getOrganization(org.slug).storage || config.defaultStorageProvider
+        )
+    );
+
+    for (const name of names) {
+        await initializeProvider(name);
+    }
+
+    return [...names];
+}
+
+module.exports = {
+    getProvider,
+    getStorageProvider,
+    initializeProvider,
+    initialize,
+};
@@ -4,18 +4,32 @@ const path = require('path');
 const GIFEncoder = require('gifencoder');
 const { createCanvas, loadImage } = require('canvas');
 const config = require('../config/config');
-const driveService = require('./driveService');
+const { getStorageProvider } = require('./storageService');
+const { TIMELAPSE_FORMATS, getTimelapseFormat } = require('./storageProvider');
+const { isApproved } = require('./moderationService');
+const { httpError } = require('./errors');
+const { isVideoAvailable, isVideoFormat, encodeVideo } = require('./videoEncoder');
+const { isAlignmentAvailable, alignFrames } = require('./frameAligner');
+const { isNormalizationAvailable, normalizeFrames, renderPreview } = require('./frameNormalizer');
+const { selectFrames } = require('./frameSelector');
+const { getCaptureTime } = require('./captureTimeService');
+const { drawCaption } = require('./captionRenderer');
+const { findOrganization } = require('../config/organizations');
+const {
+    resolveTrailPath, isAlignmentEnabled, getNormalizationMethod, getFrameSelection,
+} = require('../config/trails');
+const jobQueue = require('./jobQueue');
+
+const REGENERATE_JOB = 'regenerate-timelapse';
+const GENERATE_JOB = 'generate-timelapse';
 
 class TimelapseService {
-    constructor() {
-        // Track ongoing regenerations to prevent race conditions
-        this.regenerationLocks = new Map();
-    }
- 
     /**
      * Create timelapse GIF from images with improved error handling
+     * onProgress receives the number of frames encoded so far
+     * captions (from getCaptions) are drawn on each frame when given
      */
-    async createGif(imagePaths, outputPath) {
+    async createGif(imagePaths, outputPath, onProgress = () => {}, captions = null) {
         return new Promise(async (resolve, reject) => {
             try {
                 if (imagePaths.length === 0) {
@@ -64,7 +78,11 @@ class TimelapseService {
                         const image = await loadImage(imagePaths[i]);
                         ctx.clearRect(0, 0, width, height);
                         ctx.drawImage(image, 0, 0, width, height);
+                        if (captions) {
+                            this.drawFrameCaption(ctx, width, height, captions, i, imagePaths.length);
+                        }
                         encoder.addFrame(ctx);
+                        onProgress(i + 1);
 
                         if ((i + 1) % 5 === 0 || i === imagePaths.length - 1) {
                             console.log(`Processed frame ${i + 1}/${imagePaths.length}`);
@@ -87,11 +105,16 @@ class TimelapseService {
 
     /**
      * Generate timelapse from trails for a specific organization
+     * Each trail's photos are picked by the selection, or by its frameSelection default.
+     * A single trail is aligned and normalized like its stored timelapse; frames from
+     * several trails are used as they are since they come from different camera positions
+     * onProgress receives { phase, format, framesTotal, framesDownloaded, framesEncoded }
      */
-    async generateTimeLapse(orgSlug, trailNames) {
+    async generateTimeLapse(orgSlug, trailNames, onProgress = () => {}, format = 'gif', selection = null) {
         // Use absolute path from config (already handles serverless vs local)
         const tempDir = config.tempDir;
         const imageMetadata = []; // Store path with creation time
+        const frameDirs = [];
         let outputPath = null;
 
         try {
@@ -102,62 +125,55 @@ class TimelapseService {
 
             console.log(`Fetching images from ${trailNames.length} trail(s) for organization '${orgSlug}'`);
 
+            // List every trail first so progress has a total
+            const imageFiles = [];
             for (const trailName of trailNames) {
                 try {
-                    const files = await driveService.listFilesInTrail(orgSlug, trailName, 'createdTime');
-
-                    // Filter out the cached timelapse GIF and non-image files
-                    const imageFiles = files.filter(file => 
-                        file.mimeType && 
-                        file.mimeType.startsWith('image/') && 
-                        file.name !== '_timelapse.gif'
+                    const trailImages = selectFrames(
+                        await this.listPhotos(orgSlug, trailName),
+                        selection || getFrameSelection(orgSlug, trailName)
                     );
 
-                    if (imageFiles.length === 0) {
+                    if (trailImages.length === 0) {
                         console.log(`No images found in trail '${trailName}'`);
                         continue;
                     }
 
-                    console.log(`Downloading ${imageFiles.length} images from trail '${trailName}'`);
-
-                    for (const file of imageFiles) {
-                        try {
-                            const destPath = path.join(tempDir, `${orgSlug}_${trailName}_${file.id}.jpg`);
-                            await driveService.downloadFile(file.id, destPath);
-                            
-                            // Store path with creation time for proper sorting
-                            imageMetadata.push({
-                                path: destPath,
-                                createdTime: new Date(file.createdTime).getTime()
-                            });
-                        } catch (err) {
-                            console.error(`Error downloading file ${file.id}:`, err.message);
-                        }
-                    }
+                    imageFiles.push(...trailImages);
                 } catch (err) {
                     console.error(`Error processing trail ${trailName}:`, err.message);
                 }
             }
 
+            console.log(`Downloading ${imageFiles.length} images from ${trailNames.length} trail(s)`);
+            imageMetadata.push(...await this.downloadImages(orgSlug, imageFiles, tempDir, onProgress));
+
             if (imageMetadata.length === 0) {
-                throw new Error('No images found in the specified trails.');
+                throw httpError(404, 'NotFound', 'No images found in the specified trails.');
             }
 
             console.log(`Total images downloaded: ${imageMetadata.length}`);
 
-            // Sort by creation time (oldest to newest for chronological timelapse)
-            imageMetadata.sort((a, b) => a.createdTime - b.createdTime);
+            // Sort by capture time (oldest to newest for chronological timelapse)
+            imageMetadata.sort((a, b) => a.capturedTime - b.capturedTime);
             
             // Extract sorted paths
             const allImages = imageMetadata.map(img => img.path);
 
-            // Create GIF
-            outputPath = path.join(tempDir, `${orgSlug}_timelapse_${Date.now()}.gif`);
-            await this.createGif(allImages, outputPath);
+            let frames = allImages;
+            let images = imageMetadata;
+            if (trailNames.length === 1) {
+                ({ frames, images } = await this.processFrames(orgSlug, trailNames[0], imageMetadata, frameDirs, onProgress));
+            }
+
+            // Create timelapse
+            outputPath = path.join(tempDir, `${orgSlug}_timelapse_${Date.now()}.${format}`);
+            const captions = await this.getCaptions(orgSlug, images);
+            await this.renderTimelapse(frames, outputPath, format, onProgress, captions);
 
             return {
                 path: outputPath,
-                imageCount: allImages.length,
+                imageCount: frames.length,
                 tempFiles: allImages,
             };
         } catch (error) {
@@ -165,29 +181,529 @@ class TimelapseService {
             const allImages = imageMetadata.map(img => img.path);
             this.cleanup(allImages, outputPath);
             throw error;
+        } finally {
+            await this.removeFrameDirs(frameDirs);
+        }
+    }
+
+    /**
+     * List the approved photos of a trail (stored timelapses and other files excluded)
+     * @returns array of file objects, each tagged with its trailPath
+     */
+    async listPhotos(orgSlug, trailName) {
+        const files = await getStorageProvider(orgSlug).listFilesInTrail(orgSlug, trailName, 'createdTime');
+
+        return files
+            .filter(file =>
+                file.mimeType &&
+                file.mimeType.startsWith('image/') &&
+                !getTimelapseFormat(file.name) &&
+                isApproved(file)
+            )
+            .map(file => ({ ...file, trailPath: trailName }));
+    }
+
+    /**
+     * Align and normalize downloaded frames of one trail path as its settings ask
+     * Temp folders of processed frames are added to frameDirs for the caller to remove
+     * @param {Array} imageMetadata - sorted { path, fileId, name } entries
+     * @returns { frames, images, alignment, normalization } - frames are the paths to encode,
+     *   images the imageMetadata entries they were made from
+     */
+    async processFrames(orgSlug, trailName, imageMetadata, frameDirs, onProgress) {
+        let frames = imageMetadata.map(img => img.path);
+        let images = imageMetadata;
+        let alignment = null;
+
+        if (isAlignmentEnabled(orgSlug, trailName)) {
+            if (isAlignmentAvailable()) {
+                const aligned = await this.alignImages(imageMetadata, onProgress);
+                frameDirs.push(aligned.frameDir);
+                ({ imagePaths: frames, report: alignment } = aligned);
+                images = imageMetadata.filter((_, index) => !alignment.frames[index].dropped);
+            } else {
+                console.warn(`Frame alignment is enabled for '${trailName}' but sharp is not installed; skipping`);
+            }
+        }
+
+        const normalization = getNormalizationMethod(orgSlug, trailName);
+        if (normalization) {
+            if (isNormalizationAvailable()) {
+                const normalized = await this.normalizeImages(frames, normalization, onProgress);
+                frameDirs.push(normalized.frameDir);
+                frames = normalized.imagePaths;
+            } else {
+                console.warn(`Frame normalization is enabled for '${trailName}' but sharp is not installed; skipping`);
+            }
+        }
+
+        return { frames, images, alignment, normalization };
+    }
+
+    /**
+     * Remove temp folders of processed frames
+     */
+    async removeFrameDirs(frameDirs) {
+        for (const frameDir of frameDirs) {
+            await fs.rm(frameDir, { recursive: true, force: true });
         }
     }
 
     /**
-     * Generate and store timelapse for a trail (called after photo upload)
-     * Returns true if successful, false otherwise
+     * Download images to the temp dir, skipping any that fail
+     * @returns array of { path, capturedTime, fileId, name, trailPath }
      */
-    async regenerateAndStore(orgSlug, trailName) {
-        const lockKey = `${orgSlug}:${trailName}`;
-        
-        // Check if already regenerating for this trail
-        if (this.regenerationLocks.get(lockKey)) {
-            console.log(`Timelapse regeneration already in progress for '${trailName}', skipping duplicate request`);
-            return false;
+    async downloadImages(orgSlug, files, tempDir, onProgress) {
+        const storage = getStorageProvider(orgSlug);
+        const imageMetadata = [];
+
+        for (const [index, file] of files.entries()) {
+            try {
+                const destPath = path.join(tempDir, `${orgSlug}_${file.id}.jpg`);
+                await storage.downloadFile(file.id, destPath);
+
+                // Store path with capture time for proper sorting
+                imageMetadata.push({
+                    path: destPath,
+                    capturedTime: getCaptureTime(file).getTime(),
+                    fileId: file.id,
+                    name: file.name,
+                    trailPath: file.trailPath,
+                });
+            } catch (err) {
+                console.error(`Error downloading file ${file.id}:`, err.message);
+            }
+
+            onProgress({
+                phase: 'downloading',
+                format: null,
+                framesTotal: files.length,
+                framesDownloaded: index + 1,
+                framesEncoded: 0,
+            });
         }
 
-        // Set lock
-        this.regenerationLocks.set(lockKey, true);
+        return imageMetadata;
+    }
+
+    /**
+     * Align downloaded images of one trail path to its first photo
+     * onProgress receives { phase: 'aligning', framesTotal, framesAligned, ... }
+     * @param {Array} imageMetadata - sorted { path, fileId, name } entries
+     * @returns { frameDir, imagePaths, report } - report lists the confidence of every photo
+     */
+    async alignImages(imageMetadata, onProgress) {
+        const framesTotal = imageMetadata.length;
+        const aligned = await alignFrames(imageMetadata.map(img => img.path), (framesAligned) => onProgress({
+            phase: 'aligning',
+            format: null,
+            framesTotal,
+            framesDownloaded: framesTotal,
+            framesAligned,
+            framesEncoded: 0,
+        }));
+
+        const frames = aligned.frames.map(({ index, ...frame }) => ({
+            fileId: imageMetadata[index].fileId,
+            name: imageMetadata[index].name,
+            ...frame,
+        }));
+
+        const dropped = frames.filter(frame => frame.dropped);
+        if (dropped.length > 0) {
+            console.log(`Dropped ${dropped.length} misaligned photo(s): ${dropped.map(frame => frame.name).join(', ')}`);
+        }
+
+        return {
+            frameDir: aligned.frameDir,
+            imagePaths: aligned.imagePaths,
+            report: {
+                reference: frames[0].fileId,
+                crop: aligned.crop,
+                minConfidence: config.alignmentMinConfidence,
+                maxShiftPercent: config.alignmentMaxShiftPercent,
+                framesKept: frames.length - dropped.length,
+                framesDropped: dropped.length,
+                frames,
+            },
+        };
+    }
+
+    /**
+     * Even out exposure and color of ordered frames
+     * onProgress receives { phase: 'normalizing', framesTotal, framesNormalized, ... }
+     * @returns { frameDir, imagePaths }
+     */
+    normalizeImages(imagePaths, method, onProgress) {
+        const framesTotal = imagePaths.length;
+        return normalizeFrames(imagePaths, method, (framesNormalized) => onProgress({
+            phase: 'normalizing',
+            format: null,
+            framesTotal,
+            framesDownloaded: framesTotal,
+            framesNormalized,
+            framesEncoded: 0,
+        }));
+    }
+
+    /**
+     * Render a before/after preview of frame normalization
+     * Uses the trail's approved photos: the oldest is the histogram reference and
+     * the photo's neighbours set the rolling average
+     * @param {string} fileId - photo to preview (default: the newest)
+     * @returns {Promise<Buffer>} JPEG with the original on the left, normalized on the right
+     * @throws NotFound (404) if the trail has no approved photos or the photo is not one of them
+     */
+    async previewNormalization(orgSlug, trailName, method, fileId = null, width = 400) {
+        const storage = getStorageProvider(orgSlug);
+        const files = selectFrames(await this.listPhotos(orgSlug, trailName), null);
 
+        if (files.length === 0) {
+            throw httpError(404, 'NotFound', `No approved photos in '${trailName}'`);
+        }
+
+        const targetIndex = fileId ? files.findIndex(file => file.id === fileId) : files.length - 1;
+        if (targetIndex === -1) {
+            throw httpError(404, 'NotFound', 'Photo not found');
+        }
+
+        // Only download the photos the method looks at
+        let indexes;
+        if (method === 'histogram') {
+            indexes = [...new Set([0, targetIndex])];
+        } else {
+            const halfWindow = Math.floor(config.normalizationWindow / 2);
+            const first = Math.max(0, targetIndex - halfWindow);
+            const last = Math.min(files.length - 1, targetIndex + halfWindow);
+            indexes = Array.from({ length: last - first + 1 }, (_, i) => first + i);
+        }
+
+        const buffers = [];
+        for (const index of indexes) {
+            buffers.push(await storage.getFileBuffer(files[index].id));
+        }
+
+        return renderPreview(buffers, indexes.indexOf(targetIndex), method, width);
+    }
+
+    /**
+     * Get the alignment report of the last completed regeneration of a trail
+     * @returns report object or null
+     */
+    getAlignmentReport(orgSlug, trailName) {
+        const job = jobQueue.listJobs({ orgSlug, trailPath: trailName, type: REGENERATE_JOB, status: 'completed' })
+            .find(job => job.result?.alignment);
+        return job ? { ...job.result.alignment, jobId: job.id, generatedAt: job.finishedAt } : null;
+    }
+
+    /**
+     * Encode ordered images into a timelapse file
+     * GIFs are drawn with gifencoder, other formats are encoded with ffmpeg
+     * captions (from getCaptions) are drawn on every frame when given
+     */
+    async renderTimelapse(imagePaths, outputPath, format, onProgress, captions = null) {
+        const reportFrame = this.encodingProgress(imagePaths.length, format, onProgress);
+
+        if (!isVideoFormat(format)) {
+            return this.createGif(imagePaths, outputPath, reportFrame, captions);
+        }
+
+        if (!captions) {
+            return encodeVideo(imagePaths, outputPath, format, reportFrame);
+        }
+
+        const captioned = await this.captionFrames(imagePaths, captions);
+        try {
+            return await encodeVideo(captioned.imagePaths, outputPath, format, reportFrame);
+        } finally {
+            await fs.rm(captioned.frameDir, { recursive: true, force: true });
+        }
+    }
+
+    /**
+     * Build the frame captions of an organization's timelapse
+     * @param {Array} images - { capturedTime, trailPath } of each frame, in order
+     * @returns { settings, logo, frames } or null when the organization has no captions
+     */
+    async getCaptions(orgSlug, images) {
+        const org = findOrganization(orgSlug);
+        const settings = org?.captions;
+
+        if (!settings) {
+            return null;
+        }
+
+        let logo = null;
+        if (settings.fields.includes('logo')) {
+            try {
+                logo = await loadImage(settings.logoUrl);
+            } catch (err) {
+                console.error(`Error loading caption logo for '${orgSlug}':`, err.message);
+                // Continue without the logo
+            }
+        }
+
+        // Stations are captioned "Trail Name - Station Name"
+        const trailNames = new Map();
+        const getTrailName = (trailPath) => {
+            if (!trailNames.has(trailPath)) {
+                const resolved = resolveTrailPath(orgSlug, trailPath);
+                trailNames.set(trailPath, resolved
+                    ? [resolved.trail.name, resolved.station?.name].filter(Boolean).join(' - ')
+                    : trailPath);
+            }
+            return trailNames.get(trailPath);
+        };
+
+        return {
+            settings,
+            logo,
+            frames: images.map(image => ({
+                time: image.capturedTime,
+                trailName: getTrailName(image.trailPath),
+                organizationName: org.name,
+            })),
+        };
+    }
+
+    /**
+     * Draw the caption of frame index on a canvas
+     */
+    drawFrameCaption(ctx, width, height, captions, index, total) {
+        drawCaption(ctx, width, height, { ...captions.frames[index], index, total }, captions.settings, captions.logo);
+    }
+
+    /**
+     * Draw captions on frames for video encoding and write them to a temp folder
+     * The caller removes frameDir when done.
+     * @returns { frameDir, imagePaths }
+     */
+    async captionFrames(imagePaths, captions) {
+        const firstImage = await loadImage(imagePaths[0]);
+        const width = Math.min(firstImage.width, config.timelapseMaxWidth || 800);
+        const height = Math.round((firstImage.height / firstImage.width) * width);
+        const canvas = createCanvas(width, height);
+        const ctx = canvas.getContext('2d');
+
+        const frameDir = await fs.mkdtemp(path.join(config.tempDir, 'captioned-'));
+        const captionedPaths = [];
+
+        for (const [index, imagePath] of imagePaths.entries()) {
+            try {
+                const image = await loadImage(imagePath);
+                ctx.clearRect(0, 0, width, height);
+                ctx.drawImage(image, 0, 0, width, height);
+                this.drawFrameCaption(ctx, width, height, captions, index, imagePaths.length);
+
+                const framePath = path.join(frameDir, `frame_${String(index).padStart(5, '0')}.png`);
+                await fs.writeFile(framePath, canvas.toBuffer('image/png'));
+                captionedPaths.push(framePath);
+            } catch (err) {
+                console.error(`Error captioning image ${imagePath}:`, err.message);
+                // Continue with other images
+            }
+        }
+
+        return { frameDir, imagePaths: captionedPaths };
+    }
+
+    /**
+     * Adapt a progress callback to the frame counter of the encoders
+     */
+    encodingProgress(framesTotal, format, onProgress) {
+        return (framesEncoded) => onProgress({
+            phase: 'encoding',
+            format,
+            framesTotal,
+            framesDownloaded: framesTotal,
+            framesEncoded,
+        });
+    }
+
+    /**
+     * Check if a timelapse format can be produced on this server
+     * @returns boolean
+     */
+    isFormatAvailable(format) {
+        return format === 'gif' || (Boolean(TIMELAPSE_FORMATS[format]) && isVideoAvailable());
+    }
+
+    /**
+     * Get the formats currently stored for a trail
+     * @returns array of format keys
+     */
+    async getStoredFormats(orgSlug, trailName) {
+        const storage = getStorageProvider(orgSlug);
+        const formats = [];
+
+        for (const format of Object.keys(TIMELAPSE_FORMATS)) {
+            if (await storage.getTimelapseFile(orgSlug, trailName, format)) {
+                formats.push(format);
+            }
+        }
+        return formats;
+    }
+
+    /**
+     * Delete the stored timelapses of a trail (all formats) so stale frames are not served
+     * Returns the number of files deleted
+     */
+    async deleteStoredTimelapse(orgSlug, trailName) {
+        const storage = getStorageProvider(orgSlug);
+        let deletedCount = 0;
+
+        for (const format of Object.keys(TIMELAPSE_FORMATS)) {
+            const existingFiles = await storage.getAllTimelapseFiles(orgSlug, trailName, format);
+
+            if (existingFiles.length > 0) {
+                console.log(`Deleting ${existingFiles.length} old ${format} timelapse(s)`);
+            }
+
+            for (const file of existingFiles) {
+                try {
+                    await storage.deleteFile(file.id);
+                    deletedCount++;
+                    console.log(`Deleted timelapse: ${file.id}`);
+                } catch (err) {
+                    console.error(`Failed to delete timelapse ${file.id}:`, err.message);
+                }
+            }
+        }
+
+        return deletedCount;
+    }
+
+    /**
+     * Queue a regeneration of a trail's stored timelapse (called after photo changes)
+     * Requests for the same trail within JOB_DEBOUNCE_MS are combined into one run
+     * @returns job object
+     */
+    enqueueRegeneration(orgSlug, trailName) {
+        return jobQueue.enqueue(REGENERATE_JOB, {
+            orgSlug,
+            trailPath: trailName,
+            coalesceKey: `${REGENERATE_JOB}:${orgSlug}:${trailName}`,
+            delayMs: config.jobDebounceMs,
+        });
+    }
+
+    /**
+     * Queue a timelapse of one or more trails (POST /api/:orgName/generate-timelapse)
+     * Identical requests share a job while it is waiting
+     * Like the request, the job and its result are for the organization's stewards
+     * @param {Object} selection - parsed frame selection, or null for the trails' defaults
+     * @returns job object
+     */
+    enqueueGeneration(orgSlug, trailPaths, format = 'gif', selection = null) {
+        return jobQueue.enqueue(GENERATE_JOB, {
+            orgSlug,
+            trailPath: trailPaths.length === 1 ? trailPaths[0] : null,
+            requiredRole: 'steward',
+            payload: { trailPaths, format, selection },
+            coalesceKey: `${GENERATE_JOB}:${orgSlug}:${format}:${[...trailPaths].sort().join(',')}:${JSON.stringify(selection)}`,
+        });
+    }
+
+    /**
+     * Run a generation job
+     * A single trail without a selection serves (or first creates) its stored timelapse;
+     * several trails, or a selection, make a file in JOB_RESULTS_DIR that is kept until
+     * the job is removed
+     * @returns { trailPaths, format, stored, filePath, imageCount }
+     * @throws NotFound (404) if the trails have no approved images
+     */
+    async runGeneration(job, onProgress) {
+        const { orgSlug, id } = job;
+        const { trailPaths, format = 'gif', selection = null } = job.payload;
+
+        if (trailPaths.length === 1 && !selection) {
+            const [trailPath] = trailPaths;
+            const storedFile = await getStorageProvider(orgSlug).getTimelapseFile(orgSlug, trailPath, format);
+
+            if (storedFile) {
+                console.log(`Found cached ${format} timelapse for trail '${trailPath}'`);
+            } else if (!await this.regenerateAndStore(orgSlug, trailPath, onProgress, [format])) {
+                throw httpError(404, 'NotFound', 'No images found in the specified trails.');
+            }
+
+            return { trailPaths, format, stored: true, filePath: null, imageCount: null };
+        }
+
+        const result = await this.generateTimeLapse(orgSlug, trailPaths, onProgress, format, selection);
+
+        try {
+            const filePath = path.join(config.jobResultsDir, `${id}.${format}`);
+            await fs.mkdir(config.jobResultsDir, { recursive: true });
+            await fs.copyFile(result.path, filePath);
+            return { trailPaths, format, stored: false, filePath, imageCount: result.imageCount };
+        } finally {
+            this.cleanup(result.tempFiles, result.path);
+        }
+    }
+
+    /**
+     * Read the timelapse a generation produced
+     * @param {Object} result - result of runGeneration
+     * @returns {Promise<Buffer>} the timelapse, or null if it is no longer available
+     */
+    async readGenerationResult(orgSlug, result) {
+        if (result.filePath) {
+            // Multi-trail timelapses are kept on disk until the job is removed
+            return fsSync.existsSync(result.filePath) ? fs.readFile(result.filePath) : null;
+        }
+
+        // A single trail's timelapse is its stored file
+        const storage = getStorageProvider(orgSlug);
+        const stored = await storage.getTimelapseFile(orgSlug, result.trailPaths[0], result.format || 'gif');
+        return stored ? storage.getFileBuffer(stored.id) : null;
+    }
+
+    /**
+     * Generate a timelapse within the request, for servers that cannot run background jobs
+     * @returns {Promise<Buffer>} the timelapse, or null if it is no longer available
+     * @throws NotFound (404) if the trails have no approved images
+     */
+    async generateNow(orgSlug, trailPaths, format = 'gif', selection = null) {
+        const job = { id: `now-${Date.now()}`, orgSlug, payload: { trailPaths, format, selection } };
+        const result = await this.runGeneration(job, () => {});
+
+        try {
+            return await this.readGenerationResult(orgSlug, result);
+        } finally {
+            if (result.filePath) {
+                await fs.rm(result.filePath, { force: true });
+            }
+        }
+    }
+
+    /**
+     * Get the regeneration jobs of a trail, newest first
+     * @returns { updating: boolean, jobs: [...] }
+     */
+    getRegenerationStatus(orgSlug, trailName) {
+        const jobs = jobQueue.listJobs({ orgSlug, trailPath: trailName, type: REGENERATE_JOB });
+        return {
+            updating: jobs.some(job => jobQueue.isActive(job)),
+            jobs,
+        };
+    }
+
+    /**
+     * Generate and store timelapse for a trail (run by the job queue)
+     * Refreshes TIMELAPSE_FORMATS, every format already stored and extraFormats
+     * Frames are aligned first when the trail (or station) has alignFrames enabled,
+     * then normalized when it has a normalizeFrames method, and captioned when the
+     * organization has captions
+     * Returns { imageCount, alignment, normalization } if timelapses were stored, false if the trail has no approved images
+     * onProgress receives { phase, format, framesTotal, framesDownloaded, framesAligned, framesNormalized, framesEncoded }
+     * @throws error on failure so the job can be retried
+     */
+    async regenerateAndStore(orgSlug, trailName, onProgress = () => {}, extraFormats = []) {
         // Use absolute path from config (already handles serverless vs local)
         const tempDir = config.tempDir;
         const imageMetadata = [];
         let outputPath = null;
+        const frameDirs = [];
 
         try {
             // Create temp dir if needed
@@ -195,32 +711,34 @@ class TimelapseService {
                 fsSync.mkdirSync(tempDir, { recursive: true });
             }
 
-            console.log(`Regenerating timelapse for trail '${trailName}' in organization '${orgSlug}'`);
-
-            // Step 1: Delete ALL old GIFs if they exist (handle duplicates)
-            const existingGifs = await driveService.getAllTimelapseGifs(orgSlug, trailName);
-            if (existingGifs.length > 0) {
-                console.log(`Deleting ${existingGifs.length} old timelapse GIF(s)`);
-                for (const gif of existingGifs) {
-                    try {
-                        await driveService.deleteFile(gif.id);
-                        console.log(`Deleted GIF: ${gif.id}`);
-                    } catch (err) {
-                        console.error(`Failed to delete GIF ${gif.id}:`, err.message);
-                    }
+            const storage = getStorageProvider(orgSlug);
+
+            const requestedFormats = new Set([
+                ...config.timelapseFormats,
+                ...await this.getStoredFormats(orgSlug, trailName),
+                ...extraFormats,
+            ]);
+            const formats = [...requestedFormats].filter(format => {
+                if (!this.isFormatAvailable(format)) {
+                    console.warn(`Skipping unavailable timelapse format '${format}'`);
+                    return false;
                 }
-                // Wait a moment for Drive API to propagate deletions
+                return true;
+            });
+
+            console.log(`Regenerating timelapse (${formats.join(', ')}) for trail '${trailName}' in organization '${orgSlug}'`);
+
+            // Step 1: Delete ALL old timelapses if they exist (handle duplicates)
+            const deletedCount = await this.deleteStoredTimelapse(orgSlug, trailName);
+            if (deletedCount > 0) {
+                // Wait a moment for the storage backend to propagate deletions
                 await new Promise(resolve => setTimeout(resolve, 1000));
             }
 
-            // Step 2: Get all image files from the trail
-            const files = await driveService.listFilesInTrail(orgSlug, trailName, 'createdTime');
-
-            // Filter to only include image files (GIF should already be deleted, but filter just in case)
-            const imageFiles = files.filter(file => 
-                file.mimeType && 
-                file.mimeType.startsWith('image/') && 
-                file.name !== '_timelapse.gif'
+            // Step 2: Get the approved photos picked by the trail's frame selection
+            const imageFiles = selectFrames(
+                await this.listPhotos(orgSlug, trailName),
+                getFrameSelection(orgSlug, trailName)
             );
 
             if (imageFiles.length === 0) {
@@ -231,41 +749,35 @@ class TimelapseService {
             console.log(`Downloading ${imageFiles.length} images from trail '${trailName}'`);
 
             // Download all images
-            for (const file of imageFiles) {
-                try {
-                    const destPath = path.join(tempDir, `${orgSlug}_${trailName}_${file.id}.jpg`);
-                    await driveService.downloadFile(file.id, destPath);
-                    
-                    imageMetadata.push({
-                        path: destPath,
-                        createdTime: new Date(file.createdTime).getTime()
-                    });
-                } catch (err) {
-                    console.error(`Error downloading file ${file.id}:`, err.message);
-                }
-            }
+            imageMetadata.push(...await this.downloadImages(orgSlug, imageFiles, tempDir, onProgress));
 
             if (imageMetadata.length === 0) {
-                console.log('No images successfully downloaded, skipping timelapse generation');
-                return false;
+                throw new Error('No images could be downloaded');
             }
 
-            // Step 3: Sort by creation time and generate new GIF
-            imageMetadata.sort((a, b) => a.createdTime - b.createdTime);
+            // Step 3: Sort by capture time; every format uses the same frame order
+            imageMetadata.sort((a, b) => a.capturedTime - b.capturedTime);
             const allImages = imageMetadata.map(img => img.path);
+            const { frames, images, alignment, normalization } =
+                await this.processFrames(orgSlug, trailName, imageMetadata, frameDirs, onProgress);
+            const captions = await this.getCaptions(orgSlug, images);
+
+            for (const format of formats) {
+                outputPath = path.join(tempDir, `${orgSlug}_${storage.sanitizeName(trailName)}_timelapse.${format}`);
+                await this.renderTimelapse(frames, outputPath, format, onProgress, captions);
+
+                // Step 4: Upload new timelapse to storage
+                await storage.uploadTimelapseFile(orgSlug, trailName, outputPath, format);
+                this.cleanup([], outputPath);
+                outputPath = null;
+            }
 
-            outputPath = path.join(tempDir, `${orgSlug}_${trailName}_timelapse.gif`);
-            await this.createGif(allImages, outputPath);
-
-            // Step 4: Upload new GIF to Google Drive
-            await driveService.uploadTimelapseGif(orgSlug, trailName, outputPath);
-
-            console.log(`Timelapse GIF successfully generated and stored for trail '${trailName}'`);
+            console.log(`Timelapse successfully generated and stored for trail '${trailName}'`);
 
             // Cleanup temp files
             this.cleanup(allImages, outputPath);
 
-            return true;
+            return { imageCount: frames.length, alignment, normalization };
         } catch (error) {
             console.error(`Error regenerating timelapse for trail '${trailName}':`, error.message);
             
@@ -273,10 +785,9 @@ class TimelapseService {
             const allImages = imageMetadata.map(img => img.path);
             this.cleanup(allImages, outputPath);
             
-            return false;
+            throw error;
         } finally {
-            // Release lock
-            this.regenerationLocks.delete(lockKey);
+            await this.removeFrameDirs(frameDirs);
         }
     }
 
@@ -308,4 +819,20 @@ class TimelapseService {
     }
 }
 
-module.exports = new TimelapseService();
+const timelapseService = new TimelapseService();
+
+jobQueue.registerHandler(REGENERATE_JOB, async (job, reportProgress) => {
+    const result = await timelapseService.regenerateAndStore(job.orgSlug, job.trailPath, reportProgress);
+    return {
+        generated: result !== false,
+        imageCount: result ? result.imageCount : 0,
+        alignment: result ? result.alignment : null,
+        normalization: result ? result.normalization : null,
+    };
+});
+
+jobQueue.registerHandler(GENERATE_JOB, (job, reportProgress) =>
+    timelapseService.runGeneration(job, reportProgress)
+);
+
+module.exports = timelapseService;
@@ -0,0 +1,198 @@
+const config = require('../config/config');
+const { listActiveOrganizations } = require('../config/organizations');
+const { listTrails, listStations } = require('../config/trails');
+const { getStorageProvider } = require('./storageService');
+const { TRASH_FOLDER_NAME } = require('./storageProvider');
+const { MAX_REASON_BYTES, getActorId } = require('./moderationService');
+const { httpError, validationError } = require('./errors');
+const { removeRenditions } = require('./renditionCache');
+const jobQueue = require('./jobQueue');
+
+/**
+ * Photo trash
+ * Deleted photos move to a _trash folder inside their trail path and can be
+ * restored until TRASH_RETENTION_DAYS have passed. Expired photos are removed
+ * for good by a daily purge job on the job queue (services/jobQueue.js) that
+ * goes through every trail path of the active organizations.
+ *
+ * appProperties of a deleted photo:
+ *   deletedAt: ISO timestamp
+ *   deletedBy: API key ID (or role) of the steward
+ *   deletionReason: why it was removed
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PURGE_JOB = 'purge-trash';
+
+/**
+ * Get the trash folder of a trail path
+ * @returns trail path of the trash folder
+ */
+function getTrashPath(trailPath) {
+    return `${trailPath}/${TRASH_FOLDER_NAME}`;
+}
+
+/**
+ * Get the time a deleted photo is removed for good
+ * Photos without deletedAt (interrupted delete) expire from their modified time
+ * @returns Date
+ */
+function getExpiry(file) {
+    const deletedAt = Date.parse(file.appProperties?.deletedAt || file.modifiedTime || file.createdTime);
+    return new Date(deletedAt + config.trashRetentionDays * DAY_MS);
+}
+
+/**
+ * Add trash fields to a file object for API responses
+ */
+function withTrashInfo(file) {
+    const { deletedAt, deletedBy, deletionReason } = file.appProperties || {};
+    return {
+        ...file,
+        deletedAt: deletedAt || null,
+        deletedBy: deletedBy || null,
+        deletionReason: deletionReason || null,
+        expiresAt: getExpiry(file).toISOString(),
+    };
+}
+
+/**
+ * Move a photo to the trash of its trail path
+ * @returns trashed file object
+ * @throws ValidationError (400) if the reason is missing or too long
+ */
+async function trashPhoto(storage, orgSlug, trailPath, file, auth, reason) {
+    const trimmedReason = typeof reason === 'string' ? reason.trim() : '';
+
+    if (!trimmedReason) {
+        throw validationError('reason is required when deleting a photo');
+    }
+
+    if (Buffer.byteLength(trimmedReason) > MAX_REASON_BYTES) {
+        throw validationError(`reason must be at most ${MAX_REASON_BYTES} bytes`);
+    }
+
+    const moved = await storage.moveFile(file.id, orgSlug, getTrashPath(trailPath));
+    const trashed = await storage.updateFileProperties(moved.id, {
+        deletedAt: new Date().toISOString(),
+        deletedBy: getActorId(auth),
+        deletionReason: trimmedReason,
+    });
+    await removeRenditions(orgSlug, file.id);
+
+    console.log(`Photo ${file.name} in '${trailPath}' moved to trash by ${getActorId(auth)}: ${trimmedReason}`);
+    return trashed;
+}
+
+/**
+ * List the trash of a trail path
+ * Photos past the retention period are left out (the purge job deletes them)
+ * @returns array of trashed file objects
+ */
+async function listTrash(storage, orgSlug, trailPath) {
+    const files = await storage.listFilesInTrail(orgSlug, getTrashPath(trailPath), 'createdTime');
+    const now = Date.now();
+    return files.filter(file => getExpiry(file).getTime() > now);
+}
+
+/**
+ * Permanently delete the photos past the retention period in the trash of a trail path
+ * @returns {Promise<number>} number of photos deleted
+ */
+async function purgeTrash(storage, orgSlug, trailPath) {
+    const files = await storage.listFilesInTrail(orgSlug, getTrashPath(trailPath), 'createdTime');
+    const now = Date.now();
+    let deleted = 0;
+
+    for (const file of files) {
+        if (getExpiry(file).getTime() <= now) {
+            console.log(`Trash retention expired, deleting ${file.name} from '${trailPath}'`);
+            await storage.deleteFile(file.id);
+            deleted++;
+        }
+    }
+
+    return deleted;
+}
+
+/**
+ * Purge the trash of every trail and station of the active organizations
+ * A trail path that fails is logged and left for the next run
+ * @returns {Promise<Object>} { deleted, failed }
+ */
+async function purgeAllTrash() {
+    let deleted = 0;
+    let failed = 0;
+
+    for (const { slug: orgSlug } of listActiveOrganizations()) {
+        const trailPaths = listTrails(orgSlug).flatMap(trail => [
+            trail.slug,
+            ...listStations(orgSlug, trail.slug).map(station => `${trail.slug}/${station.id}`),
+        ]);
+
+        for (const trailPath of trailPaths) {
+            try {
+                deleted += await purgeTrash(getStorageProvider(orgSlug), orgSlug, trailPath);
+            } catch (err) {
+                console.error(`Error purging the trash of '${trailPath}' in '${orgSlug}':`, err.message);
+                failed++;
+            }
+        }
+    }
+
+    return { deleted, failed };
+}
+
+/**
+ * Queue the trash purge, unless one is already waiting
+ * @param {number} delayMs - time until it runs
+ * @returns job object
+ */
+function schedulePurge(delayMs = 0) {
+    return jobQueue.enqueue(PURGE_JOB, {
+        orgSlug: null,
+        requiredRole: 'super_admin',
+        coalesceKey: PURGE_JOB,
+        delayMs,
+    });
+}
+
+/**
+ * Move a photo from the trash back into its trail path
+ * @returns restored file object
+ * @throws Gone (410) if the retention period has passed
+ */
+async function restorePhoto(storage, orgSlug, trailPath, file) {
+    if (getExpiry(file).getTime() <= Date.now()) {
+        throw httpError(410, 'Gone', `Photo '${file.name}' was deleted more than ${config.trashRetentionDays} days ago`);
+    }
+
+    const moved = await storage.moveFile(file.id, orgSlug, trailPath);
+    const restored = await storage.updateFileProperties(moved.id, {
+        deletedAt: null,
+        deletedBy: null,
+        deletionReason: null,
+    });
+
+    console.log(`Photo ${file.name} restored to '${trailPath}'`);
+    return restored;
+}
+
+// Each run queues the next one, a day later
+jobQueue.registerHandler(PURGE_JOB, async () => {
+    try {
+        return await purgeAllTrash();
+    } finally {
+        schedulePurge(DAY_MS);
+    }
+});
+
+module.exports = {
+    getTrashPath,
+    withTrashInfo,
+    trashPhoto,
+    listTrash,
+    restorePhoto,
+    schedulePurge,
+};
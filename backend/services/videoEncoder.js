@@ -0,0 +1,155 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { spawn, spawnSync } = require('child_process');
+const config = require('../config/config');
+
+// Sharp is optional - used to prepare video frames
+let sharp;
+try {
+    sharp = require('sharp');
+} catch (err) {
+    sharp = null;
+}
+
+/**
+ * Video timelapse encoding
+ * Frames are resized to the size of the first image (capped at TIMELAPSE_MAX_WIDTH)
+ * and encoded by ffmpeg at one frame per TIMELAPSE_FRAME_DELAY_MS, in the same
+ * order as the GIF.
+ *
+ * ffmpeg is taken from FFMPEG_PATH or the PATH. Without ffmpeg (or sharp)
+ * only GIF timelapses are available.
+ */
+
+const VIDEO_FORMATS = ['mp4', 'webm', 'webp'];
+
+const CODEC_ARGS = {
+    mp4: ['-c:v', 'libx264', '-pix_fmt', 'yuv420p', '-crf', '20', '-movflags', '+faststart'],
+    webm: ['-c:v', 'libvpx-vp9', '-pix_fmt', 'yuv420p', '-crf', '32', '-b:v', '0'],
+    webp: ['-c:v', 'libwebp', '-quality', '80', '-loop', '0'],
+};
+
+let ffmpegAvailable = null;
+
+/**
+ * Get the ffmpeg executable
+ * @returns string
+ */
+function getFfmpegPath() {
+    return config.ffmpegPath || 'ffmpeg';
+}
+
+/**
+ * Check if video formats can be encoded (checked once per process)
+ * @returns boolean
+ */
+function isVideoAvailable() {
+    if (ffmpegAvailable === null) {
+        const result = spawnSync(getFfmpegPath(), ['-version'], { stdio: 'ignore' });
+        ffmpegAvailable = result.status === 0;
+
+        if (!ffmpegAvailable) {
+            console.warn('ffmpeg not available - video timelapses are disabled');
+        }
+    }
+    return ffmpegAvailable && sharp !== null;
+}
+
+/**
+ * Check if a timelapse format is encoded as video
+ * @returns boolean
+ */
+function isVideoFormat(format) {
+    return VIDEO_FORMATS.includes(format);
+}
+
+/**
+ * Run ffmpeg
+ * @returns {Promise<void>} rejects with ffmpeg's error output on failure
+ */
+function runFfmpeg(args) {
+    return new Promise((resolve, reject) => {
+        const ffmpeg = spawn(getFfmpegPath(), args, { stdio: ['ignore', 'ignore', 'pipe'] });
+        let stderr = '';
+
+        ffmpeg.stderr.on('data', chunk => {
+            stderr = (stderr + chunk).slice(-2000);
+        });
+        ffmpeg.on('error', reject);
+        ffmpeg.on('close', code => {
+            if (code === 0) {
+                resolve();
+            } else {
+                reject(new Error(`ffmpeg exited with code ${code}: ${stderr.trim().split('\n').pop()}`));
+            }
+        });
+    });
+}
+
+/**
+ * Encode images into a video timelapse
+ * @param {string} format - 'mp4' | 'webm' | 'webp'
+ * @param {Function} onProgress - receives the number of frames prepared so far
+ * @returns {Promise<string>} outputPath
+ */
+async function encodeVideo(imagePaths, outputPath, format, onProgress = () => {}) {
+    if (!isVideoAvailable()) {
+        throw new Error('Video timelapses require ffmpeg and sharp on the server');
+    }
+
+    if (imagePaths.length === 0) {
+        throw new Error('No images provided for timelapse creation.');
+    }
+
+    const frameDir = await fs.mkdtemp(path.join(config.tempDir, 'frames-'));
+
+    try {
+        // yuv420p needs even dimensions
+        const firstImage = await sharp(imagePaths[0]).metadata();
+        const width = Math.floor(Math.min(firstImage.width, config.timelapseMaxWidth) / 2) * 2;
+        const height = Math.floor(Math.round((firstImage.height / firstImage.width) * width) / 2) * 2;
+
+        console.log(`Creating ${format} timelapse with ${imagePaths.length} images (${width} x ${height})...`);
+
+        let frameCount = 0;
+        for (let i = 0; i < imagePaths.length; i++) {
+            try {
+                const framePath = path.join(frameDir, `frame_${String(frameCount).padStart(5, '0')}.png`);
+                await sharp(imagePaths[i])
+                    .resize(width, height, { fit: 'fill' })
+                    .png({ compressionLevel: 1 })
+                    .toFile(framePath);
+                frameCount++;
+            } catch (err) {
+                console.error(`Error loading image ${imagePaths[i]}:`, err.message);
+                // Continue with other images
+            }
+            onProgress(i + 1);
+        }
+
+        if (frameCount === 0) {
+            throw new Error('No images could be read for timelapse creation.');
+        }
+
+        await runFfmpeg([
+            '-y',
+            '-loglevel', 'error',
+            '-framerate', String(1000 / config.timelapseFrameDelayMs),
+            '-i', path.join(frameDir, 'frame_%05d.png'),
+            ...CODEC_ARGS[format],
+            outputPath,
+        ]);
+
+        console.log(`Timelapse ${format} created successfully at:`, outputPath);
+        return outputPath;
+    } finally {
+        await fs.rm(frameDir, { recursive: true, force: true });
+    }
+}
+
+module.exports = {
+    VIDEO_FORMATS,
+    isVideoAvailable,
+    isVideoFormat,
+    encodeVideo,
+};
@@ -2,19 +2,36 @@ import { useState, useRef } from 'react';
 import { processImageMetadata } from '../services/imageProcessor';
 import { uploadPhoto } from '../services/api';
 import { Upload } from 'lucide-react';
+import ObservationFields from './ObservationFields';
 import '../styles/components/FileUpload.css';
 
-function FileUpload({ orgName, trailName, onUploadStart, onUploadSuccess, onUploadError }) {
+//accepted photo types by extension (HEIC, HEIF and AVIF are converted by the server)
+const ACCEPTED_TYPES = {
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.webp': 'image/webp',
+    '.heic': 'image/heic',
+    '.heif': 'image/heif',
+    '.avif': 'image/avif',
+};
+
+function FileUpload({ orgName, trailName, stationId, observationTags, onUploadStart, onUploadSuccess, onUploadError }) {
     const [selectedFile, setSelectedFile] = useState(null);
     const [previewUrl, setPreviewUrl] = useState(null);
+    const [previewFailed, setPreviewFailed] = useState(false);
+    const [note, setNote] = useState('');
+    const [selectedTags, setSelectedTags] = useState([]);
     const [isDragging, setIsDragging] = useState(false);
     const fileInputRef = useRef(null);
 
   //handle file selection
     const handleFileSelect = (file) => {
-        //validate file type
-        if (!file.type.startsWith('image/')) {
-            alert('Please select a valid image file.');
+        //validate file type, by extension when the browser does not know it (HEIC outside Safari)
+        const extension = file.name.slice(file.name.lastIndexOf('.')).toLowerCase();
+        const type = Object.values(ACCEPTED_TYPES).includes(file.type) ? file.type : ACCEPTED_TYPES[extension];
+        if (!type) {
+            alert('Please select a JPEG, PNG, WebP, HEIC or AVIF image.');
             return;
         }
 
@@ -25,7 +42,9 @@ function FileUpload({ orgName, trailName, onUploadStart, onUploadSuccess, onUplo
             return;
         }
 
-        setSelectedFile(file);
+        //the server checks the type it is sent
+        setSelectedFile(type === file.type ? file : new File([file], file.name, { type }));
+        setPreviewFailed(false);
 
         //create preview URL
         const url = URL.createObjectURL(file);
@@ -64,6 +83,9 @@ function FileUpload({ orgName, trailName, onUploadStart, onUploadSuccess, onUplo
     //clear selected file
     const clearSelection = () => {
         setSelectedFile(null);
+        setPreviewFailed(false);
+        setNote('');
+        setSelectedTags([]);
         if (previewUrl) {
             URL.revokeObjectURL(previewUrl);
             setPreviewUrl(null);
@@ -85,20 +107,22 @@ function FileUpload({ orgName, trailName, onUploadStart, onUploadSuccess, onUplo
                 selectedFile,
                 trailName
             );
+            processedImage.metadata = { ...processedImage.metadata, note, tags: selectedTags };
 
             //upload to backend with correct parameter order
-            // uploadPhoto(processedImage, orgName, trailName, onRetry)
-            await uploadPhoto(
+            // uploadPhoto(processedImage, orgName, trailName, onRetry, stationId)
+            const result = await uploadPhoto(
                 processedImage,
                 orgName,        // Organization name
                 trailName,      // Trail name
                 (errorMsg, retryCount) => {  // onRetry callback
                     console.log(`Retry attempt ${retryCount}: ${errorMsg}`);
                     // You can add UI feedback here if needed
-                }
+                },
+                stationId       // Photo station (optional)
             );
 
-            onUploadSuccess();
+            onUploadSuccess(result);
 
             //clean up
             clearSelection();
@@ -141,24 +165,39 @@ function FileUpload({ orgName, trailName, onUploadStart, onUploadSuccess, onUplo
             <input
               ref={fileInputRef}
               type="file"
-              accept="image/*"
+              accept="image/*,.heic,.heif,.avif"
               onChange={handleInputChange}
               style={{ display: 'none' }}
             />
             <div className="upload-requirements">
-              Accepted: JPEG, PNG &nbsp;|&nbsp; Max: 10MB
+              Accepted: JPEG, PNG, WebP, HEIC, AVIF &nbsp;|&nbsp; Max: 10MB
             </div>
           </div>
         </>
       ) : (
         <div className="file-preview">
           <div className="preview-container">
-            <img
-              src={previewUrl}
-              alt="Selected file preview"
-              className="preview-image"
-            />
+            {previewFailed ? (
+              <div className="file-info">
+                <p className="file-name">{selectedFile.name}</p>
+                <p className="file-size">This browser cannot preview the photo; it is converted when uploaded</p>
+              </div>
+            ) : (
+              <img
+                src={previewUrl}
+                alt="Selected file preview"
+                className="preview-image"
+                onError={() => setPreviewFailed(true)}
+              />
+            )}
           </div>
+          <ObservationFields
+            tags={observationTags}
+            note={note}
+            selectedTags={selectedTags}
+            onNoteChange={setNote}
+            onTagsChange={setSelectedTags}
+          />
           <div className="preview-controls">
             <button className="btn btn-secondary" onClick={clearSelection}>
               Remove
@@ -18,7 +18,7 @@ const ImageModal = ({
                 
                 <div className="image-modal-image-container">
                     <img 
-                        src={getThumbnailUrl(image.id, 1200)} 
+                        src={getThumbnailUrl(image.id, 1600)} 
                         alt={image.name}
                         className="image-modal-image"
                     />
@@ -26,7 +26,22 @@ const ImageModal = ({
                 
                 <div className="image-modal-info">
                     <h3 className="image-modal-title">{formatFileName(image.name)}</h3>
-                    <p className="image-modal-date">{formatDate(image.createdTime)}</p>
+                    <p className="image-modal-date">{formatDate(image.capturedAt || image.createdTime)}</p>
+                    {image.flagged && (
+                        <p className="image-modal-flag">
+                            Taken {image.geofence?.distance != null ? `${image.geofence.distance} m ` : ''}away from the photo station
+                        </p>
+                    )}
+                    {image.metadata?.tags?.length > 0 && (
+                        <div className="image-modal-tags">
+                            {image.metadata.tags.map(tag => (
+                                <span key={tag} className="image-modal-tag">{tag}</span>
+                            ))}
+                        </div>
+                    )}
+                    {image.metadata?.note && (
+                        <p className="image-modal-note">{image.metadata.note}</p>
+                    )}
                 </div>
             </div>
         </div>
@@ -2,11 +2,14 @@ import { useState, useRef } from 'react';
 import { processImageMetadata } from '../services/imageProcessor';
 import { uploadPhoto } from '../services/api';
 import { Camera } from 'lucide-react';
+import ObservationFields from './ObservationFields';
 import '../styles/components/MobileCamera.css';
 
-function MobileCamera({ orgName, trailName, onUploadStart, onUploadSuccess, onUploadError }) {
+function MobileCamera({ orgName, trailName, stationId, observationTags, onUploadStart, onUploadSuccess, onUploadError }) {
     const [capturedImage, setCapturedImage] = useState(null);
     const [previewUrl, setPreviewUrl] = useState(null);
+    const [note, setNote] = useState('');
+    const [selectedTags, setSelectedTags] = useState([]);
     const fileInputRef = useRef(null);
 
     //trigger native camera app
@@ -38,6 +41,8 @@ function MobileCamera({ orgName, trailName, onUploadStart, onUploadSuccess, onUp
             setPreviewUrl(null);
         }
         setCapturedImage(null);
+        setNote('');
+        setSelectedTags([]);
 
         //clear file file
         if (fileInputRef.current) {
@@ -57,20 +62,22 @@ function MobileCamera({ orgName, trailName, onUploadStart, onUploadSuccess, onUp
                 capturedImage,
                 trailName
             );
+            ProcessedImage.metadata = { ...ProcessedImage.metadata, note, tags: selectedTags };
 
             //upload to backend with correct parameter order
-            // uploadPhoto(processedImage, orgName, trailName, onRetry)
-            await uploadPhoto(
+            // uploadPhoto(processedImage, orgName, trailName, onRetry, stationId)
+            const result = await uploadPhoto(
                 ProcessedImage, 
                 orgName,        // Organization name
                 trailName,      // Trail name
                 (errorMsg, retryCount) => {  // onRetry callback
                     console.log(`Retry attempt ${retryCount}: ${errorMsg}`);
                     // You can add UI feedback here if needed
-                }
+                },
+                stationId       // Photo station (optional)
             );
 
-            onUploadSuccess();
+            onUploadSuccess(result);
 
             //clean up
             if (previewUrl) {
@@ -78,6 +85,8 @@ function MobileCamera({ orgName, trailName, onUploadStart, onUploadSuccess, onUp
             }
             setCapturedImage(null);
             setPreviewUrl(null);
+            setNote('');
+            setSelectedTags([]);
         } catch (error) {
             console.error('Error submitting image:', error);
             onUploadError(error.message);
@@ -120,6 +129,13 @@ function MobileCamera({ orgName, trailName, onUploadStart, onUploadSuccess, onUp
               className="mobile-camera-preview-image"
             />
           </div>
+          <ObservationFields
+            tags={observationTags}
+            note={note}
+            selectedTags={selectedTags}
+            onNoteChange={setNote}
+            onTagsChange={setSelectedTags}
+          />
           <div className="mobile-camera-preview-controls">
             <button className="mobile-camera-btn mobile-camera-btn-secondary" onClick={retakeImage}>
               Retake
@@ -0,0 +1,43 @@
+import '../styles/components/ObservationFields.css';
+
+// Matches the backend limit on notes
+const MAX_NOTE_LENGTH = 500;
+
+const ObservationFields = ({ tags = [], note, selectedTags, onNoteChange, onTagsChange }) => {
+    //add or remove a tag
+    const toggleTag = (tag) => {
+        onTagsChange(selectedTags.includes(tag)
+            ? selectedTags.filter(selected => selected !== tag)
+            : [...selectedTags, tag]);
+    };
+
+    return (
+        <div className="observation-fields">
+            {tags.length > 0 && (
+                <div className="observation-tags" role="group" aria-label="Observation tags">
+                    {tags.map(tag => (
+                        <button
+                            key={tag}
+                            type="button"
+                            className={`observation-tag${selectedTags.includes(tag) ? ' selected' : ''}`}
+                            onClick={() => toggleTag(tag)}
+                            aria-pressed={selectedTags.includes(tag)}
+                        >
+                            {tag}
+                        </button>
+                    ))}
+                </div>
+            )}
+            <textarea
+                className="observation-note"
+                value={note}
+                onChange={e => onNoteChange(e.target.value)}
+                placeholder="Add a note about what you noticed (optional)"
+                maxLength={MAX_NOTE_LENGTH}
+                rows={3}
+            />
+        </div>
+    );
+};
+
+export default ObservationFields;
@@ -1,8 +1,11 @@
-import { ImageIcon } from 'lucide-react';
+import { ImageIcon, MapPinOff } from 'lucide-react';
 import { Link } from 'react-router-dom';
 
 const PhotoGallery = ({ 
     images, 
+    tags = [],
+    activeTag,
+    onTagChange,
     onImageClick, 
     getThumbnailUrl, 
     formatFileName,
@@ -15,9 +18,36 @@ const PhotoGallery = ({
                 <h2>Photo Gallery</h2>
                 <span className="photo-count">({images.length} photos)</span>
             </div>
+
+            {tags.length > 0 && (
+                <div className="gallery-tag-filter" role="group" aria-label="Filter by observation tag">
+                    <button
+                        className={`gallery-tag${!activeTag ? ' active' : ''}`}
+                        onClick={() => onTagChange(null)}
+                        aria-pressed={!activeTag}
+                    >
+                        All
+                    </button>
+                    {tags.map(tag => (
+                        <button
+                            key={tag}
+                            className={`gallery-tag${activeTag === tag ? ' active' : ''}`}
+                            onClick={() => onTagChange(activeTag === tag ? null : tag)}
+                            aria-pressed={activeTag === tag}
+                        >
+                            {tag}
+                        </button>
+                    ))}
+                </div>
+            )}
             
             <div className="gallery-content">
-                {images.length === 0 ? (
+                {images.length === 0 && activeTag ? (
+                    <div className="no-photos">
+                        <ImageIcon size={48} className="empty-icon" />
+                        <p>No photos are tagged "{activeTag}".</p>
+                    </div>
+                ) : images.length === 0 ? (
                     <div className="no-photos">
                         <ImageIcon size={48} className="empty-icon" />
                         <p>No photos have been uploaded to this trail yet.</p>
@@ -37,6 +67,11 @@ const PhotoGallery = ({
                                         alt={image.name}
                                         loading="lazy"
                                     />
+                                    {image.flagged && (
+                                        <span className="photo-flag-badge" title="Taken away from the photo station">
+                                            <MapPinOff size={14} />
+                                        </span>
+                                    )}
                                     <div className="photo-overlay">
                                         <span className="photo-date-badge">
                                             {formatFileName(image.name)}
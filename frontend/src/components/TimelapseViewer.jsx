@@ -1,27 +1,81 @@
 import { Film } from 'lucide-react';
 
-const TimelapseViewer = ({ gifUrl, gifLoading, imagesCount, onRetry }) => {
+// Describe job progress, e.g. "Encoding mp4 frame 12 of 40"
+const formatProgress = (progress) => {
+    if (!progress) return null;
+    if (progress.phase === 'encoding') {
+        const format = progress.format ? `${progress.format} ` : '';
+        return `Encoding ${format}frame ${progress.framesEncoded} of ${progress.framesTotal}`;
+    }
+    if (progress.phase === 'aligning') {
+        return `Aligning photo ${progress.framesAligned} of ${progress.framesTotal}`;
+    }
+    if (progress.phase === 'normalizing') {
+        return `Normalizing photo ${progress.framesNormalized} of ${progress.framesTotal}`;
+    }
+    return `Downloading photo ${progress.framesDownloaded} of ${progress.framesTotal}`;
+};
+
+// Overall completion: downloading is the first half, encoding the second
+const getProgressPercent = (progress) => {
+    if (!progress?.framesTotal) return 0;
+    const done = progress.framesDownloaded + progress.framesEncoded;
+    return Math.round((done / (progress.framesTotal * 2)) * 100);
+};
+
+const TimelapseViewer = ({ gifUrl, videoUrl, gifLoading, updating, progress, imagesCount, onRetry, onVideoError }) => {
     return (
         <section className="timelapse-section">
             <div className="section-header">
                 <h2>Trail Timelapse</h2>
             </div>
+            {updating && (
+                <div className="timelapse-updating">
+                    <p>{formatProgress(progress) || 'Timelapse updating with the latest photos...'}</p>
+                    {progress && (
+                        <div className="timelapse-progress">
+                            <div
+                                className="timelapse-progress-bar"
+                                style={{ width: `${getProgressPercent(progress)}%` }}
+                            ></div>
+                        </div>
+                    )}
+                </div>
+            )}
             {gifLoading ? (
                 <div className="gif-loading">
                     <div className="loading-spinner"></div>
-                    <p>Generating timelapse animation...</p>
+                    <p>Loading timelapse animation...</p>
+                </div>
+            ) : videoUrl ? (
+                <div className="gif-container">
+                    <video
+                        key={videoUrl}
+                        src={videoUrl}
+                        className="timelapse-gif"
+                        controls
+                        loop
+                        muted
+                        autoPlay
+                        playsInline
+                        onError={onVideoError}
+                    />
                 </div>
             ) : gifUrl ? (
                 <div className="gif-container">
                     <img src={gifUrl} alt="Trail Timelapse" className="timelapse-gif" />
                 </div>
+            ) : updating ? (
+                <div className="gif-placeholder">
+                    <p className="no-images-msg">Timelapse is being created</p>
+                </div>
             ) : imagesCount === 0 ? (
                 <div className="gif-placeholder">
                     <p className="no-images-msg">No images available to create timelapse</p>
                 </div>
             ) : (
                 <div className="gif-placeholder">
-                    <p className="no-images-msg">Unable to generate timelapse at this time</p>
+                    <p className="no-images-msg">Timelapse is not available yet</p>
                     <button 
                         onClick={onRetry} 
                         className="retry-btn"
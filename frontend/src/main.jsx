@@ -13,14 +13,16 @@ createRoot(document.getElementById('root')).render(
         {
         /* Home Path 
          * Org Path (optional) (display org-specific info and trail timelapses)
-         * Trail Path (view gifs and trail info)
+         * Trail Path (view gifs and trail info, optionally for one photo station)
          * Capture Path (capture/upload photos)
          */
         }
 
         <Route path="/" element={<LandingPage />} />
         <Route path="/:orgName/:trailName" element={<TrailPage />} />
+        <Route path="/:orgName/:trailName/:stationId" element={<TrailPage />} />
         <Route path="/capture/:orgName/:trailName" element={<CapturePage />} />
+        <Route path="/capture/:orgName/:trailName/:stationId" element={<CapturePage />} />
 
       </Routes>
     </BrowserRouter>
@@ -1,18 +1,21 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { useParams, Link } from 'react-router-dom';
 import { Wifi, WifiOff, Smartphone, Monitor, Camera, Upload, ArrowLeft } from 'lucide-react';
 import MobileCamera from '../components/MobileCamera';
 import FileUpload from '../components/FileUpload';
 import UploadModal from '../components/UploadModal';
 import PlantBackground from '../components/PlantBackground';
+import { getObservationTags } from '../services/api';
 import { useNetworkStatus } from '../hooks/useNetworkStatus';
 import { useDeviceDetection } from '../hooks/useDeviceDetection';
 import '../styles/pages/CapturePage.css';
 
 function CapturePage() {
-  // Extract BOTH orgName and trailName from URL params
-  const { orgName, trailName } = useParams();
+  // Extract orgName, trailName and optional stationId from URL params
+  const { orgName, trailName, stationId } = useParams();
+  const trailPath = stationId ? `${trailName}/${stationId}` : trailName;
   const [activeTab, setActiveTab] = useState('camera');
+  const [observationTags, setObservationTags] = useState([]);
   const [uploadFeedback, setUploadFeedback] = useState({
     show: false,
     status: '',
@@ -23,6 +26,11 @@ function CapturePage() {
   const networkStatus = useNetworkStatus();
   const deviceInfo = useDeviceDetection();
 
+  // Tags the organization lets contributors add to photos
+  useEffect(() => {
+    getObservationTags(orgName).then(setObservationTags);
+  }, [orgName]);
+
   // Format trail name for display (convert hyphens to spaces, capitalize)
   const formatTrailName = (name) => {
     return name
@@ -31,7 +39,9 @@ function CapturePage() {
       .join(' ');
   };
 
-  const displayTrailName = formatTrailName(trailName);
+  const displayTrailName = stationId
+    ? `${formatTrailName(trailName)} - ${formatTrailName(stationId)}`
+    : formatTrailName(trailName);
   const displayOrgName = formatTrailName(orgName);
 
   const handleUploadStart = () => {
@@ -44,11 +54,19 @@ function CapturePage() {
     });
   };
 
-  const handleUploadSuccess = () => {
+  const handleUploadSuccess = (result) => {
+    // Public uploads wait for a steward to approve them before they appear on the trail
+    const awaitingReview = result?.moderationStatus === 'pending';
+    // Photos taken away from the photo station are flagged and left out of the timelapse
+    const flagged = result?.file?.flagged;
     setUploadFeedback({
       show: true,
       status: 'success',
-      message: 'Photo uploaded successfully!',
+      message: flagged
+        ? 'Photo uploaded, but it looks like it was taken away from the photo station, so it will not be used in the timelapse.'
+        : awaitingReview
+        ? 'Photo uploaded! It will appear on the trail once a steward has reviewed it.'
+        : 'Photo uploaded successfully!',
       retryCount: 0,
       maxRetries: 5
     });
@@ -78,7 +96,7 @@ function CapturePage() {
       <PlantBackground className="plant-bg-layer" />
       <div className="ui-separator-overlay"></div>
       <div className="trail-capture-container">
-        <Link to={`/${orgName}/${trailName}`} className="capture-back-button">
+        <Link to={`/${orgName}/${trailPath}`} className="capture-back-button">
           <ArrowLeft size={20} />
           Back
         </Link>
@@ -107,6 +125,8 @@ function CapturePage() {
                 <MobileCamera
                   orgName={orgName}
                   trailName={trailName}
+                  stationId={stationId}
+                  observationTags={observationTags}
                   onUploadStart={handleUploadStart}
                   onUploadSuccess={handleUploadSuccess}
                   onUploadError={handleUploadError}
@@ -115,6 +135,8 @@ function CapturePage() {
                 <FileUpload
                   orgName={orgName}
                   trailName={trailName}
+                  stationId={stationId}
+                  observationTags={observationTags}
                   onUploadStart={handleUploadStart}
                   onUploadSuccess={handleUploadSuccess}
                   onUploadError={handleUploadError}
@@ -126,6 +148,8 @@ function CapturePage() {
               <FileUpload
                 orgName={orgName}
                 trailName={trailName}
+                stationId={stationId}
+                observationTags={observationTags}
                 onUploadStart={handleUploadStart}
                 onUploadSuccess={handleUploadSuccess}
                 onUploadError={handleUploadError}
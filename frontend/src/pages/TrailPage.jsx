@@ -8,16 +8,45 @@ import ImageModal from '../components/ImageModal';
 import TrailErrorScreen from '../components/TrailErrorScreen';
 import '../styles/pages/TrailPage.css';
 
+const JOB_POLL_INTERVAL_MS = 5000;
+
+// Progress of the regeneration that is currently running, if any
+const getActiveProgress = (jobs = []) =>
+    jobs.find(job => job.status === 'running')?.progress || null;
+
+// Video timelapse formats in order of preference, with the type checked against the browser
+const VIDEO_FORMATS = [
+    { format: 'webm', type: 'video/webm; codecs="vp9"' },
+    { format: 'mp4', type: 'video/mp4; codecs="avc1.42E01E"' },
+];
+
+// First stored video format this browser can play, if any
+const pickVideoFormat = (storedFormats = []) => {
+    const video = document.createElement('video');
+    return VIDEO_FORMATS.find(({ format, type }) =>
+        storedFormats.includes(format) && video.canPlayType(type) !== ''
+    )?.format || null;
+};
+
 const TrailPage = () => {
-    const { orgName, trailName } = useParams();
+    const { orgName, trailName, stationId } = useParams();
+    const trailPath = stationId ? `${trailName}/${stationId}` : trailName;
+    const [trail, setTrail] = useState(null);
+    const [station, setStation] = useState(null);
+    const [stations, setStations] = useState([]);
     const [images, setImages] = useState([]);
     const [gifUrl, setGifUrl] = useState(null);
+    const [videoFormat, setVideoFormat] = useState(null);
+    const [timelapseVersion, setTimelapseVersion] = useState(Date.now());
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
     const [errorType, setErrorType] = useState(null);
     const [gifLoading, setGifLoading] = useState(false);
+    const [timelapseUpdating, setTimelapseUpdating] = useState(false);
+    const [timelapseProgress, setTimelapseProgress] = useState(null);
     const [selectedImage, setSelectedImage] = useState(null);
     const [activeView, setActiveView] = useState('timelapse'); // 'timelapse' or 'gallery'
+    const [activeTag, setActiveTag] = useState(null);
     const timelapseRequestRef = useRef(null);
 
     const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000/api';
@@ -25,9 +54,36 @@ const TrailPage = () => {
     useEffect(() => {
         if (orgName && trailName) {
             fetchTrailImages();
-            generateTimelapse();
+            fetchTimelapse();
+            fetchTimelapseStatus();
         }
-    }, [orgName, trailName]);
+    }, [orgName, trailPath]);
+
+    // Poll while the server regenerates the timelapse, then load the new one
+    useEffect(() => {
+        if (!timelapseUpdating) return;
+
+        const interval = setInterval(async () => {
+            try {
+                const response = await fetch(`${API_BASE_URL}/${orgName}/${trailPath}/jobs`);
+                const data = response.ok ? await response.json() : null;
+                if (!data) return;
+
+                setTimelapseProgress(getActiveProgress(data.jobs));
+                if (data.updating) return;
+
+                setTimelapseUpdating(false);
+                setTimelapseVersion(Date.now());
+                const gifResponse = await fetch(`${API_BASE_URL}/${orgName}/${trailPath}/timelapse`);
+                if (gifResponse.ok) {
+                    setGifUrl(URL.createObjectURL(await gifResponse.blob()));
+                }
+            } catch (err) {
+                console.error('Error polling timelapse status:', err);
+            }
+        }, JOB_POLL_INTERVAL_MS);
+        return () => clearInterval(interval);
+    }, [timelapseUpdating, orgName, trailPath, API_BASE_URL]);
 
     const fetchTrailImages = async () => {
         try {
@@ -35,8 +91,8 @@ const TrailPage = () => {
             setError(null);
             setErrorType(null);
 
-            console.log('Fetching images for:', orgName, trailName);
-            const url = `${API_BASE_URL}/${orgName}/${trailName}`;
+            console.log('Fetching images for:', orgName, trailPath);
+            const url = `${API_BASE_URL}/${orgName}/${trailPath}`;
             console.log('Fetch URL:', url);
 
             const response = await fetch(url);
@@ -59,7 +115,7 @@ const TrailPage = () => {
                     if (message.includes('organization') || message.includes('Organization')) {
                         setErrorType('org-not-found');
                         setError(message);
-                    } else if (message.includes('trail') || message.includes('Trail')) {
+                    } else if (message.includes('trail') || message.includes('Trail') || message.includes('Station')) {
                         setErrorType('trail-not-found');
                         setError(message);
                     } else {
@@ -76,19 +132,24 @@ const TrailPage = () => {
             const data = await response.json();
             console.log('Received data:', data);
             
-            // Sort files by creation time (newest first) and filter images
-            // Exclude the stored timelapse GIF file
+            // Sort files by capture time (newest first) and filter images
+            // Exclude the stored timelapse files
             const imageFiles = data.files
                 .filter(file => {
                     if (!file.mimeType || !file.mimeType.startsWith('image/')) return false;
-                    // Exclude the cached timelapse GIF
-                    if (file.name === '_timelapse.gif') return false;
+                    // Exclude the cached timelapses (_timelapse.gif, _timelapse.webp, ...)
+                    if (file.name.startsWith('_timelapse.')) return false;
                     return true;
                 })
-                .sort((a, b) => new Date(b.createdTime) - new Date(a.createdTime));
+                .sort((a, b) => new Date(b.capturedAt || b.createdTime) - new Date(a.capturedAt || a.createdTime));
 
             console.log('Filtered images:', imageFiles.length);
+            setTrail(data.trail || null);
+            setStation(data.station || null);
+            setStations(data.stations || []);
             setImages(imageFiles);
+            setActiveTag(null);
+            setVideoFormat(pickVideoFormat(data.timelapseFormats));
         } catch (err) {
             console.error('Error fetching trail images:', err);
             setErrorType('network-error');
@@ -98,11 +159,11 @@ const TrailPage = () => {
         }
     };
 
-    const generateTimelapse = async () => {
+    const fetchTimelapse = async () => {
         // Prevent duplicate requests
-        const requestKey = `${orgName}-${trailName}`;
+        const requestKey = `${orgName}-${trailPath}`;
         if (timelapseRequestRef.current === requestKey) {
-            console.log('Timelapse generation already in progress, skipping duplicate request');
+            console.log('Timelapse request already in progress, skipping duplicate request');
             return;
         }
 
@@ -110,31 +171,30 @@ const TrailPage = () => {
             setGifLoading(true);
             timelapseRequestRef.current = requestKey;
             
-            console.log('Generating timelapse for:', orgName, trailName);
-
-            const response = await fetch(`${API_BASE_URL}/${orgName}/generate-timelapse`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    trailNames: [trailName]
-                })
-            });
+            console.log('Fetching timelapse for:', orgName, trailPath);
+
+            // The stored timelapse is regenerated on the server after each upload
+            const response = await fetch(`${API_BASE_URL}/${orgName}/${trailPath}/timelapse`);
+
+            if (response.status === 404) {
+                console.log('No timelapse has been generated yet');
+                setGifUrl(null);
+                return;
+            }
 
             if (!response.ok) {
                 const errorText = await response.text();
-                console.error('Timelapse generation failed:', response.status, errorText);
-                throw new Error(`Failed to generate timelapse: ${response.status}`);
+                console.error('Timelapse fetch failed:', response.status, errorText);
+                throw new Error(`Failed to fetch timelapse: ${response.status}`);
             }
 
             // Convert blob to URL
             const blob = await response.blob();
             const url = URL.createObjectURL(blob);
             setGifUrl(url);
-            console.log('Timelapse generated successfully');
+            console.log('Timelapse loaded successfully');
         } catch (err) {
-            console.error('Error generating timelapse:', err);
+            console.error('Error fetching timelapse:', err);
             // Don't set error state for timelapse failure, just log it
             // The page should still show photos even if timelapse fails
         } finally {
@@ -143,6 +203,19 @@ const TrailPage = () => {
         }
     };
 
+    const fetchTimelapseStatus = async () => {
+        try {
+            const response = await fetch(`${API_BASE_URL}/${orgName}/${trailPath}/jobs`);
+            if (!response.ok) return;
+
+            const data = await response.json();
+            setTimelapseUpdating(data.updating);
+            setTimelapseProgress(getActiveProgress(data.jobs));
+        } catch (err) {
+            console.error('Error fetching timelapse status:', err);
+        }
+    };
+
     const formatDate = (timestamp) => {
         const date = new Date(timestamp);
         return date.toLocaleDateString('en-US', {
@@ -178,10 +251,21 @@ const TrailPage = () => {
             .join(' ');
     };
 
-    const getThumbnailUrl = (fileId, size = 400) => {
-        return `${API_BASE_URL}/${orgName}/${trailName}/thumbnail/${fileId}?size=${size}`;
+    // Videos stream from the API so the browser can seek; the version skips stale caches
+    const videoUrl = videoFormat
+        ? `${API_BASE_URL}/${orgName}/${trailPath}/timelapse?format=${videoFormat}&v=${timelapseVersion}`
+        : null;
+
+    const getThumbnailUrl = (fileId, size = 800) => {
+        return `${API_BASE_URL}/${orgName}/${trailPath}/thumbnail/${fileId}?size=${size}`;
     };
 
+    // Observation tags used on this trail's photos, for the gallery filter
+    const photoTags = [...new Set(images.flatMap(image => image.metadata?.tags || []))].sort();
+    const galleryImages = activeTag
+        ? images.filter(image => image.metadata?.tags?.includes(activeTag))
+        : images;
+
     if (loading) {
         return (
             <div className="trail-page">
@@ -216,15 +300,40 @@ const TrailPage = () => {
             <div className="trail-container">
                 <header className="trail-header">
                     <div className="header-actions">
-                        <Link to={`/capture/${orgName}/${trailName}`} className="capture-button">
+                        <Link to={`/capture/${orgName}/${trailPath}`} className="capture-button">
                             <Camera size={20} />
                             Capture
                         </Link>
                     </div>
-                    <h1 className="trail-title">{formatTrailName(trailName)}</h1>
+                    <h1 className="trail-title">{trail?.name || formatTrailName(trailName)}</h1>
                     <p className="organization-name">{formatTrailName(orgName)}</p>
+                    {station && <p className="station-name">{station.name}</p>}
+                    {(station?.description || trail?.description) && (
+                        <p className="trail-description">{station?.description || trail.description}</p>
+                    )}
                 </header>
 
+                {/* Station Links (trails with more than one photo station) */}
+                {stations.length > 0 && (
+                    <nav className="station-nav">
+                        <Link
+                            to={`/${orgName}/${trailName}`}
+                            className={`station-link ${!stationId ? 'active' : ''}`}
+                        >
+                            Main
+                        </Link>
+                        {stations.map((s) => (
+                            <Link
+                                key={s.id}
+                                to={`/${orgName}/${trailName}/${s.id}`}
+                                className={`station-link ${stationId === s.id ? 'active' : ''}`}
+                            >
+                                {s.name}
+                            </Link>
+                        ))}
+                    </nav>
+                )}
+
                 {/* View Toggle Buttons */}
                 <div className="view-toggle">
                     <button 
@@ -248,21 +357,28 @@ const TrailPage = () => {
                 {activeView === 'timelapse' && (
                     <TimelapseViewer
                         gifUrl={gifUrl}
+                        videoUrl={videoUrl}
                         gifLoading={gifLoading}
+                        updating={timelapseUpdating}
+                        progress={timelapseProgress}
                         imagesCount={images.length}
-                        onRetry={generateTimelapse}
+                        onRetry={fetchTimelapse}
+                        onVideoError={() => setVideoFormat(null)}
                     />
                 )}
 
                 {/* Photo Gallery Section */}
                 {activeView === 'gallery' && (
                     <PhotoGallery
-                        images={images}
+                        images={galleryImages}
+                        tags={photoTags}
+                        activeTag={activeTag}
+                        onTagChange={setActiveTag}
                         onImageClick={setSelectedImage}
                         getThumbnailUrl={getThumbnailUrl}
                         formatFileName={formatFileName}
                         orgName={orgName}
-                        trailName={trailName}
+                        trailName={trailPath}
                     />
                 )}
             </div>
@@ -4,6 +4,14 @@ import { storageService, UploadStatus } from './storage';
 
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3001/api';
 
+// Observation details from processImageMetadata and the capture form that are stored with the photo
+const OBSERVATION_FIELDS = [
+    'latitude', 'longitude', 'accuracy',
+    'gpsLatitude', 'gpsLongitude',
+    'cameraMake', 'cameraModel', 'orientation',
+    'note', 'tags'
+];
+
 // ============================================================================
 // UPLOAD OPERATIONS
 // ============================================================================
@@ -14,9 +22,10 @@ const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3001
  * @param {string} orgName - Organization name (e.g., 'riverbend-land-trust')
  * @param {string} trailName - Trail identifier
  * @param {Function} onRetry - Optional callback on retry attempt
+ * @param {string|null} stationId - Optional photo station on the trail
  * @returns {Promise<Object>} Upload result
  */
-export async function uploadPhoto(processedImage, orgName, trailName, onRetry) {
+export async function uploadPhoto(processedImage, orgName, trailName, onRetry, stationId = null) {
     const { file, filename, metadata } = processedImage;
 
     // Validate required fields
@@ -41,6 +50,7 @@ export async function uploadPhoto(processedImage, orgName, trailName, onRetry) {
         filename: filename || 'photo.jpg',
         orgName,
         trailName,
+        stationId,
         retryCount: 0,
         status: UploadStatus.PENDING,
         createdAt: new Date().toISOString()
@@ -62,7 +72,7 @@ export async function uploadPhoto(processedImage, orgName, trailName, onRetry) {
 
         // Attempt upload with retry logic
         const result = await retryWithBackoff(
-            () => performUpload(file, filename, metadata, orgName, trailName),
+            () => performUpload(file, filename, metadata, orgName, trailName, stationId),
             {
                 maxRetries: 5,
                 onRetry: async (attempt, error) => {
@@ -128,7 +138,7 @@ export async function uploadPhoto(processedImage, orgName, trailName, onRetry) {
  * Perform the actual upload to backend
  * @private
  */
-async function performUpload(file, filename, metadata, orgName, trailName) {
+async function performUpload(file, filename, metadata, orgName, trailName, stationId) {
     const formData = new FormData();
     formData.append('photo', file, filename);
     
@@ -136,8 +146,15 @@ async function performUpload(file, filename, metadata, orgName, trailName) {
     const timestamp = metadata?.timestamp || new Date().toISOString();
     formData.append('timestamp', timestamp);
 
-    // POST /api/:orgName/:trailName/upload
-    const response = await fetch(`${API_BASE_URL}/${orgName}/${trailName}/upload`, {
+    // GPS and device details are sent as one JSON field
+    const observation = getObservationMetadata(metadata);
+    if (Object.keys(observation).length > 0) {
+        formData.append('metadata', JSON.stringify(observation));
+    }
+
+    // POST /api/:orgName/:trailName[/:stationId]/upload
+    const trailPath = stationId ? `${trailName}/${stationId}` : trailName;
+    const response = await fetch(`${API_BASE_URL}/${orgName}/${trailPath}/upload`, {
         method: 'POST',
         body: formData
     });
@@ -150,6 +167,24 @@ async function performUpload(file, filename, metadata, orgName, trailName) {
     return await response.json();
 }
 
+/**
+ * Pick the observation fields the backend stores from photo metadata
+ * @private
+ */
+function getObservationMetadata(metadata) {
+    const observation = {};
+
+    for (const field of OBSERVATION_FIELDS) {
+        const value = metadata?.[field];
+        if (value !== undefined && value !== null && value !== '' &&
+            !(Array.isArray(value) && value.length === 0)) {
+            observation[field] = value;
+        }
+    }
+
+    return observation;
+}
+
 /**
  * Sanitize metadata to only include serializable properties
  * @private
@@ -249,7 +284,8 @@ export async function retryUpload(uploadId, onRetry) {
             },
             upload.orgName,
             upload.trailName,
-            onRetry
+            onRetry,
+            upload.stationId || null
         );
     } catch (error) {
         console.error('Error retrying upload:', error);
@@ -300,6 +336,27 @@ export async function getOrganizations() {
     }
 }
 
+/**
+ * Get the observation tags contributors can add to photos
+ * @param {string} orgName - Organization name
+ * @returns {Promise<Array<string>>} Tags chosen by the organization
+ */
+export async function getObservationTags(orgName) {
+    try {
+        const response = await fetch(`${API_BASE_URL}/${orgName}/observation-tags`);
+
+        if (!response.ok) {
+            throw new Error(`Failed to fetch observation tags: ${response.status}`);
+        }
+
+        const data = await response.json();
+        return data.tags || [];
+    } catch (error) {
+        console.error('Error fetching observation tags:', error);
+        return [];
+    }
+}
+
 // Note: Organization stats endpoint does not exist in backend
 // If needed, statistics can be computed client-side from trails data
 
@@ -308,9 +365,10 @@ export async function getOrganizations() {
 // ============================================================================
 
 /**
- * Get trails for an organization with stats
+ * Get trails for an organization
  * @param {string} orgName - Organization name
- * @returns {Promise<Array>} Array of trail objects with stats
+ * @returns {Promise<Array>} Array of trail objects
+ * ({ slug, name, description, location, bearing, installDate, status })
  */
 export async function getTrails(orgName) {
     try {
@@ -343,9 +401,10 @@ export async function getTrailInfo(orgName, trailName) {
         }
 
         const data = await response.json();
-        // Backend returns { files: [...] }
+        // Backend returns { trail: {...}, files: [...] }
         return {
-            name: trailName,
+            ...data.trail,
+            name: data.trail?.name || trailName,
             photoCount: data.files?.length || 0,
             photos: data.files || []
         };
@@ -378,12 +437,17 @@ export async function getTrailPhotos(orgName, trailName) {
             url: file.webViewLink,
             downloadUrl: file.webContentLink,
             // Use backend thumbnail endpoint for optimized thumbnails
-            thumbnail: `${API_BASE_URL}/${orgName}/${trailName}/thumbnail/${file.id}?size=256`,
+            thumbnail: `${API_BASE_URL}/${orgName}/${trailName}/thumbnail/${file.id}?size=300`,
             createdTime: file.createdTime,
+            capturedAt: file.capturedAt,
             size: file.size,
-            // Parse timestamp from filename if possible
+            // GPS, device details, note and tags recorded with the upload
+            metadata: file.metadata || null,
+            // Taken outside the photo station's geofence
+            flagged: Boolean(file.flagged),
+            // When the photo was taken; older backends only have it in the filename
             // Format: TrailName_YYYY-MM-DD_HH-MM-SS.jpg
-            timestamp: parseTimestampFromFilename(file.name)
+            timestamp: file.capturedAt || parseTimestampFromFilename(file.name)
         }));
     } catch (error) {
         console.error('Error fetching trail photos:', error);
@@ -402,7 +466,7 @@ export async function getPhotosForTrails(orgName, trailNames = []) {
         // If no trails specified, get all trails first
         if (!trailNames || trailNames.length === 0) {
             const trails = await getTrails(orgName);
-            trailNames = trails.map(t => t.name);
+            trailNames = trails.map(t => t.slug);
         }
 
         // Fetch photos from all trails in parallel
@@ -453,19 +517,75 @@ function parseTimestampFromFilename(filename) {
 // ============================================================================
 
 /**
- * Generate timelapse for organization
+ * Get the stored timelapse of a trail (public)
+ * @param {string} orgName - Organization name
+ * @param {string} trailName - Trail name (or trailName/stationId)
+ * @param {string} format - 'gif' (default), 'mp4', 'webm' or 'webp'
+ * @returns {Promise<Blob|null>} Timelapse file blob, or null if none has been generated yet
+ */
+export async function getTrailTimelapse(orgName, trailName, format = 'gif') {
+    try {
+        const response = await fetch(`${API_BASE_URL}/${orgName}/${trailName}/timelapse?format=${format}`);
+
+        if (response.status === 404) {
+            return null;
+        }
+
+        if (!response.ok) {
+            throw new Error(`Failed to fetch timelapse: ${response.status}`);
+        }
+
+        return await response.blob();
+    } catch (error) {
+        console.error('Error fetching timelapse:', error);
+        throw error;
+    }
+}
+
+/**
+ * Get a background job (timelapse regeneration or generation)
+ * @param {string} jobId - Job ID
+ * @param {string} apiKey - Steward or admin API key (required for generation jobs)
+ * @returns {Promise<Object>} Job with status and progress
+ */
+export async function getJob(jobId, apiKey) {
+    const response = await fetch(`${API_BASE_URL}/jobs/${jobId}`, {
+        headers: apiKey ? { 'X-API-Key': apiKey } : {}
+    });
+
+    if (!response.ok) {
+        throw new Error(`Failed to fetch job: ${response.status}`);
+    }
+
+    const data = await response.json();
+    return data.job;
+}
+
+/**
+ * Generate timelapse for organization (requires a steward or admin API key)
+ * The server queues a job; this polls it until the timelapse is ready (serverless
+ * deployments generate it in the request and return it directly)
  * @param {string} orgName - Organization name
- * @param {Array<string>} trailNames - Optional array of trail names (empty = all trails)
- * @returns {Promise<Blob>} GIF file blob
+ * @param {Array<string>} trailNames - Array of trail names (or trailName/stationId)
+ * @param {string} apiKey - Steward or admin API key
+ * @param {Function} onProgress - Optional callback with job progress
+ *   ({ phase: 'downloading' | 'aligning' | 'normalizing' | 'encoding', format, framesTotal, ... })
+ * @param {string} format - 'gif' (default), 'mp4', 'webm' or 'webp'
+ * @param {Object} selection - Optional frame selection
+ *   ({ from, to, timeOfDay: { start, end }, perPeriod, sameDate, maxFrames, timeZone, includeFlagged })
+ * @returns {Promise<Blob>} Timelapse file blob
  */
-export async function generateTimelapse(orgName, trailNames = []) {
+export async function generateTimelapse(orgName, trailNames = [], apiKey, onProgress, format = 'gif', selection = null) {
+    const POLL_INTERVAL_MS = 2000;
+
     try {
         const response = await fetch(`${API_BASE_URL}/${orgName}/generate-timelapse`, {
             method: 'POST',
             headers: {
-                'Content-Type': 'application/json'
+                'Content-Type': 'application/json',
+                'X-API-Key': apiKey
             },
-            body: JSON.stringify({ trailNames })
+            body: JSON.stringify({ trailNames, format, selection })
         });
 
         if (!response.ok) {
@@ -473,8 +593,33 @@ export async function generateTimelapse(orgName, trailNames = []) {
             throw new Error(errorData.message || errorData.error || 'Timelapse generation failed');
         }
 
-        // Response is a GIF file
-        return await response.blob();
+        // Serverless deployments return the timelapse itself, others 202 with a queued job
+        if (response.status !== 202) {
+            return await response.blob();
+        }
+        let { job } = await response.json();
+
+        while (job.status === 'queued' || job.status === 'running') {
+            await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+            job = await getJob(job.id, apiKey);
+
+            if (job.progress && onProgress) {
+                onProgress(job.progress);
+            }
+        }
+
+        if (job.status === 'failed') {
+            throw new Error(job.error || 'Timelapse generation failed');
+        }
+
+        const resultResponse = await fetch(`${API_BASE_URL}/jobs/${job.id}/result`, {
+            headers: { 'X-API-Key': apiKey }
+        });
+        if (!resultResponse.ok) {
+            throw new Error(`Failed to fetch timelapse: ${resultResponse.status}`);
+        }
+
+        return await resultResponse.blob();
     } catch (error) {
         console.error('Error generating timelapse:', error);
         throw error;
@@ -482,13 +627,17 @@ export async function generateTimelapse(orgName, trailNames = []) {
 }
 
 /**
- * Generate timelapse for a specific trail
+ * Generate timelapse for a specific trail (requires a steward or admin API key)
  * @param {string} orgName - Organization name
  * @param {string} trailName - Trail name
- * @returns {Promise<Blob>} GIF file blob
+ * @param {string} apiKey - Steward or admin API key
+ * @param {Function} onProgress - Optional callback with job progress
+ * @param {string} format - 'gif' (default), 'mp4', 'webm' or 'webp'
+ * @param {Object} selection - Optional frame selection (see generateTimelapse)
+ * @returns {Promise<Blob>} Timelapse file blob
  */
-export async function generateTrailTimelapse(orgName, trailName) {
-    return generateTimelapse(orgName, [trailName]);
+export async function generateTrailTimelapse(orgName, trailName, apiKey, onProgress, format = 'gif', selection = null) {
+    return generateTimelapse(orgName, [trailName], apiKey, onProgress, format, selection);
 }
 
 /**
@@ -567,8 +716,8 @@ export async function validateOrganization(orgName) {
 export async function validateTrail(orgName, trailName) {
     try {
         const trails = await getTrails(orgName);
-        // Backend returns array of trail names (strings)
-        return trails.includes(trailName);
+        // Backend returns array of trail objects
+        return trails.some(trail => trail.slug === trailName);
     } catch (error) {
         console.error('Error validating trail:', error);
         return false;